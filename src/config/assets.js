@@ -0,0 +1,60 @@
+/**
+ * CEX asset to on-chain token mapping
+ *
+ * Trading pairs are written in CEX assets (ETH-USDT, BTC-USDT), while DEX
+ * pools hold ERC20 tokens (WETH, WBTC). Maps between the two per network,
+ * including which USDC variant stands in for the CEX's USDC.
+ */
+const config = require('./config');
+const tokens = require('./tokens');
+
+// CEX asset -> on-chain token symbol per network, assets not listed map to the same symbol
+const ASSET_TOKENS = {
+    ethereum: { ETH: 'WETH', BTC: 'WBTC' },
+    arbitrum: { ETH: 'WETH', BTC: 'WBTC' },
+    optimism: { ETH: 'WETH', BTC: 'WBTC' },
+    polygon: { ETH: 'WETH', BTC: 'WBTC', MATIC: 'WMATIC', POL: 'WMATIC' },
+};
+
+module.exports = {
+    // On-chain token symbol a CEX asset trades as on a network
+    toToken(network, asset) {
+        const symbol = asset.toUpperCase();
+        if (symbol === 'USDC') {
+            return config.networks[network].usdcToken || 'USDC';
+        }
+        return (ASSET_TOKENS[network] && ASSET_TOKENS[network][symbol]) || symbol;
+    },
+
+    // CEX asset an on-chain token is traded as
+    toAsset(network, token) {
+        if (token === (config.networks[network].usdcToken || 'USDC')) {
+            return 'USDC';
+        }
+        const mapping = Object.entries(ASSET_TOKENS[network] || {}).find(([, symbol]) => symbol === token);
+        return mapping ? mapping[0] : token;
+    },
+
+    /**
+     * On-chain tokens of a CEX pair on a network
+     *
+     * @param {String} pair - CEX pair, e.g. ETH-USDT
+     * @returns {Object|null} { baseToken, quoteToken }, null if either token
+     *   is not listed on the network or was rejected
+     */
+    getPairTokens(network, pair) {
+        const [baseAsset, quoteAsset] = pair.split('-');
+        const baseToken = this.toToken(network, baseAsset);
+        const quoteToken = this.toToken(network, quoteAsset);
+
+        if (!tokens.has(network, baseToken) || !tokens.has(network, quoteToken)) {
+            return null;
+        }
+        return { baseToken, quoteToken };
+    },
+
+    // Whether the asset is the network's gas token, held unwrapped in the wallet
+    isNativeAsset(network, asset) {
+        return asset.toUpperCase() === config.networks[network].nativeAsset;
+    },
+};
@@ -1,50 +1,292 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
+const path = require('path');
 
 const config = {
     binance: {
         apiKey: process.env.BINANCE_API_KEY,
         apiSecret: process.env.BINANCE_API_SECRET,
+        orderBookSnapshotDepth: parseInt(process.env.BINANCE_ORDER_BOOK_DEPTH || '1000'),
+        depthUpdateSpeed: process.env.BINANCE_DEPTH_UPDATE_SPEED || '100ms',
+        orderBookResyncDelay: parseInt(process.env.BINANCE_ORDER_BOOK_RESYNC_DELAY_MS || '1000'),
+        wsBaseUrl: process.env.BINANCE_WS_BASE_URL || 'wss://stream.binance.com:9443/ws',
+        userStreamKeepAliveMs: parseInt(process.env.BINANCE_USER_STREAM_KEEPALIVE_MS || '1800000'),
+        userStreamReconnectDelayMs: parseInt(process.env.BINANCE_USER_STREAM_RECONNECT_DELAY_MS || '5000'),
+        streamHeartbeatTimeoutMs: parseInt(process.env.BINANCE_STREAM_HEARTBEAT_TIMEOUT_MS || '30000'),
+        streamReconnectBaseDelayMs: parseInt(process.env.BINANCE_STREAM_RECONNECT_BASE_DELAY_MS || '1000'),
+        streamReconnectMaxDelayMs: parseInt(process.env.BINANCE_STREAM_RECONNECT_MAX_DELAY_MS || '60000'),
+        // Prices older than this are treated as missing, optionally per symbol (ETHUSDT:3000,...)
+        staleAfterMs: parseInt(process.env.BINANCE_STALE_AFTER_MS || '5000'),
+        staleThresholds: (process.env.BINANCE_STALE_THRESHOLDS || '')
+            .split(',')
+            .filter(Boolean)
+            .reduce((thresholds, entry) => {
+                const [symbol, ms] = entry.split(':');
+                thresholds[symbol.trim().toUpperCase()] = parseInt(ms);
+                return thresholds;
+            }, {}),
+        // Fraction of each published limit the bot allows itself to use
+        rateLimitSafetyRatio: parseFloat(process.env.BINANCE_RATE_LIMIT_SAFETY_RATIO || '0.8'),
+        rateLimitMaxWaitMs: parseInt(process.env.BINANCE_RATE_LIMIT_MAX_WAIT_MS || '10000'),
+        rateLimitBackoffMs: parseInt(process.env.BINANCE_RATE_LIMIT_BACKOFF_MS || '60000'),
+        rateLimitBanBackoffMs: parseInt(process.env.BINANCE_RATE_LIMIT_BAN_BACKOFF_MS || '120000'),
+        makerFee: parseFloat(process.env.BINANCE_MAKER_FEE || '0.001'),
+        takerFee: parseFloat(process.env.BINANCE_TAKER_FEE || '0.001'),
+    },
+    okx: {
+        apiKey: process.env.OKX_API_KEY,
+        apiSecret: process.env.OKX_API_SECRET,
+        passphrase: process.env.OKX_API_PASSPHRASE,
+        restUrl: process.env.OKX_REST_URL || 'https://www.okx.com',
+        wsUrl: process.env.OKX_WS_URL || 'wss://ws.okx.com:8443/ws/v5/public',
+        reconnectDelayMs: parseInt(process.env.OKX_RECONNECT_DELAY_MS || '5000'),
+        makerFee: parseFloat(process.env.OKX_MAKER_FEE || '0.0008'),
+        takerFee: parseFloat(process.env.OKX_TAKER_FEE || '0.001'),
+    },
+    cex: {
+        // Centralized exchanges to compare against the DEX venues
+        exchanges: (process.env.CEX_EXCHANGES || 'binance').split(',').map(name => name.trim().toLowerCase()),
     },
     networks: {
         ethereum: {
             name: 'Ethereum',
             rpcUrl: process.env.ETH_MAINNET_RPC_URL,
             chainId: 1,
+            // Gas token as the CEX lists it, and its wrapped token used to price gas in the quote currency
+            nativeAsset: 'ETH',
+            nativeToken: 'WETH',
+            // Confirmations (its own block included) before a transaction counts as final
+            confirmations: parseInt(process.env.ETH_CONFIRMATIONS || '1'),
+            // Private relay for swaps, e.g. https://rpc.flashbots.net; unset broadcasts publicly
+            privateRelayUrl: process.env.ETH_PRIVATE_RELAY_URL || null,
+            // How the L1 data fee is charged: 'optimism', 'arbitrum' or null
+            l1FeeModel: null,
             provider: null, // Will be initialized
         },
         arbitrum: {
             name: 'Arbitrum',
             rpcUrl: process.env.ARBITRUM_RPC_URL,
             chainId: 42161,
+            nativeAsset: 'ETH',
+            nativeToken: 'WETH',
+            // USDC variant the CEX's USDC maps to: native USDC or bridged USDC.e
+            usdcToken: process.env.ARBITRUM_USDC_TOKEN || 'USDC',
+            confirmations: parseInt(process.env.ARBITRUM_CONFIRMATIONS || '1'),
+            privateRelayUrl: process.env.ARBITRUM_PRIVATE_RELAY_URL || null,
+            l1FeeModel: 'arbitrum',
             provider: null,
         },
         optimism: {
             name: 'Optimism',
             rpcUrl: process.env.OPTIMISM_RPC_URL,
             chainId: 10,
+            nativeAsset: 'ETH',
+            nativeToken: 'WETH',
+            usdcToken: process.env.OPTIMISM_USDC_TOKEN || 'USDC',
+            confirmations: parseInt(process.env.OPTIMISM_CONFIRMATIONS || '1'),
+            privateRelayUrl: process.env.OPTIMISM_PRIVATE_RELAY_URL || null,
+            l1FeeModel: 'optimism',
             provider: null,
         },
         polygon: {
             name: 'Polygon',
             rpcUrl: process.env.POLYGON_RPC_URL,
             chainId: 137,
+            nativeAsset: 'MATIC',
+            nativeToken: 'WMATIC',
+            usdcToken: process.env.POLYGON_USDC_TOKEN || 'USDC',
+            confirmations: parseInt(process.env.POLYGON_CONFIRMATIONS || '3'),
+            privateRelayUrl: process.env.POLYGON_PRIVATE_RELAY_URL || null,
+            l1FeeModel: null,
             provider: null,
         },
     },
     wallet: {
         privateKey: process.env.PRIVATE_KEY,
     },
+    tokens: {
+        // Token-list JSON files, later files override earlier ones on the same symbol
+        lists: (process.env.TOKEN_LISTS || path.join(__dirname, 'tokenlists', 'default.tokenlist.json')).split(',').map(file => file.trim()),
+        // On-chain decimals and symbols read at startup, reused until they expire
+        cacheFile: process.env.TOKEN_CACHE_FILE || '.cache/token-metadata.json',
+        cacheTtlMs: parseInt(process.env.TOKEN_CACHE_TTL_MS || '604800000'),
+    },
     trading: {
         minimumProfitPercentage: parseFloat(process.env.MINIMUM_PROFIT_PERCENTAGE || '0.5'),
         maxSlippagePercentage: parseFloat(process.env.MAX_SLIPPAGE_PERCENTAGE || '0.5'),
+        // Skip DEX quotes whose price impact (the move past the mid price, LP fees aside) exceeds this
+        maxPriceImpactPercentage: parseFloat(process.env.MAX_PRICE_IMPACT_PERCENTAGE || '1'),
         gasLimit: parseInt(process.env.GAS_LIMIT || '500000'),
         gasPriceMultiplier: parseFloat(process.env.GAS_PRICE_MULTIPLIER || '1.1'),
-        tradingPairs: (process.env.TRADING_PAIRS || 'ETH-USDT,WBTC-USDT,LINK-USDT').split(','),
+        // A pair is re-scanned this long after a CEX ticker move or new block, later triggers join the scan
+        scanDebounceMs: parseInt(process.env.SCAN_DEBOUNCE_MS || '200'),
+        // Base token amount of the reference quote each scan takes the DEX mid price and route from
+        tradeAmount: process.env.TRADE_AMOUNT || '1',
+        sizing: {
+            // Notional range (in the quote asset) trade sizes are searched in, optionally per pair (ETH-USDT:100:50000,...)
+            minNotional: parseFloat(process.env.SIZING_MIN_NOTIONAL || '100'),
+            maxNotional: parseFloat(process.env.SIZING_MAX_NOTIONAL || '10000'),
+            pairLimits: (process.env.SIZING_PAIR_LIMITS || '')
+                .split(',')
+                .filter(Boolean)
+                .reduce((limits, entry) => {
+                    const [pair, minNotional, maxNotional] = entry.split(':');
+                    limits[pair.trim().toUpperCase()] = { minNotional: parseFloat(minNotional), maxNotional: parseFloat(maxNotional) };
+                    return limits;
+                }, {}),
+            // Sizes quoted per search pass, a coarse pass over the range and a fine one around its best
+            steps: parseInt(process.env.SIZING_STEPS || '6'),
+            // Cap sizes by the CEX and wallet balances each leg spends, off to scan without funds
+            useBalances: process.env.SIZING_USE_BALANCES !== 'false',
+        },
+        // MARKET, IOC or FOK; limit orders are priced from the opportunity with a tolerance
+        cexOrderType: (process.env.CEX_ORDER_TYPE || 'IOC').toUpperCase(),
+        cexPriceTolerancePercentage: parseFloat(process.env.CEX_PRICE_TOLERANCE_PERCENTAGE || '0.1'),
+        // CEX pairs, mapped to each network's tokens (ETH to WETH, BTC to WBTC, ...)
+        tradingPairs: (process.env.TRADING_PAIRS || 'ETH-USDT,BTC-USDT,LINK-USDT').split(','),
+        // Wrap native gas token from the wallet when a swap needs more of its wrapped token than held
+        wrapNative: process.env.WRAP_NATIVE !== 'false',
+        // Unwrap the wrapped gas token a swap bought, to hold it natively
+        unwrapNative: process.env.UNWRAP_NATIVE === 'true',
+        // Native balance never wrapped, kept to pay for gas
+        nativeGasReserve: process.env.NATIVE_GAS_RESERVE || '0.05',
+    },
+    inventory: {
+        // Wallet and CEX balances are re-read this often, and after every trade
+        refreshMs: parseInt(process.env.INVENTORY_REFRESH_MS || '15000'),
+        rebalance: {
+            // off, plan (log the transfers that would restore the bands) or execute
+            mode: (process.env.REBALANCE_MODE || 'plan').toLowerCase(),
+            intervalMs: parseInt(process.env.REBALANCE_INTERVAL_MS || '300000'),
+            // A venue's share of an asset may drift this many percentage points from its target share
+            bandPercentage: parseFloat(process.env.REBALANCE_BAND_PERCENTAGE || '10'),
+            // Target share per venue (ETH:binance:0.5,ETH:arbitrum:0.5), only the venues listed for an
+            // asset are balanced; assets without targets are spread evenly across every venue
+            targets: (process.env.REBALANCE_TARGETS || '')
+                .split(',')
+                .filter(Boolean)
+                .reduce((targets, entry) => {
+                    const [asset, venue, share] = entry.split(':').map(part => part.trim());
+                    const key = asset.toUpperCase();
+                    targets[key] = { ...targets[key], [venue.toLowerCase()]: parseFloat(share) };
+                    return targets;
+                }, {}),
+            // A transfer is settled once its destination balance grows, and given up on after this long
+            transferTimeoutMs: parseInt(process.env.REBALANCE_TRANSFER_TIMEOUT_MS || '3600000'),
+        },
+    },
+    recovery: {
+        // Price tolerances (percent) a failed leg is retried with, then the filled leg unwound with
+        toleranceSteps: (process.env.RECOVERY_TOLERANCE_STEPS || '0.2,0.5,1').split(',').map(step => parseFloat(step)),
+        // Steps past this loss (percent of the expected price) are not tried, the position is left open instead
+        maxLossPercentage: parseFloat(process.env.RECOVERY_MAX_LOSS_PERCENTAGE || '1'),
+        // Executions kept in memory for the API
+        historySize: parseInt(process.env.RECOVERY_HISTORY_SIZE || '200'),
+    },
+    opportunities: {
+        // A detected opportunity can't be executed once this old, its prices are stale
+        ttlMs: parseInt(process.env.OPPORTUNITY_TTL_MS || '10000'),
+        // Opportunities kept in memory with their lifecycle for the API
+        historySize: parseInt(process.env.OPPORTUNITY_HISTORY_SIZE || '1000'),
+    },
+    risk: {
+        // Largest trade notional (in the quote asset), optionally lower per pair (ETH-USDT:5000,...)
+        maxTradeNotional: parseFloat(process.env.RISK_MAX_TRADE_NOTIONAL || '10000'),
+        pairMaxNotional: (process.env.RISK_PAIR_MAX_NOTIONAL || '')
+            .split(',')
+            .filter(Boolean)
+            .reduce((limits, entry) => {
+                const [pair, maxNotional] = entry.split(':');
+                limits[pair.trim().toUpperCase()] = parseFloat(maxNotional);
+                return limits;
+            }, {}),
+        // Base asset held by trades in flight and unhedged positions, per asset (ETH:5,BTC:0.2), unlisted assets unlimited
+        maxExposure: (process.env.RISK_MAX_EXPOSURE || '')
+            .split(',')
+            .filter(Boolean)
+            .reduce((limits, entry) => {
+                const [asset, quantity] = entry.split(':');
+                limits[asset.trim().toUpperCase()] = parseFloat(quantity);
+                return limits;
+            }, {}),
+        maxTradesPerMinute: parseInt(process.env.RISK_MAX_TRADES_PER_MINUTE || '6'),
+        // No trades once the realized loss since UTC midnight reaches this (in the quote asset)
+        dailyLossLimit: parseFloat(process.env.RISK_DAILY_LOSS_LIMIT || '100'),
+        // Trading halts after this many executions in a row fail, unwind or are left unhedged
+        maxConsecutiveFailures: parseInt(process.env.RISK_MAX_CONSECUTIVE_FAILURES || '3'),
+        // Rejections kept in memory for the API
+        historySize: parseInt(process.env.RISK_HISTORY_SIZE || '100'),
+    },
+    alerts: {
+        // Alerts are always logged, and posted here as JSON if set
+        webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+        historySize: parseInt(process.env.ALERT_HISTORY_SIZE || '100'),
+    },
+    journal: {
+        // Executions and evaluated opportunities are appended here as JSON lines, kept across restarts
+        dir: process.env.JOURNAL_DIR || '.data/journal',
+        recordOpportunities: process.env.JOURNAL_OPPORTUNITIES !== 'false',
+    },
+    gas: {
+        // maxFeePerGas = base fee * multiplier + priority fee, leaving room for base fee increases
+        baseFeeMultiplier: parseFloat(process.env.GAS_BASE_FEE_MULTIPLIER || '2'),
+        // Fee data older than this is refreshed before use
+        maxAgeMs: parseInt(process.env.GAS_ORACLE_MAX_AGE_MS || '15000'),
+    },
+    transactions: {
+        // Resend with higher fees when a transaction has not been mined for this long
+        stuckAfterMs: parseInt(process.env.TX_STUCK_AFTER_MS || '30000'),
+        // Fee increase per replacement, nodes require at least 10%
+        feeBumpPercentage: parseInt(process.env.TX_FEE_BUMP_PERCENTAGE || '15'),
+        // Speed-ups before the transaction is cancelled instead
+        maxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS || '3'),
+        pollIntervalMs: parseInt(process.env.TX_POLL_INTERVAL_MS || '2000'),
+        timeoutMs: parseInt(process.env.TX_TIMEOUT_MS || '600000'),
+    },
+    privateTx: {
+        // eth_sendRawTransaction for Protect-style RPCs, eth_sendPrivateTransaction for bundle relays
+        method: process.env.PRIVATE_RELAY_METHOD || 'eth_sendRawTransaction',
+        // Broadcast publicly if the relay hasn't included the transaction within this many blocks
+        fallbackBlocks: parseInt(process.env.PRIVATE_TX_FALLBACK_BLOCKS || '25'),
+        // Signs relay requests, a random key is used if unset
+        authKey: process.env.PRIVATE_RELAY_AUTH_KEY,
+        timeoutMs: parseInt(process.env.PRIVATE_RELAY_TIMEOUT_MS || '5000'),
+        localRelay: {
+            port: parseInt(process.env.LOCAL_RELAY_PORT || '8547'),
+            upstreamUrl: process.env.LOCAL_RELAY_UPSTREAM_URL || null,
+            // Accept transactions without forwarding them, to test the public fallback
+            withhold: process.env.LOCAL_RELAY_WITHHOLD === 'true',
+        },
     },
     dex: {
+        // DEX venues to evaluate on every network they are deployed on
+        venues: (process.env.DEX_VENUES || 'uniswap,sushiswap').split(',').map(name => name.trim().toLowerCase()),
         uniswapV3Router: process.env.UNISWAP_V3_ROUTER || '0xE592427A0AEce92De3Edee1F18E0157C05861564',
         sushiswapRouter: process.env.SUSHISWAP_ROUTER || '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F',
+        sushiswapFactory: process.env.SUSHISWAP_FACTORY || '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac',
+        uniswapV3Factory: process.env.UNISWAP_V3_FACTORY || '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+        uniswapUniversalRouter: process.env.UNISWAP_UNIVERSAL_ROUTER || '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
+        allowance: {
+            // exact: approve each trade's amount, multiple: approve a multiple of it, unlimited: approve the max
+            policy: (process.env.ALLOWANCE_POLICY || 'multiple').toLowerCase(),
+            multiple: parseInt(process.env.ALLOWANCE_MULTIPLE || '10'),
+            // Trade Uniswap through the Universal Router with Permit2 signatures instead of router approvals
+            usePermit2: process.env.USE_PERMIT2 === 'true',
+            permit2Address: process.env.PERMIT2_ADDRESS || '0x000000000022D473030F116dDEE9F6B43aC78BA3',
+            permit2ExpirationSeconds: parseInt(process.env.PERMIT2_EXPIRATION_SECONDS || '2592000'),
+        },
+        // Tick bitmap words loaded on each side of the current price (each covers 256 tick spacings)
+        tickWordRange: parseInt(process.env.POOL_TICK_WORD_RANGE || '2'),
+        quoterCrossCheckIntervalMs: parseInt(process.env.QUOTER_CROSS_CHECK_INTERVAL_MS || '60000'),
+        quoterCrossCheckToleranceBps: parseInt(process.env.QUOTER_CROSS_CHECK_TOLERANCE_BPS || '1'),
+        // Multicall3 is deployed at the same address on every supported network
+        multicall3Address: process.env.MULTICALL3_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11',
+        // Calls per tryAggregate request, Quoter calls are gas-heavy and eth_call gas is capped
+        multicallBatchSize: parseInt(process.env.MULTICALL_BATCH_SIZE || '50'),
+        // Intermediate tokens multi-hop routes may pass through
+        hubTokens: (process.env.ROUTING_HUB_TOKENS || 'WETH,USDC,USDT,DAI').split(',').map(symbol => symbol.trim()),
+        // Most pools a single route may swap through
+        maxHops: parseInt(process.env.ROUTING_MAX_HOPS || '2'),
     },
     server: {
         port: parseInt(process.env.PORT || '3000'),
@@ -1,62 +1,129 @@
 /**
- * Token addresses for various networks
- * Used to interact with DEX pools
+ * Token Registry
+ *
+ * Tokens are loaded from standard token-list JSON files (tokenlists.org
+ * schema) and filed under the network whose chainId they carry. The
+ * bundled list covers the default pairs; a new pair only needs its tokens
+ * in one of the configured lists. USDC is the native Circle token, USDC.e
+ * the bridged one on L2s (see assets.js for the CEX mapping).
+ *
+ * Listed metadata is checked against the chain at startup by the token
+ * verifier. Tokens whose decimals or symbol don't match are rejected and
+ * can't be looked up, so nothing is priced or traded with them.
  */
-module.exports = {
-    ethereum: {
-        WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
-        USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-        USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-        WBTC: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
-        LINK: '0x514910771AF9Ca656af840dff83E8264EcF986CA',
-        DAI: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
-    },
-    arbitrum: {
-        WETH: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
-        USDT: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9',
-        USDC: '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8',
-        WBTC: '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f',
-        LINK: '0xf97f4df75117a78c1A5a0DBb814Af92458539FB4',
-        DAI: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
-    },
-    optimism: {
-        WETH: '0x4200000000000000000000000000000000000006',
-        USDT: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58',
-        USDC: '0x7F5c764cBc14f9669B88837ca1490cCa17c31607',
-        WBTC: '0x68f180fcCe6836688e9084f035309E29Bf0A2095',
-        LINK: '0x350a791Bfc2C21F9Ed5d10980Dad2e2638ffa7f6',
-        DAI: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
-    },
-    polygon: {
-        WETH: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619',
-        USDT: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F',
-        USDC: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174',
-        WBTC: '0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6',
-        LINK: '0xb0897686c545045aFc77CF20eC7A532E3120E0F1',
-        DAI: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063',
-    },
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('./config');
+
+class TokenRegistry {
+    constructor() {
+        // network -> symbol -> { address, symbol, onChainSymbol, name, decimals, verified }
+        this.tokens = {};
+        // network -> symbol -> reason the token was rejected
+        this.rejected = {};
+
+        const networksByChainId = {};
+        for (const network of Object.keys(config.networks)) {
+            networksByChainId[config.networks[network].chainId] = network;
+            this.tokens[network] = {};
+            this.rejected[network] = {};
+        }
+
+        // Later lists override earlier ones
+        for (const file of config.tokens.lists) {
+            this.loadList(file, networksByChainId);
+        }
+    }
+
+    loadList(file, networksByChainId) {
+        const list = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+        let loaded = 0;
+
+        for (const entry of list.tokens || []) {
+            const network = networksByChainId[entry.chainId];
+            if (!network) continue;
+
+            if (!ethers.isAddress(entry.address) || !entry.symbol || !Number.isInteger(entry.decimals) || entry.decimals < 0 || entry.decimals > 255) {
+                logger.warn({ file, entry }, 'Skipping malformed token list entry');
+                continue;
+            }
+
+            const existing = this.tokens[network][entry.symbol];
+            if (existing && existing.address.toLowerCase() !== entry.address.toLowerCase()) {
+                logger.warn({ network, symbol: entry.symbol, previous: existing.address, address: entry.address }, 'Token list entry overrides another address');
+            }
+
+            this.tokens[network][entry.symbol] = {
+                address: ethers.getAddress(entry.address),
+                symbol: entry.symbol,
+                // Lists key tokens by the symbol they trade under, which may differ from symbol()
+                onChainSymbol: (entry.extensions && entry.extensions.onChainSymbol) || entry.symbol,
+                name: entry.name || entry.symbol,
+                decimals: entry.decimals,
+                verified: false,
+            };
+            loaded++;
+        }
+
+        logger.debug({ file, name: list.name, tokens: loaded }, 'Token list loaded');
+    }
+
+    // Whether a token is listed on the network and hasn't been rejected
+    has(network, symbol) {
+        return Boolean(this.tokens[network] && this.tokens[network][symbol]);
+    }
+
+    getToken(network, symbol) {
+        if (!this.has(network, symbol)) {
+            const reason = this.rejected[network] && this.rejected[network][symbol];
+            throw new Error(reason
+                ? `Token ${symbol} rejected on network ${network}: ${reason}`
+                : `Token ${symbol} not found for network ${network}`);
+        }
+        return this.tokens[network][symbol];
+    }
 
     // Get token address by network and symbol
     getTokenAddress(network, symbol) {
-        if (!this[network] || !this[network][symbol]) {
-            throw new Error(`Token ${symbol} not found for network ${network}`);
+        return this.getToken(network, symbol).address;
+    }
+
+    // Get token decimals by network and symbol, there is no default for unknown tokens
+    getTokenDecimals(network, symbol) {
+        return this.getToken(network, symbol).decimals;
+    }
+
+    // Symbol -> address of every usable token on a network
+    getTokens(network) {
+        return Object.fromEntries(Object.entries(this.tokens[network] || {}).map(([symbol, token]) => [symbol, token.address]));
+    }
+
+    markVerified(network, symbol) {
+        this.tokens[network][symbol].verified = true;
+    }
+
+    isVerified(network, symbol) {
+        return this.has(network, symbol) && this.tokens[network][symbol].verified;
+    }
+
+    // Drop a token whose on-chain metadata contradicts its list entry
+    reject(network, symbol, reason) {
+        delete this.tokens[network][symbol];
+        this.rejected[network][symbol] = reason;
+    }
+
+    getStatus() {
+        const status = {};
+        for (const network of Object.keys(this.tokens)) {
+            status[network] = {
+                tokens: Object.values(this.tokens[network]).map(({ symbol, address, decimals, verified }) => ({ symbol, address, decimals, verified })),
+                rejected: this.rejected[network],
+            };
         }
-        return this[network][symbol];
-    },
-
-    // Get token decimals (most ERC20 tokens use 18 decimals, USDT uses 6)
-    getTokenDecimals(symbol) {
-        const decimalMap = {
-            USDT: 6,
-            USDC: 6,
-            DAI: 18,
-            WETH: 18,
-            ETH: 18,
-            WBTC: 8,
-            BTC: 8,
-            LINK: 18,
-        };
-
-        return decimalMap[symbol] || 18;
-    }
-}; 
\ No newline at end of file
+        return status;
+    }
+}
+
+module.exports = new TokenRegistry();
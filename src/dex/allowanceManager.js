@@ -0,0 +1,258 @@
+/**
+ * Allowance Manager
+ *
+ * Checks token allowances before swaps and tops them up only when they fall
+ * short, following the configured policy. Also signs Permit2 permits for
+ * routers that accept them, so a swap needs no approval transaction at all
+ * once the token is approved to Permit2.
+ */
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const transactionManager = require('./transactionManager');
+
+const ERC20_ABI = [
+    'function allowance(address owner, address spender) external view returns (uint256)',
+    'function approve(address spender, uint256 amount) external returns (bool)'
+];
+
+const PERMIT2_ABI = [
+    'function allowance(address owner, address token, address spender) external view returns (uint160 amount, uint48 expiration, uint48 nonce)'
+];
+
+const PERMIT2_TYPES = {
+    PermitDetails: [
+        { name: 'token', type: 'address' },
+        { name: 'amount', type: 'uint160' },
+        { name: 'expiration', type: 'uint48' },
+        { name: 'nonce', type: 'uint48' },
+    ],
+    PermitSingle: [
+        { name: 'details', type: 'PermitDetails' },
+        { name: 'spender', type: 'address' },
+        { name: 'sigDeadline', type: 'uint256' },
+    ],
+};
+
+const MAX_UINT160 = (1n << 160n) - 1n;
+
+// How long a signed permit may wait before it is submitted
+const PERMIT_SIG_DEADLINE_SECONDS = 1800;
+
+class AllowanceManager {
+    constructor() {
+        this.allowances = {};
+        this.pending = {};
+    }
+
+    getKey(network, token, spender) {
+        return `${network}:${token.toLowerCase()}:${spender.toLowerCase()}`;
+    }
+
+    /**
+     * Amount to approve when an allowance has to be topped up
+     *
+     * @param {BigInt} amount - Amount the trade needs
+     * @param {BigInt} max - Largest amount the allowance can hold
+     */
+    getTargetAllowance(amount, max) {
+        switch (config.dex.allowance.policy) {
+            case 'exact':
+                return amount;
+            case 'unlimited':
+                return max;
+            case 'multiple': {
+                const target = amount * BigInt(config.dex.allowance.multiple);
+                return target > max ? max : target;
+            }
+            default:
+                throw new Error(`Unknown allowance policy: ${config.dex.allowance.policy}`);
+        }
+    }
+
+    /**
+     * Make sure a spender may move at least `amount` of a token, approving
+     * only if the current allowance falls short
+     *
+     * @param {String} network - Network key
+     * @param {Object} signer - Wallet connected to the network's provider
+     * @param {String} token - Token address
+     * @param {String} spender - Router or Permit2 address
+     * @param {BigInt} amount - Amount the trade needs
+     * @returns {Boolean} Whether an approval transaction was sent
+     */
+    async ensureAllowance(network, signer, token, spender, amount) {
+        const key = this.getKey(network, token, spender);
+
+        // One check-and-approve at a time per token and spender, so concurrent trades don't approve twice
+        const previous = this.pending[key] || Promise.resolve();
+        const run = previous.catch(() => {}).then(() => this.topUp(network, signer, token, spender, amount));
+        this.pending[key] = run;
+
+        try {
+            return await run;
+        } finally {
+            if (this.pending[key] === run) {
+                delete this.pending[key];
+            }
+        }
+    }
+
+    async topUp(network, signer, token, spender, amount) {
+        const current = await this.readAllowance(network, signer.address, token, spender);
+        if (current >= amount) {
+            return false;
+        }
+
+        await this.approve(network, signer, token, spender, current, this.getTargetAllowance(amount, ethers.MaxUint256));
+        return true;
+    }
+
+    async approve(network, signer, token, spender, current, target) {
+        const tokenContract = new ethers.Contract(token, ERC20_ABI, signer);
+
+        logger.info({
+            network,
+            token,
+            spender,
+            current: current.toString(),
+            target: target.toString(),
+        }, 'Topping up token allowance');
+
+        // Approvals share the swap's nonce sequence, so they go through the transaction manager too
+        const sendApproval = async amount => {
+            const txRequest = await tokenContract.approve.populateTransaction(spender, amount);
+            return transactionManager.waitForConfirmation(await transactionManager.send(network, signer, txRequest));
+        };
+
+        try {
+            await sendApproval(target);
+        } catch (error) {
+            // Tokens like USDT refuse to change a non-zero allowance, so reset it first
+            if (current === 0n) throw error;
+
+            logger.warn({ network, token, spender }, 'Approval rejected, resetting allowance to zero first');
+            await sendApproval(0);
+            await sendApproval(target);
+        }
+
+        this.record(network, token, spender, { type: 'erc20', amount: target });
+    }
+
+    async readAllowance(network, owner, token, spender) {
+        const tokenContract = new ethers.Contract(token, ERC20_ABI, config.networks[network].provider);
+        const amount = BigInt(await tokenContract.allowance(owner, spender));
+
+        this.record(network, token, spender, { type: 'erc20', amount });
+        return amount;
+    }
+
+    /**
+     * Permit letting `spender` pull `amount` of a token through Permit2. Only
+     * signs, the token's approval to Permit2 itself is ensureAllowance's job
+     *
+     * @returns {Object|null} { permitSingle, signature }, or null if the
+     *   existing Permit2 allowance already covers the amount
+     */
+    async getPermit2Signature(network, signer, token, spender, amount) {
+        const permit2Address = config.dex.allowance.permit2Address;
+
+        const permit2 = new ethers.Contract(permit2Address, PERMIT2_ABI, config.networks[network].provider);
+        const existing = await permit2.allowance(signer.address, token, spender);
+        const now = Math.floor(Date.now() / 1000);
+
+        this.record(network, token, spender, {
+            type: 'permit2',
+            amount: BigInt(existing.amount),
+            expiration: Number(existing.expiration),
+        });
+
+        if (BigInt(existing.amount) >= amount && Number(existing.expiration) > now) {
+            return null;
+        }
+
+        const permitSingle = {
+            details: {
+                token,
+                amount: this.getTargetAllowance(amount, MAX_UINT160),
+                expiration: now + config.dex.allowance.permit2ExpirationSeconds,
+                nonce: existing.nonce,
+            },
+            spender,
+            sigDeadline: now + PERMIT_SIG_DEADLINE_SECONDS,
+        };
+
+        const { chainId } = await config.networks[network].provider.getNetwork();
+        const domain = { name: 'Permit2', chainId, verifyingContract: permit2Address };
+        const signature = await signer.signTypedData(domain, PERMIT2_TYPES, permitSingle);
+
+        return { permitSingle, signature };
+    }
+
+    // Record a permit once the swap carrying it has been submitted
+    recordPermit(network, permitSingle) {
+        this.record(network, permitSingle.details.token, permitSingle.spender, {
+            type: 'permit2',
+            amount: BigInt(permitSingle.details.amount),
+            expiration: permitSingle.details.expiration,
+        });
+    }
+
+    record(network, token, spender, { type, amount, expiration = null }) {
+        this.allowances[`${this.getKey(network, token, spender)}:${type}`] = {
+            network,
+            token,
+            spender,
+            type,
+            amount: amount.toString(),
+            expiration,
+            updatedAt: Date.now(),
+        };
+    }
+
+    /**
+     * Read the current allowance of every token for every approval target
+     *
+     * @param {Array} targets - { network, token, symbol, spender, spenderName, type }
+     * @returns {Array} Targets with amount, expiration and whether they are approved
+     */
+    async getApprovalStatus(owner, targets) {
+        return Promise.all(targets.map(async target => {
+            try {
+                let amount;
+                let expiration = null;
+
+                if (target.type === 'permit2') {
+                    const permit2 = new ethers.Contract(
+                        config.dex.allowance.permit2Address,
+                        PERMIT2_ABI,
+                        config.networks[target.network].provider
+                    );
+                    const existing = await permit2.allowance(owner, target.token, target.spender);
+                    amount = BigInt(existing.amount);
+                    expiration = Number(existing.expiration);
+                    this.record(target.network, target.token, target.spender, { type: 'permit2', amount, expiration });
+                } else {
+                    amount = await this.readAllowance(target.network, owner, target.token, target.spender);
+                }
+
+                const expired = expiration !== null && expiration <= Math.floor(Date.now() / 1000);
+                return {
+                    ...target,
+                    amount: amount.toString(),
+                    expiration,
+                    approved: amount > 0n && !expired,
+                };
+            } catch (error) {
+                logger.warn({ error, ...target }, 'Failed to read allowance');
+                return { ...target, amount: null, expiration: null, approved: false, error: error.message };
+            }
+        }));
+    }
+
+    getAllowances() {
+        return Object.values(this.allowances);
+    }
+}
+
+module.exports = new AllowanceManager();
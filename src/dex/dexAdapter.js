@@ -0,0 +1,272 @@
+/**
+ * DEX Adapter
+ *
+ * Contract every on-chain venue adapter implements so the arbitrage service
+ * can price and trade each network's venues interchangeably. Amounts are
+ * passed as decimal strings, actions as 'buy'/'sell' of the base token, and
+ * tokens by symbol.
+ */
+const { ethers } = require('ethers');
+const BigNumber = require('bignumber.js');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const tokens = require('../config/tokens');
+const transactionManager = require('./transactionManager');
+const swapSimulator = require('./swapSimulator');
+const nativeWrapper = require('./nativeWrapper');
+const allowanceManager = require('./allowanceManager');
+
+const ERC20_ABI = [
+    'function balanceOf(address account) external view returns (uint256)'
+];
+
+// Raw hop prices are integers scaled by 10^36 so multi-hop products keep their precision
+const PRICE_SCALE = 10n ** 36n;
+
+class DexAdapter {
+    constructor(name) {
+        this.name = name;
+        this.wallet = null;
+    }
+
+    async initialize() {
+        throw new Error(`${this.name}: initialize() not implemented`);
+    }
+
+    async stop() {}
+
+    /**
+     * Whether the venue is deployed and set up on a network
+     */
+    supportsNetwork(network) {
+        throw new Error(`${this.name}: supportsNetwork() not implemented`);
+    }
+
+    /**
+     * Quote selling an amount of the base token along the best route, with
+     * every on-chain read pinned to one block (the latest if none is given).
+     * Given a route from an earlier quote, only that route is quoted, in
+     * either direction.
+     * { amountOut, route, blockNumber, midPrice, executionPrice, priceImpact },
+     * amountOut in quote token units, see describeExecution for the prices
+     */
+    async getQuote(network, baseToken, quoteToken, amount, blockNumber, route) {
+        throw new Error(`${this.name}: getQuote() not implemented`);
+    }
+
+    async getPrice(network, baseToken, quoteToken, amount = '1') {
+        const { amountOut } = await this.getQuote(network, baseToken, quoteToken, amount);
+        return amountOut;
+    }
+
+    // Spot price of a hop as tokenOut units per tokenIn unit, from any ratio of the two
+    toHopPrice(numerator, denominator) {
+        return numerator * PRICE_SCALE / denominator;
+    }
+
+    /**
+     * Mid price, execution price and price impact of a quote, the prices per
+     * unit of the base token in the quote token. The impact leaves out the
+     * route's LP fees, so it only measures how far the trade moves the pools.
+     *
+     * @param {String} amount - Base token amount quoted
+     * @param {String} amountOut - Quote token amount it returns
+     * @param {Array} hopPrices - Spot price of each hop before the trade, from toHopPrice
+     * @param {Array} fees - Pool fee of each hop in hundredths of a bip
+     * @returns {Object} { midPrice, executionPrice, priceImpact } priceImpact in percent
+     */
+    describeExecution(network, baseToken, quoteToken, amount, amountOut, hopPrices, fees) {
+        const rawMidPrice = hopPrices.reduce((price, hopPrice) => price * hopPrice / PRICE_SCALE, PRICE_SCALE);
+        const midPrice = new BigNumber(rawMidPrice.toString())
+            .shiftedBy(tokens.getTokenDecimals(network, baseToken) - tokens.getTokenDecimals(network, quoteToken) - 36);
+        const executionPrice = new BigNumber(amountOut).dividedBy(amount);
+
+        const midAfterFees = fees.reduce((price, fee) => price.multipliedBy(1 - fee / 1e6), midPrice);
+        const priceImpact = midAfterFees.isZero()
+            ? 0
+            : midAfterFees.minus(executionPrice).dividedBy(midAfterFees).multipliedBy(100).toNumber();
+
+        return {
+            midPrice: midPrice.toString(),
+            executionPrice: executionPrice.toString(),
+            priceImpact,
+        };
+    }
+
+    /**
+     * Simulate, swap, wait for confirmation and return { txHash, amountIn,
+     * estimatedAmountOut, amountOut, gasUsed, gasPaid, route }
+     */
+    async executeTrade(network, action, baseToken, quoteToken, amount, slippagePercentage) {
+        throw new Error(`${this.name}: executeTrade() not implemented`);
+    }
+
+    /**
+     * Pick the route and build the swap transaction for a trade, reading
+     * chain state only and sending nothing
+     * { txRequest, spender, tokenIn, tokenOut, amountIn, minAmountOut, route, deadline, pools }
+     */
+    async prepareTrade(network, action, baseToken, quoteToken, amount, slippagePercentage) {
+        throw new Error(`${this.name}: prepareTrade() not implemented`);
+    }
+
+    // Buying swaps the quote token for the base token, selling the reverse
+    getTradeInput(network, action, baseToken, quoteToken, amount) {
+        if (action !== 'buy' && action !== 'sell') {
+            throw new Error(`Invalid action: ${action}. Must be 'buy' or 'sell'`);
+        }
+
+        const [tokenIn, tokenOut] = action === 'buy' ? [quoteToken, baseToken] : [baseToken, quoteToken];
+        return { tokenIn, tokenOut, amountIn: ethers.parseUnits(amount, tokens.getTokenDecimals(network, tokenIn)) };
+    }
+
+    /**
+     * Wrap native balance the wallet holds if the trade sells more of the
+     * wrapped gas token than held, waiting for the deposit to confirm.
+     * Simulating a trade never wraps, it reports the short balance.
+     */
+    async wrapTrade(network, action, baseToken, quoteToken, amount) {
+        const { tokenIn, amountIn } = this.getTradeInput(network, action, baseToken, quoteToken, amount);
+        await nativeWrapper.wrapShortfall(network, this.wallet.connect(config.networks[network].provider), tokenIn, amountIn);
+    }
+
+    /**
+     * Approve the trade's input token to the venue's spenders where the
+     * allowance falls short, waiting for the approvals to confirm. Building
+     * and simulating a trade never approves, a simulation reports the
+     * missing allowance instead.
+     */
+    async approveTrade(network, action, baseToken, quoteToken, amount) {
+        const { tokenIn, amountIn } = this.getTradeInput(network, action, baseToken, quoteToken, amount);
+        const signer = this.wallet.connect(config.networks[network].provider);
+
+        for (const { spender } of this.getApprovalTargets(network).filter(target => target.type === 'erc20')) {
+            await allowanceManager.ensureAllowance(network, signer, tokens.getTokenAddress(network, tokenIn), spender, amountIn);
+        }
+    }
+
+    /**
+     * Check that a trade would go through right now without sending anything
+     *
+     * @returns {Object} { blockNumber, route } route is the route's description
+     * @throws Simulation failure with a reason code, see swapSimulator
+     */
+    async simulateTrade(network, action, baseToken, quoteToken, amount, slippagePercentage) {
+        const trade = await this.prepareTrade(network, action, baseToken, quoteToken, amount, slippagePercentage);
+        const { blockNumber } = await this.simulateSwap(network, trade);
+
+        return { blockNumber, route: trade.route.description };
+    }
+
+    // eth_call a prepared swap against the latest block, with balance and approval checks,
+    // refusing routes through tokens whose metadata wasn't verified on-chain
+    async simulateSwap(network, trade) {
+        const unverified = trade.route.symbols.filter(symbol => !tokens.isVerified(network, symbol));
+        if (unverified.length > 0) {
+            throw swapSimulator.failure(swapSimulator.REASONS.UNVERIFIED_TOKEN, `Token metadata not verified on ${network}: ${unverified.join(', ')}`, {
+                tokens: unverified,
+            });
+        }
+
+        return swapSimulator.simulate(network, this.wallet.address, {
+            txRequest: trade.txRequest,
+            tokenIn: trade.route.addresses[0],
+            amountIn: trade.amountIn,
+            spender: trade.spender,
+            pools: trade.pools,
+        });
+    }
+
+    /**
+     * Gas units a swap along the given route is expected to use
+     */
+    estimateGas(network, route) {
+        throw new Error(`${this.name}: estimateGas() not implemented`);
+    }
+
+    /**
+     * Contracts that must be allowed to move the wallet's tokens on a network
+     * [{ spender, spenderName, type }], type 'erc20' or 'permit2'
+     */
+    getApprovalTargets(network) {
+        throw new Error(`${this.name}: getApprovalTargets() not implemented`);
+    }
+
+    /**
+     * Swap fees as fractions, e.g. { swap: 0.003 }
+     */
+    getFees() {
+        throw new Error(`${this.name}: getFees() not implemented`);
+    }
+
+    async getTokenBalance(network, token) {
+        try {
+            const tokenAddress = tokens.getTokenAddress(network, token);
+            const tokenContract = new ethers.Contract(
+                tokenAddress,
+                ERC20_ABI,
+                config.networks[network].provider
+            );
+
+            const balance = await tokenContract.balanceOf(this.wallet.address);
+            const decimals = tokens.getTokenDecimals(network, token);
+
+            return ethers.formatUnits(balance, decimals);
+        } catch (error) {
+            logger.error({ error, token, network, dex: this.name }, 'Failed to get token balance');
+            throw error;
+        }
+    }
+
+    /**
+     * Amount of the output token the wallet received, decoded from the
+     * swap's pool events, or null if the receipt has none
+     */
+    getSwapAmountOut(receipt) {
+        throw new Error(`${this.name}: getSwapAmountOut() not implemented`);
+    }
+
+    // Send a populated swap through the transaction manager, privately where the network has a relay
+    async sendSwap(network, txRequest, deadline) {
+        const signer = this.wallet.connect(config.networks[network].provider);
+        return transactionManager.send(network, signer, { ...txRequest, gasLimit: config.trading.gasLimit }, {
+            deadline,
+            privateSubmission: true,
+        });
+    }
+
+    /**
+     * Wait for a swap to confirm and report what it actually did, unwrapping
+     * a bought gas token if configured
+     *
+     * @returns {Object} { txHash, blockNumber, amountOut, gasUsed, gasPaid, replacements, unwrapped }
+     */
+    async confirmSwap(tracked, tokenOut) {
+        const { receipt, gasPaid } = await transactionManager.waitForConfirmation(tracked);
+        const amountOut = this.getSwapAmountOut(receipt);
+
+        if (amountOut === null) {
+            logger.warn({ txHash: receipt.hash, dex: this.name }, 'No swap event for the wallet in receipt');
+        }
+
+        // The swap itself went through, so a failed unwrap only leaves the output wrapped
+        let unwrapped = 0n;
+        try {
+            unwrapped = amountOut === null ? 0n : await nativeWrapper.unwrapOutput(tracked.network, tracked.signer, tokenOut, amountOut);
+        } catch (error) {
+            logger.error({ error, txHash: receipt.hash, token: tokenOut }, 'Failed to unwrap swap output');
+        }
+
+        return {
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            amountOut: amountOut === null ? null : ethers.formatUnits(amountOut, tokens.getTokenDecimals(tracked.network, tokenOut)),
+            gasUsed: receipt.gasUsed.toString(),
+            gasPaid: ethers.formatEther(gasPaid),
+            replacements: tracked.replacements,
+            unwrapped: unwrapped > 0n,
+        };
+    }
+}
+
+module.exports = DexAdapter;
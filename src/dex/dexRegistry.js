@@ -0,0 +1,32 @@
+/**
+ * DEX adapter registry
+ * Resolves the DEX venues enabled in config to their adapters
+ */
+const config = require('../config/config');
+const uniswap = require('./uniswap');
+const sushiswap = require('./sushiswap');
+
+const adapters = {
+    uniswap,
+    sushiswap,
+};
+
+module.exports = {
+    // Get the adapters for every enabled venue
+    getEnabledAdapters() {
+        return config.dex.venues.map(name => this.getAdapter(name));
+    },
+
+    // Get an enabled adapter by venue name
+    getAdapter(name) {
+        if (!adapters[name] || !config.dex.venues.includes(name)) {
+            throw new Error(`DEX adapter ${name} not found or not enabled`);
+        }
+        return adapters[name];
+    },
+
+    // Get the enabled adapters deployed on a network
+    getAdaptersForNetwork(network) {
+        return this.getEnabledAdapters().filter(dex => dex.supportsNetwork(network));
+    },
+};
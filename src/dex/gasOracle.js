@@ -0,0 +1,189 @@
+/**
+ * Gas Oracle
+ *
+ * Tracks the EIP-1559 base fee and priority fee of every network from new
+ * blocks, builds transaction fee fields from them, and estimates what a swap
+ * costs in the network's gas token, including the L1 data fee charged on
+ * Optimism and Arbitrum.
+ */
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+// Optimism GasPriceOracle predeploy
+const OP_GAS_PRICE_ORACLE = '0x420000000000000000000000000000000000000F';
+const OP_GAS_PRICE_ORACLE_ABI = [
+    'function getL1Fee(bytes _data) external view returns (uint256)'
+];
+
+// Arbitrum NodeInterface, only available through eth_call
+const ARB_NODE_INTERFACE = '0x00000000000000000000000000000000000000C8';
+const ARB_NODE_INTERFACE_ABI = [
+    'function gasEstimateL1Component(address to, bool contractCreation, bytes data) external payable returns (uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)'
+];
+
+// Approximate calldata of a router swap: ABI-encoded parameters plus the path
+const SWAP_CALLDATA_BASE_BYTES = 356;
+const SWAP_CALLDATA_BYTES_PER_HOP = 32;
+// Signature, nonce, fees and the other fields of a signed transaction
+const TX_ENVELOPE_BYTES = 68;
+
+class GasOracle {
+    constructor() {
+        this.fees = {};
+        this.refreshing = {};
+        this.subscriptions = [];
+    }
+
+    async start() {
+        for (const network in config.networks) {
+            const provider = config.networks[network].provider;
+            if (!provider) continue;
+
+            try {
+                await this.refresh(network);
+            } catch (error) {
+                logger.error({ error, network }, 'Failed to load gas fees');
+            }
+
+            const listener = () => {
+                this.refresh(network).catch(error => logger.warn({ error, network }, 'Failed to refresh gas fees'));
+            };
+            provider.on('block', listener);
+            this.subscriptions.push({ provider, listener });
+        }
+
+        logger.info('Gas oracle started');
+    }
+
+    async stop() {
+        for (const { provider, listener } of this.subscriptions) {
+            await provider.off('block', listener);
+        }
+        this.subscriptions = [];
+    }
+
+    async refresh(network) {
+        // Several blocks can arrive while a refresh is in flight
+        if (this.refreshing[network]) {
+            return this.refreshing[network];
+        }
+
+        const provider = config.networks[network].provider;
+        this.refreshing[network] = Promise.all([provider.getBlock('latest'), provider.getFeeData()])
+            .then(([block, feeData]) => {
+                if (block.baseFeePerGas === null) {
+                    throw new Error(`Network ${network} does not report a base fee`);
+                }
+
+                this.fees[network] = {
+                    baseFeePerGas: block.baseFeePerGas,
+                    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas || 0n,
+                    blockNumber: block.number,
+                    updatedAt: Date.now(),
+                };
+                return this.fees[network];
+            })
+            .finally(() => {
+                delete this.refreshing[network];
+            });
+
+        return this.refreshing[network];
+    }
+
+    async getFees(network) {
+        const fees = this.fees[network];
+        if (fees && Date.now() - fees.updatedAt <= config.gas.maxAgeMs) {
+            return fees;
+        }
+        return this.refresh(network);
+    }
+
+    /**
+     * EIP-1559 fee fields for a transaction sent now
+     *
+     * @returns {Object} { maxFeePerGas, maxPriorityFeePerGas }
+     */
+    async getFeeOverrides(network) {
+        const { baseFeePerGas, maxPriorityFeePerGas } = await this.getFees(network);
+
+        const priorityFee = maxPriorityFeePerGas * BigInt(Math.floor(config.trading.gasPriceMultiplier * 100)) / 100n;
+        const baseFeeAllowance = baseFeePerGas * BigInt(Math.floor(config.gas.baseFeeMultiplier * 100)) / 100n;
+
+        return {
+            maxFeePerGas: baseFeeAllowance + priorityFee,
+            maxPriorityFeePerGas: priorityFee,
+        };
+    }
+
+    /**
+     * Expected cost of a swap in wei of the network's gas token
+     *
+     * @param {String} network - Network key
+     * @param {BigInt} gasUnits - Gas the swap is expected to use
+     * @param {Number} hops - Pools the swap goes through, sizes the calldata
+     * @returns {Object} { gasUnits, gasPrice, executionFee, l1Fee, totalFee }
+     */
+    async estimateSwapCost(network, gasUnits, hops = 1) {
+        const { baseFeePerGas } = await this.getFees(network);
+        const { maxPriorityFeePerGas } = await this.getFeeOverrides(network);
+
+        // What the transaction pays per gas if the base fee holds
+        const gasPrice = baseFeePerGas + maxPriorityFeePerGas;
+        const executionFee = gasUnits * gasPrice;
+        const l1Fee = await this.estimateL1Fee(network, SWAP_CALLDATA_BASE_BYTES + SWAP_CALLDATA_BYTES_PER_HOP * hops);
+
+        return {
+            gasUnits,
+            gasPrice,
+            executionFee,
+            l1Fee,
+            totalFee: executionFee + l1Fee,
+        };
+    }
+
+    /**
+     * L1 data fee for a transaction with calldata of the given size, 0 on L1s
+     */
+    async estimateL1Fee(network, calldataBytes) {
+        const { l1FeeModel, provider } = config.networks[network];
+        if (!l1FeeModel) {
+            return 0n;
+        }
+
+        // Random bytes don't compress, so the estimate errs on the high side
+        if (l1FeeModel === 'optimism') {
+            const oracle = new ethers.Contract(OP_GAS_PRICE_ORACLE, OP_GAS_PRICE_ORACLE_ABI, provider);
+            const signedTx = ethers.hexlify(ethers.randomBytes(calldataBytes + TX_ENVELOPE_BYTES));
+            return BigInt(await oracle.getL1Fee(signedTx));
+        }
+
+        if (l1FeeModel === 'arbitrum') {
+            const data = ethers.hexlify(ethers.randomBytes(calldataBytes));
+            const nodeInterface = new ethers.Contract(ARB_NODE_INTERFACE, ARB_NODE_INTERFACE_ABI, provider);
+            const { gasEstimateForL1, baseFee } = await nodeInterface.gasEstimateL1Component.staticCall(
+                config.dex.uniswapV3Router,
+                false,
+                data
+            );
+            return BigInt(gasEstimateForL1) * BigInt(baseFee);
+        }
+
+        throw new Error(`Unknown L1 fee model ${l1FeeModel} for ${network}`);
+    }
+
+    getStatus() {
+        const status = {};
+        for (const [network, fees] of Object.entries(this.fees)) {
+            status[network] = {
+                baseFeePerGas: fees.baseFeePerGas.toString(),
+                maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+                blockNumber: fees.blockNumber,
+                updatedAt: fees.updatedAt,
+            };
+        }
+        return status;
+    }
+}
+
+module.exports = new GasOracle();
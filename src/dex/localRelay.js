@@ -0,0 +1,106 @@
+/**
+ * Local Relay
+ *
+ * Stand-in for a private relay when testing against a local node. Accepts
+ * eth_sendRawTransaction and eth_sendPrivateTransaction, records what it
+ * received, and forwards it to the upstream node unless it is set to
+ * withhold transactions, which exercises the public broadcast fallback.
+ *
+ * Run with `npm run relay:local` and point a network's private relay URL at it.
+ */
+const express = require('express');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+class LocalRelay {
+    constructor({ port, upstreamUrl = null, withhold = false }) {
+        this.port = port;
+        this.upstream = upstreamUrl ? new ethers.JsonRpcProvider(upstreamUrl) : null;
+        this.withhold = withhold;
+        this.transactions = [];
+        this.server = null;
+    }
+
+    start() {
+        const app = express();
+        app.use(express.json());
+
+        app.post('/', async (req, res) => {
+            const { id, method, params = [] } = req.body;
+            try {
+                res.json({ jsonrpc: '2.0', id, result: await this.handle(method, params) });
+            } catch (error) {
+                res.json({ jsonrpc: '2.0', id, error: { code: error.code || -32000, message: error.message } });
+            }
+        });
+
+        // What the relay received, for assertions in tests
+        app.get('/transactions', (req, res) => {
+            res.json({ transactions: this.transactions });
+        });
+
+        return new Promise(resolve => {
+            this.server = app.listen(this.port, () => {
+                logger.info({ port: this.port, upstream: Boolean(this.upstream), withhold: this.withhold }, 'Local relay listening');
+                resolve();
+            });
+        });
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+        if (this.upstream) {
+            this.upstream.destroy();
+        }
+    }
+
+    async handle(method, params) {
+        let signedTx;
+        let maxBlockNumber = null;
+
+        if (method === 'eth_sendRawTransaction') {
+            signedTx = params[0];
+        } else if (method === 'eth_sendPrivateTransaction') {
+            signedTx = params[0].tx;
+            maxBlockNumber = params[0].maxBlockNumber ? Number(params[0].maxBlockNumber) : null;
+        } else {
+            throw Object.assign(new Error(`Method ${method} not supported`), { code: -32601 });
+        }
+
+        const tx = ethers.Transaction.from(signedTx);
+        const forwarded = !this.withhold && this.upstream !== null;
+
+        this.transactions.push({
+            hash: tx.hash,
+            from: tx.from,
+            nonce: tx.nonce,
+            method,
+            maxBlockNumber,
+            forwarded,
+            receivedAt: Date.now(),
+        });
+        logger.info({ hash: tx.hash, from: tx.from, nonce: tx.nonce, method, forwarded }, 'Local relay received transaction');
+
+        if (forwarded) {
+            await this.upstream.broadcastTransaction(signedTx);
+        }
+
+        return tx.hash;
+    }
+}
+
+if (require.main === module) {
+    const relay = new LocalRelay(config.privateTx.localRelay);
+    relay.start();
+
+    process.on('SIGINT', async () => {
+        await relay.stop();
+        process.exit(0);
+    });
+}
+
+module.exports = LocalRelay;
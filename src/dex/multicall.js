@@ -0,0 +1,87 @@
+/**
+ * Multicall Batcher
+ *
+ * Collects the read calls made while quoting and sends them as Multicall3
+ * tryAggregate requests, one batch per network and block. Calls queued in
+ * the same tick for the same block share a request, so a full scan costs a
+ * handful of round trips and every quote in it reads the same chain state.
+ */
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const MULTICALL3_ABI = [
+    'function tryAggregate(bool requireSuccess, tuple(address target, bytes callData)[] calls) external payable returns (tuple(bool success, bytes returnData)[] returnData)'
+];
+
+class Multicall {
+    constructor() {
+        this.queues = {};
+        this.contracts = {};
+    }
+
+    getContract(network) {
+        if (!this.contracts[network]) {
+            this.contracts[network] = new ethers.Contract(
+                config.dex.multicall3Address,
+                MULTICALL3_ABI,
+                config.networks[network].provider
+            );
+        }
+        return this.contracts[network];
+    }
+
+    /**
+     * Queue a read call for the network's next batch at a block
+     *
+     * @param {String} network - Network key
+     * @param {Number|String} blockTag - Block number the call is pinned to, or 'latest'
+     * @param {String} target - Contract address
+     * @param {String} callData - ABI-encoded call
+     * @returns {String|null} Return data, null if the call reverted
+     */
+    call(network, blockTag, target, callData) {
+        const key = `${network}:${blockTag}`;
+
+        if (!this.queues[key]) {
+            this.queues[key] = { network, blockTag, calls: [] };
+            // Everything queued before pending I/O completes goes into the same batch
+            setImmediate(() => this.flush(key));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queues[key].calls.push({ target, callData, resolve, reject });
+        });
+    }
+
+    async flush(key) {
+        const { network, blockTag, calls } = this.queues[key];
+        delete this.queues[key];
+
+        const batches = [];
+        for (let i = 0; i < calls.length; i += config.dex.multicallBatchSize) {
+            batches.push(calls.slice(i, i + config.dex.multicallBatchSize));
+        }
+
+        await Promise.all(batches.map(async batch => {
+            try {
+                const results = await this.getContract(network).tryAggregate.staticCall(
+                    false,
+                    batch.map(({ target, callData }) => ({ target, callData })),
+                    { blockTag }
+                );
+
+                results.forEach(([success, returnData], index) => {
+                    batch[index].resolve(success ? returnData : null);
+                });
+            } catch (error) {
+                logger.warn({ error, network, blockTag, calls: batch.length }, 'Multicall batch failed');
+                batch.forEach(({ reject }) => reject(error));
+            }
+        }));
+
+        logger.debug({ network, blockTag, calls: calls.length, requests: batches.length }, 'Multicall batch sent');
+    }
+}
+
+module.exports = new Multicall();
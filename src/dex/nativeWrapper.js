@@ -0,0 +1,107 @@
+/**
+ * Native Wrapper
+ *
+ * Moves value between a network's gas token and its wrapped ERC20 (ETH and
+ * WETH, MATIC and WMATIC), so a swap can spend native balance the wallet
+ * holds and bought wrapped tokens can be held natively.
+ */
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const tokens = require('../config/tokens');
+const transactionManager = require('./transactionManager');
+
+const WRAPPED_NATIVE_ABI = [
+    'function deposit() external payable',
+    'function withdraw(uint256 amount) external',
+    'function balanceOf(address account) external view returns (uint256)'
+];
+
+class NativeWrapper {
+    isWrappedNative(network, token) {
+        return token === config.networks[network].nativeToken;
+    }
+
+    getContract(network, signer) {
+        const address = tokens.getTokenAddress(network, config.networks[network].nativeToken);
+        return new ethers.Contract(address, WRAPPED_NATIVE_ABI, signer);
+    }
+
+    // Native balance a swap spending the wrapped token could wrap, the gas reserve kept back
+    async getWrappable(network, owner, token) {
+        if (!config.trading.wrapNative || !this.isWrappedNative(network, token)) {
+            return 0n;
+        }
+
+        const available = await config.networks[network].provider.getBalance(owner) - ethers.parseEther(config.trading.nativeGasReserve);
+        return available > 0n ? available : 0n;
+    }
+
+    /**
+     * Wrap enough native balance to hold `amount` of the wrapped token, never
+     * touching the configured gas reserve
+     *
+     * @param {String} network - Network key
+     * @param {Object} signer - Wallet connected to the network's provider
+     * @param {String} token - Token symbol the swap spends
+     * @param {BigInt} amount - Amount the swap needs
+     * @returns {BigInt} Amount wrapped, 0 if nothing was needed or possible
+     */
+    async wrapShortfall(network, signer, token, amount) {
+        if (!config.trading.wrapNative || !this.isWrappedNative(network, token)) {
+            return 0n;
+        }
+
+        const wrapped = this.getContract(network, signer);
+        const balance = BigInt(await wrapped.balanceOf(signer.address));
+        if (balance >= amount) {
+            return 0n;
+        }
+
+        const shortfall = amount - balance;
+        const nativeBalance = await config.networks[network].provider.getBalance(signer.address);
+        const available = nativeBalance - ethers.parseEther(config.trading.nativeGasReserve);
+
+        // Leave it to the pre-trade simulation to report the missing balance
+        if (available < shortfall) {
+            logger.warn({
+                network,
+                token,
+                shortfall: ethers.formatEther(shortfall),
+                available: ethers.formatEther(available > 0n ? available : 0n),
+            }, 'Not enough native balance to wrap');
+            return 0n;
+        }
+
+        logger.info({ network, token, amount: ethers.formatEther(shortfall) }, 'Wrapping native balance for swap');
+
+        const txRequest = await wrapped.deposit.populateTransaction({ value: shortfall });
+        await transactionManager.waitForConfirmation(await transactionManager.send(network, signer, txRequest));
+
+        return shortfall;
+    }
+
+    /**
+     * Unwrap a swap's wrapped output into the gas token, if configured
+     *
+     * @returns {BigInt} Amount unwrapped
+     */
+    async unwrapOutput(network, signer, token, amount) {
+        if (!config.trading.unwrapNative || !this.isWrappedNative(network, token) || !amount) {
+            return 0n;
+        }
+
+        logger.info({ network, token, amount: ethers.formatEther(amount) }, 'Unwrapping swap output');
+        return this.unwrap(network, signer, amount);
+    }
+
+    // Unwrap an amount of the wrapped gas token held by the signer
+    async unwrap(network, signer, amount) {
+        const txRequest = await this.getContract(network, signer).withdraw.populateTransaction(amount);
+        await transactionManager.waitForConfirmation(await transactionManager.send(network, signer, txRequest));
+
+        return amount;
+    }
+}
+
+module.exports = new NativeWrapper();
@@ -0,0 +1,311 @@
+/**
+ * Uniswap V3 Pool State Engine
+ *
+ * Loads slot0, liquidity and initialized ticks for every pool a route of a
+ * configured pair can go through, hub-token hops and the gas token's pool
+ * included, and keeps them current from pool events, so swaps can be quoted
+ * locally instead of through Quoter RPC calls.
+ */
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const tokens = require('../config/tokens');
+const assets = require('../config/assets');
+const routeFinder = require('./routeFinder');
+const UniswapV3Pool = require('./uniswapV3Pool');
+const v3Math = require('./uniswapV3Math');
+
+const FACTORY_ABI = [
+    'function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)'
+];
+
+const POOL_ABI = [
+    'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'function liquidity() external view returns (uint128)',
+    'function tickSpacing() external view returns (int24)',
+    'function token0() external view returns (address)',
+    'function token1() external view returns (address)',
+    'function tickBitmap(int16 wordPosition) external view returns (uint256)',
+    'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+    'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+    'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)'
+];
+
+// Hash of the pool creation code, pool addresses are CREATE2-derived from it
+const POOL_INIT_CODE_HASH = '0xe34f199b19b2b4f47f68442619d555527d244f78a3297ea89325f843f87b8b54';
+
+const poolInterface = new ethers.Interface(POOL_ABI);
+const POOL_EVENT_TOPICS = ['Swap', 'Mint', 'Burn'].map(name => poolInterface.getEvent(name).topicHash);
+
+class PoolStateEngine {
+    constructor() {
+        this.pools = {};
+        this.subscriptions = [];
+        this.reloading = new Set();
+    }
+
+    /**
+     * Load and subscribe to the pools of every hop of every route the
+     * configured pairs, and the gas token pricing them, can take on every network
+     *
+     * @param {Array} feeTiers - Pool fee tiers to look for, e.g. [500, 3000, 10000]
+     */
+    async initialize(feeTiers) {
+        for (const network in config.networks) {
+            if (!config.networks[network].provider) continue;
+
+            for (const [symbolA, symbolB] of this.getRouteHops(network)) {
+                const tokenA = tokens.getTokenAddress(network, symbolA);
+                const tokenB = tokens.getTokenAddress(network, symbolB);
+
+                for (const fee of feeTiers) {
+                    try {
+                        await this.loadPool(network, tokenA, tokenB, fee);
+                    } catch (error) {
+                        logger.error({ error, network, tokens: [symbolA, symbolB], fee }, 'Failed to load pool state');
+                    }
+                }
+            }
+        }
+
+        logger.info({ pools: Object.keys(this.pools).length }, 'Pool state engine initialized');
+    }
+
+    // Token pairs of every hop the routes of a network's pairs can take, each pair once
+    getRouteHops(network) {
+        const ends = [];
+        for (const pair of config.trading.tradingPairs) {
+            const pairTokens = assets.getPairTokens(network, pair);
+            if (!pairTokens) {
+                logger.warn({ network, pair }, 'Skipping pool state for pair, tokens not on network');
+                continue;
+            }
+
+            ends.push([pairTokens.baseToken, pairTokens.quoteToken]);
+            // Gas is priced in the quote token through the gas token's own routes
+            const nativeToken = config.networks[network].nativeToken;
+            if (nativeToken !== pairTokens.quoteToken && tokens.has(network, nativeToken)) {
+                ends.push([nativeToken, pairTokens.quoteToken]);
+            }
+        }
+
+        const hops = {};
+        for (const [tokenIn, tokenOut] of ends) {
+            for (const symbols of routeFinder.enumerateTokenPaths(network, tokenIn, tokenOut)) {
+                for (let i = 0; i < symbols.length - 1; i++) {
+                    const hop = [symbols[i], symbols[i + 1]].sort();
+                    hops[hop.join(':')] = hop;
+                }
+            }
+        }
+
+        return Object.values(hops);
+    }
+
+    getPoolKey(network, tokenA, tokenB, fee) {
+        const [token0, token1] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+        return `${network}:${token0}:${token1}:${fee}`;
+    }
+
+    getPool(network, tokenA, tokenB, fee) {
+        const pool = this.pools[this.getPoolKey(network, tokenA, tokenB, fee)];
+        return pool && pool.loaded ? pool : null;
+    }
+
+    // Address the factory deploys a pool at, whether or not it exists yet
+    computePoolAddress(tokenA, tokenB, fee) {
+        const [token0, token1] = [tokenA, tokenB].sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1));
+        const salt = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ['address', 'address', 'uint24'],
+            [token0, token1, fee]
+        ));
+        return ethers.getCreate2Address(config.dex.uniswapV3Factory, salt, POOL_INIT_CODE_HASH);
+    }
+
+    async loadPool(network, tokenA, tokenB, fee) {
+        const provider = config.networks[network].provider;
+        const factory = new ethers.Contract(config.dex.uniswapV3Factory, FACTORY_ABI, provider);
+
+        const address = await factory.getPool(tokenA, tokenB, fee);
+        if (address === ethers.ZeroAddress) {
+            logger.debug({ network, tokenA, tokenB, fee }, 'No pool for fee tier');
+            return null;
+        }
+
+        const contract = new ethers.Contract(address, POOL_ABI, provider);
+        const [token0, token1, tickSpacing] = await Promise.all([
+            contract.token0(),
+            contract.token1(),
+            contract.tickSpacing(),
+        ]);
+
+        const pool = new UniswapV3Pool({
+            network,
+            address,
+            token0,
+            token1,
+            fee,
+            tickSpacing: Number(tickSpacing),
+        });
+
+        // Subscribe first so events emitted while the snapshot is read are not lost
+        this.pools[this.getPoolKey(network, tokenA, tokenB, fee)] = pool;
+        this.subscribe(pool);
+
+        await this.syncPool(pool, contract);
+
+        return pool;
+    }
+
+    /**
+     * Read price, liquidity and the ticks around the current price at one block
+     */
+    async syncPool(pool, contract = new ethers.Contract(pool.address, POOL_ABI, config.networks[pool.network].provider)) {
+        const provider = config.networks[pool.network].provider;
+        const blockTag = await provider.getBlockNumber();
+
+        const [slot0, liquidity] = await Promise.all([
+            contract.slot0({ blockTag }),
+            contract.liquidity({ blockTag }),
+        ]);
+
+        pool.setState({ sqrtPriceX96: slot0.sqrtPriceX96, tick: slot0.tick, liquidity }, blockTag);
+
+        const { ticks, tickRange } = await this.loadTicks(pool, contract, blockTag);
+        pool.setTicks(ticks, tickRange);
+
+        // Events up to and including this block are already part of the snapshot
+        pool.snapshotBlock = blockTag;
+        pool.loaded = true;
+
+        // Replay events that arrived while the snapshot was being read
+        const pendingLogs = pool.pendingLogs;
+        pool.pendingLogs = [];
+        for (const log of pendingLogs) {
+            this.handleLog(pool, log);
+        }
+
+        logger.debug({
+            network: pool.network,
+            pool: pool.address,
+            fee: pool.fee,
+            ticks: ticks.size,
+            blockNumber: blockTag,
+        }, 'Pool state synced');
+    }
+
+    /**
+     * Load the initialized ticks in the bitmap words around the current tick
+     */
+    async loadTicks(pool, contract, blockTag) {
+        const wordRange = config.dex.tickWordRange;
+        const compressed = Math.floor(pool.tick / pool.tickSpacing);
+        const currentWord = compressed >> 8;
+
+        const words = [];
+        for (let word = currentWord - wordRange; word <= currentWord + wordRange; word++) {
+            words.push(word);
+        }
+
+        const bitmaps = await Promise.all(words.map(word => contract.tickBitmap(word, { blockTag })));
+
+        const initializedTicks = [];
+        words.forEach((word, index) => {
+            const bitmap = BigInt(bitmaps[index]);
+            if (bitmap === 0n) return;
+
+            for (let bit = 0; bit < 256; bit++) {
+                if ((bitmap >> BigInt(bit)) & 1n) {
+                    initializedTicks.push((word * 256 + bit) * pool.tickSpacing);
+                }
+            }
+        });
+
+        const tickData = await Promise.all(initializedTicks.map(tick => contract.ticks(tick, { blockTag })));
+
+        const ticks = new Map();
+        initializedTicks.forEach((tick, index) => {
+            ticks.set(tick, BigInt(tickData[index].liquidityNet));
+        });
+
+        const tickRange = {
+            lower: Math.max((currentWord - wordRange) * 256 * pool.tickSpacing, v3Math.MIN_TICK),
+            upper: Math.min(((currentWord + wordRange) * 256 + 255) * pool.tickSpacing, v3Math.MAX_TICK),
+        };
+
+        return { ticks, tickRange };
+    }
+
+    subscribe(pool) {
+        const provider = config.networks[pool.network].provider;
+        const filter = { address: pool.address, topics: [POOL_EVENT_TOPICS] };
+        const listener = log => this.handleLog(pool, log);
+
+        provider.on(filter, listener);
+        this.subscriptions.push({ provider, filter, listener });
+    }
+
+    handleLog(pool, log) {
+        // Hold events back while the pool is being rebuilt
+        if (!pool.loaded) {
+            pool.pendingLogs.push(log);
+            return;
+        }
+
+        // Already reflected in the snapshot
+        if (log.blockNumber <= pool.snapshotBlock) return;
+
+        try {
+            const event = poolInterface.parseLog(log);
+
+            if (event.name === 'Swap') {
+                pool.applySwap({
+                    sqrtPriceX96: event.args.sqrtPriceX96,
+                    tick: event.args.tick,
+                    liquidity: event.args.liquidity,
+                }, log.blockNumber);
+
+                if (pool.isNearTickRangeEdge()) {
+                    this.reloadPool(pool, 'price moved near the edge of loaded ticks');
+                }
+            } else {
+                const amount = BigInt(event.args.amount);
+                pool.applyLiquidityChange(
+                    Number(event.args.tickLower),
+                    Number(event.args.tickUpper),
+                    event.name === 'Mint' ? amount : -amount,
+                    log.blockNumber
+                );
+            }
+        } catch (error) {
+            logger.error({ error, pool: pool.address }, 'Failed to apply pool event');
+            this.reloadPool(pool, 'failed to apply event');
+        }
+    }
+
+    async reloadPool(pool, reason) {
+        if (this.reloading.has(pool.address)) return;
+        this.reloading.add(pool.address);
+
+        logger.info({ network: pool.network, pool: pool.address, reason }, 'Reloading pool state');
+
+        try {
+            pool.loaded = false;
+            await this.syncPool(pool);
+        } catch (error) {
+            logger.error({ error, pool: pool.address }, 'Failed to reload pool state');
+        } finally {
+            this.reloading.delete(pool.address);
+        }
+    }
+
+    async stop() {
+        for (const { provider, filter, listener } of this.subscriptions) {
+            await provider.off(filter, listener);
+        }
+        this.subscriptions = [];
+    }
+}
+
+module.exports = new PoolStateEngine();
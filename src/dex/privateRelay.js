@@ -0,0 +1,58 @@
+/**
+ * Private Relay
+ *
+ * Submits signed transactions to a private relay or bundle endpoint instead
+ * of the public mempool, so the DEX leg can't be sandwiched while it waits
+ * to be mined. Which networks use a relay is set per network in config.
+ */
+const axios = require('axios');
+const { ethers } = require('ethers');
+const config = require('../config/config');
+
+class PrivateRelay {
+    constructor() {
+        this.requestId = 0;
+        // Relays rate-limit and rank senders by this key, it never holds funds
+        this.authSigner = config.privateTx.authKey
+            ? new ethers.Wallet(config.privateTx.authKey)
+            : ethers.Wallet.createRandom();
+    }
+
+    isEnabled(network) {
+        return Boolean(config.networks[network].privateRelayUrl);
+    }
+
+    /**
+     * Send a signed transaction to the network's relay
+     *
+     * @param {String} network - Network key
+     * @param {String} signedTx - Serialized signed transaction
+     * @param {Number} maxBlockNumber - Last block the relay should try to include it in
+     * @returns {String} Transaction hash reported by the relay
+     */
+    async submit(network, signedTx, maxBlockNumber) {
+        const method = config.privateTx.method;
+        const params = method === 'eth_sendPrivateTransaction'
+            ? [{ tx: signedTx, maxBlockNumber: ethers.toQuantity(maxBlockNumber) }]
+            : [signedTx];
+
+        const body = JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params });
+        const signature = await this.authSigner.signMessage(ethers.id(body));
+
+        const { data } = await axios.post(config.networks[network].privateRelayUrl, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Flashbots-Signature': `${this.authSigner.address}:${signature}`,
+            },
+            timeout: config.privateTx.timeoutMs,
+        });
+
+        if (data.error) {
+            throw new Error(`Relay rejected transaction: ${data.error.message}`);
+        }
+
+        return data.result;
+    }
+}
+
+module.exports = new PrivateRelay();
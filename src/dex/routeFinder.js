@@ -0,0 +1,132 @@
+/**
+ * Uniswap V3 Route Finder
+ *
+ * Enumerates swap routes between two tokens, either directly or through the
+ * configured hub tokens, and encodes them as Uniswap V3 paths. The token
+ * sequences are shared with the V2 adapters.
+ */
+const { ethers } = require('ethers');
+const config = require('../config/config');
+const tokens = require('../config/tokens');
+
+/**
+ * Encode a V3 path: token0 (20 bytes) | fee (3 bytes) | token1 | fee | token2 ...
+ *
+ * @param {Array} addresses - Token addresses in swap order
+ * @param {Array} fees - Pool fee for each hop
+ * @returns {String} Hex-encoded path
+ */
+function encodePath(addresses, fees) {
+    if (addresses.length !== fees.length + 1) {
+        throw new Error('Path must have exactly one more token than fees');
+    }
+
+    const types = [];
+    const values = [];
+    addresses.forEach((address, index) => {
+        types.push('address');
+        values.push(address);
+        if (index < fees.length) {
+            types.push('uint24');
+            values.push(fees[index]);
+        }
+    });
+
+    return ethers.solidityPacked(types, values);
+}
+
+/**
+ * Token sequences from tokenIn to tokenOut of at most config.dex.maxHops
+ * pools, through hub tokens that exist on the network
+ *
+ * @param {String} network - Network key
+ * @param {String} tokenIn - Input token symbol
+ * @param {String} tokenOut - Output token symbol
+ * @returns {Array} Symbol sequences, e.g. [['LINK', 'USDT'], ['LINK', 'WETH', 'USDT']]
+ */
+function enumerateTokenPaths(network, tokenIn, tokenOut) {
+    const hubs = config.dex.hubTokens.filter(symbol =>
+        symbol !== tokenIn && symbol !== tokenOut && tokens.has(network, symbol)
+    );
+
+    const sequences = [];
+    const walk = sequence => {
+        sequences.push([...sequence, tokenOut]);
+        if (sequence.length >= config.dex.maxHops) return;
+
+        for (const hub of hubs) {
+            if (!sequence.includes(hub)) {
+                walk([...sequence, hub]);
+            }
+        }
+    };
+    walk([tokenIn]);
+
+    return sequences;
+}
+
+/**
+ * Every V3 route from tokenIn to tokenOut, for every fee tier combination
+ * of each token sequence
+ *
+ * @param {String} network - Network key
+ * @param {String} tokenIn - Input token symbol
+ * @param {String} tokenOut - Output token symbol
+ * @param {Array} feeTiers - Pool fee tiers to consider
+ * @returns {Array} Routes { symbols, addresses, fees, encodedPath, description }
+ */
+function enumerateRoutes(network, tokenIn, tokenOut, feeTiers) {
+    const routes = [];
+    for (const symbols of enumerateTokenPaths(network, tokenIn, tokenOut)) {
+        const addresses = symbols.map(symbol => tokens.getTokenAddress(network, symbol));
+
+        for (const fees of feeCombinations(feeTiers, symbols.length - 1)) {
+            routes.push({
+                symbols,
+                addresses,
+                fees,
+                encodedPath: encodePath(addresses, fees),
+                description: symbols.join('→'),
+            });
+        }
+    }
+
+    return routes;
+}
+
+function feeCombinations(feeTiers, hops) {
+    if (hops === 0) return [[]];
+    return feeCombinations(feeTiers, hops - 1)
+        .flatMap(prefix => feeTiers.map(fee => [...prefix, fee]));
+}
+
+// JSON-safe view of a quoted route for opportunities and API responses, with
+// the QuoterV2 figures (price after each hop, ticks crossed, gas) where quoted
+function summarizeRoute(route) {
+    return {
+        description: route.description,
+        symbols: route.symbols,
+        fees: route.fees,
+        path: route.encodedPath || route.addresses,
+        source: route.source,
+        sqrtPriceX96After: route.sqrtPriceX96After ? route.sqrtPriceX96After.map(price => price.toString()) : undefined,
+        initializedTicksCrossed: route.initializedTicksCrossed,
+        gasEstimate: route.gasEstimate !== undefined ? route.gasEstimate.toString() : undefined,
+    };
+}
+
+// A route's tokens and fees in the order a swap from tokenIn takes them, the
+// route may have been quoted the other way
+function orientRoute({ symbols, fees }, tokenIn) {
+    return symbols[0] === tokenIn
+        ? { symbols, fees }
+        : { symbols: [...symbols].reverse(), fees: [...fees].reverse() };
+}
+
+module.exports = {
+    encodePath,
+    enumerateTokenPaths,
+    enumerateRoutes,
+    orientRoute,
+    summarizeRoute,
+};
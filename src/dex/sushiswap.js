@@ -0,0 +1,353 @@
+/**
+ * SushiSwap DEX adapter
+ *
+ * Constant-product (Uniswap V2 style) pools, quoted from pair reserves and
+ * traded through the router's swapExactTokensForTokens.
+ */
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const tokens = require('../config/tokens');
+const routeFinder = require('./routeFinder');
+const DexAdapter = require('./dexAdapter');
+const allowanceManager = require('./allowanceManager');
+const swapSimulator = require('./swapSimulator');
+const multicall = require('./multicall');
+const nativeWrapper = require('./nativeWrapper');
+
+const FACTORY_ABI = [
+    'function getPair(address tokenA, address tokenB) external view returns (address pair)'
+];
+
+const PAIR_ABI = [
+    'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)'
+];
+
+const pairInterface = new ethers.Interface(PAIR_ABI);
+
+const ROUTER_ABI = [
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) external returns (uint256[] amounts)'
+];
+
+// Every pair charges 0.3% on the input amount
+const FEE_NUMERATOR = 997n;
+const FEE_DENOMINATOR = 1000n;
+
+// Rough gas use of a V2 router swap: a fixed part plus each pair traded through
+const SWAP_GAS = {
+    base: 50000n,
+    perHop: 60000n,
+};
+
+class SushiSwapDEX extends DexAdapter {
+    constructor() {
+        super('sushiswap');
+        this.factories = {};
+        this.routers = {};
+        this.pairs = {};
+        this.initialized = false;
+    }
+
+    async initialize() {
+        try {
+            logger.info('Initializing SushiSwap DEX adapter');
+
+            this.wallet = new ethers.Wallet(config.wallet.privateKey);
+
+            for (const networkKey in config.networks) {
+                const network = config.networks[networkKey];
+                const addresses = this.getContractAddresses(networkKey);
+                if (!network.provider || !addresses) continue;
+
+                this.factories[networkKey] = new ethers.Contract(
+                    addresses.factory,
+                    FACTORY_ABI,
+                    network.provider
+                );
+
+                this.routers[networkKey] = new ethers.Contract(
+                    addresses.router,
+                    ROUTER_ABI,
+                    this.wallet.connect(network.provider)
+                );
+            }
+
+            this.initialized = true;
+            logger.info('SushiSwap DEX adapter initialized successfully');
+            return true;
+        } catch (error) {
+            logger.error({ error }, 'Failed to initialize SushiSwap DEX adapter');
+            return false;
+        }
+    }
+
+    getContractAddresses(network) {
+        // SushiSwap V2 deployments, Optimism has no V2 router we trade through
+        const addresses = {
+            ethereum: {
+                router: config.dex.sushiswapRouter,
+                factory: config.dex.sushiswapFactory,
+            },
+            arbitrum: {
+                router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506',
+                factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+            },
+            polygon: {
+                router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506',
+                factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+            },
+        };
+
+        return addresses[network] || null;
+    }
+
+    supportsNetwork(network) {
+        return Boolean(this.routers[network]);
+    }
+
+    async getQuote(network, baseToken, quoteToken, amount = '1', blockNumber = null, only = null) {
+        try {
+            if (!this.initialized) {
+                throw new Error('SushiSwap DEX adapter not initialized');
+            }
+
+            // Every reserve read at the same block
+            const quoteBlock = blockNumber || await config.networks[network].provider.getBlockNumber();
+            const amountIn = ethers.parseUnits(amount, tokens.getTokenDecimals(network, baseToken));
+            const route = await this.findBestRoute(network, baseToken, quoteToken, amountIn, quoteBlock, only);
+
+            if (!route) {
+                throw new Error(`No valid pair found for ${baseToken}/${quoteToken} on ${network}`);
+            }
+
+            const amountOut = ethers.formatUnits(route.amountOut, tokens.getTokenDecimals(network, quoteToken));
+
+            return {
+                amountOut,
+                route: routeFinder.summarizeRoute(route),
+                blockNumber: quoteBlock,
+                ...this.describeExecution(network, baseToken, quoteToken, amount, amountOut, route.hopPrices, route.fees),
+            };
+        } catch (error) {
+            logger.error({ error, baseToken, quoteToken, network }, 'Failed to get price from SushiSwap');
+            throw error;
+        }
+    }
+
+    async executeTrade(network, action, baseToken, quoteToken, amount, slippagePercentage = 0.5) {
+        try {
+            if (!this.initialized) {
+                throw new Error('SushiSwap DEX adapter not initialized');
+            }
+
+            await this.wrapTrade(network, action, baseToken, quoteToken, amount);
+            await this.approveTrade(network, action, baseToken, quoteToken, amount);
+            const trade = await this.prepareTrade(network, action, baseToken, quoteToken, amount, slippagePercentage);
+
+            // Nothing is sent unless the swap goes through against the latest block
+            await this.simulateSwap(network, trade);
+
+            // Send the swap and wait for it to confirm
+            const tx = await this.sendSwap(network, trade.txRequest, trade.deadline);
+            const result = await this.confirmSwap(tx, trade.tokenOut);
+
+            logger.info({
+                ...result,
+                network,
+                action,
+                baseToken,
+                quoteToken,
+                amount,
+                route: trade.route.description,
+            }, 'Trade executed on SushiSwap');
+
+            return {
+                ...result,
+                amountIn: amount,
+                estimatedAmountOut: ethers.formatUnits(trade.route.amountOut, tokens.getTokenDecimals(network, trade.tokenOut)),
+                route: routeFinder.summarizeRoute(trade.route)
+            };
+        } catch (error) {
+            logger.error({ error, network, action, baseToken, quoteToken, amount }, 'Failed to execute trade on SushiSwap');
+            throw error;
+        }
+    }
+
+    async prepareTrade(network, action, baseToken, quoteToken, amount, slippagePercentage = 0.5) {
+        const { tokenIn, tokenOut, amountIn } = this.getTradeInput(network, action, baseToken, quoteToken, amount);
+
+        const route = await this.findBestRoute(network, tokenIn, tokenOut, amountIn);
+        if (!route) {
+            throw swapSimulator.failure(
+                swapSimulator.REASONS.POOL_MISSING,
+                `No valid pair found for ${baseToken}/${quoteToken} on ${network}`,
+                { tokenIn, tokenOut }
+            );
+        }
+
+        // Calculate minimum amount out with slippage
+        const minAmountOut = route.amountOut * BigInt(1000 - Math.floor(slippagePercentage * 10)) / 1000n;
+        const router = this.getContractAddresses(network).router;
+
+        // Set deadline to 5 minutes from now
+        const deadline = Math.floor(Date.now() / 1000) + 300;
+
+        const txRequest = await this.routers[network].swapExactTokensForTokens.populateTransaction(
+            amountIn,
+            minAmountOut,
+            route.addresses,
+            this.wallet.address,
+            deadline
+        );
+
+        const pairs = await Promise.all(route.addresses.slice(1).map((address, i) => this.getPair(network, route.addresses[i], address)));
+
+        return {
+            txRequest,
+            spender: router,
+            tokenIn,
+            tokenOut,
+            amountIn,
+            minAmountOut,
+            route,
+            deadline,
+            pools: pairs.map(pair => pair.contract.target),
+        };
+    }
+
+    /**
+     * Best route between two tokens by output amount, direct or through hub
+     * tokens, or only through the tokens of `only` when given
+     *
+     * @returns {Object|null} Route with amountOut, null if no route has liquidity
+     */
+    async findBestRoute(network, tokenIn, tokenOut, amountIn, blockTag = 'latest', only = null) {
+        let paths = routeFinder.enumerateTokenPaths(network, tokenIn, tokenOut);
+        if (only) {
+            const { symbols } = routeFinder.orientRoute(only, tokenIn);
+            paths = paths.filter(path => path.join() === symbols.join());
+        }
+        const quotes = await Promise.all(paths.map(symbols => this.quotePath(
+            network,
+            symbols.map(symbol => tokens.getTokenAddress(network, symbol)),
+            amountIn,
+            blockTag
+        )));
+
+        let best = null;
+        paths.forEach((symbols, index) => {
+            const quote = quotes[index];
+            if (quote !== null && quote.amountOut > 0n && (!best || quote.amountOut > best.amountOut)) {
+                best = {
+                    symbols,
+                    addresses: symbols.map(symbol => tokens.getTokenAddress(network, symbol)),
+                    fees: symbols.slice(1).map(() => 3000),
+                    description: symbols.join('→'),
+                    amountOut: quote.amountOut,
+                    hopPrices: quote.hopPrices,
+                    source: 'reserves',
+                };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Chain constant-product quotes across each pair
+     *
+     * @returns {Object|null} { amountOut, hopPrices } hopPrices being each
+     *   pair's spot price before the swap, null if a pair does not exist
+     */
+    async quotePath(network, addresses, amountIn, blockTag = 'latest') {
+        // Read every hop's reserves at once so they land in the same batch
+        const hops = await Promise.all(addresses.slice(1).map((address, i) => this.getReserves(network, addresses[i], address, blockTag)));
+        if (hops.includes(null)) return null;
+
+        return {
+            amountOut: hops.reduce((amount, reserves) => this.getAmountOut(amount, reserves.reserveIn, reserves.reserveOut), amountIn),
+            hopPrices: hops.map(({ reserveIn, reserveOut }) => (reserveIn === 0n ? 0n : this.toHopPrice(reserveOut, reserveIn))),
+        };
+    }
+
+    getAmountOut(amountIn, reserveIn, reserveOut) {
+        if (reserveIn === 0n || reserveOut === 0n) return 0n;
+
+        const amountInWithFee = amountIn * FEE_NUMERATOR;
+        return (amountInWithFee * reserveOut) / (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+    }
+
+    /**
+     * Reserves of the pair oriented in the swap direction
+     *
+     * @returns {Object|null} { reserveIn, reserveOut }, null if there is no pair
+     */
+    async getReserves(network, tokenIn, tokenOut, blockTag = 'latest') {
+        const pair = await this.getPair(network, tokenIn, tokenOut);
+        if (!pair) return null;
+
+        const returnData = await multicall.call(network, blockTag, pair.contract.target, pairInterface.encodeFunctionData('getReserves'));
+        if (returnData === null) return null;
+
+        const [reserve0, reserve1] = pairInterface.decodeFunctionResult('getReserves', returnData);
+        return pair.token0.toLowerCase() === tokenIn.toLowerCase()
+            ? { reserveIn: BigInt(reserve0), reserveOut: BigInt(reserve1) }
+            : { reserveIn: BigInt(reserve1), reserveOut: BigInt(reserve0) };
+    }
+
+    // Pair contract and token0 (the lower address), cached since pairs never move
+    async getPair(network, tokenA, tokenB) {
+        const [token0, token1] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+        const key = `${network}:${token0}:${token1}`;
+
+        if (!(key in this.pairs)) {
+            // Lookups of a first scan go out together through Multicall3
+            const factory = this.factories[network];
+            const returnData = await multicall.call(network, 'latest', factory.target, factory.interface.encodeFunctionData('getPair', [tokenA, tokenB]));
+            const address = returnData === null ? ethers.ZeroAddress : factory.interface.decodeFunctionResult('getPair', returnData)[0];
+
+            this.pairs[key] = address === ethers.ZeroAddress
+                ? null
+                : {
+                    contract: new ethers.Contract(address, PAIR_ABI, config.networks[network].provider),
+                    token0,
+                };
+        }
+
+        return this.pairs[key];
+    }
+
+    estimateGas(network, route) {
+        return SWAP_GAS.base + SWAP_GAS.perHop * BigInt(route.symbols.length - 1);
+    }
+
+    // The last pair of the path is the one paying the wallet
+    getSwapAmountOut(receipt) {
+        let amountOut = null;
+
+        for (const log of receipt.logs) {
+            let event;
+            try {
+                event = pairInterface.parseLog(log);
+            } catch (e) {
+                continue;
+            }
+            if (!event || event.name !== 'Swap' || event.args.to.toLowerCase() !== this.wallet.address.toLowerCase()) continue;
+
+            amountOut = event.args.amount0Out + event.args.amount1Out;
+        }
+
+        return amountOut;
+    }
+
+    getApprovalTargets(network) {
+        return [{ spender: this.getContractAddresses(network).router, spenderName: 'router', type: 'erc20' }];
+    }
+
+    getFees() {
+        return { swap: 0.003 };
+    }
+}
+
+module.exports = new SushiSwapDEX();
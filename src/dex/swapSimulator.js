@@ -0,0 +1,156 @@
+/**
+ * Swap Simulator
+ *
+ * Dry-runs a populated swap against the latest block before it is sent:
+ * the pools on the route must exist, the wallet must hold the input and
+ * have approved the spender, and an eth_call of the swap itself must not
+ * revert. Failures are thrown with a reason code so the arbitrage can be
+ * aborted before any gas is spent or the CEX leg is exposed.
+ */
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const ERC20_ABI = [
+    'function balanceOf(address account) external view returns (uint256)',
+    'function allowance(address owner, address spender) external view returns (uint256)'
+];
+
+// Reason codes a failed simulation is reported with
+const REASONS = {
+    INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+    INSUFFICIENT_ALLOWANCE: 'INSUFFICIENT_ALLOWANCE',
+    SLIPPAGE: 'SLIPPAGE',
+    POOL_MISSING: 'POOL_MISSING',
+    INSUFFICIENT_LIQUIDITY: 'INSUFFICIENT_LIQUIDITY',
+    DEADLINE_EXPIRED: 'DEADLINE_EXPIRED',
+    TRANSFER_FAILED: 'TRANSFER_FAILED',
+    REVERTED: 'REVERTED',
+    UNVERIFIED_TOKEN: 'UNVERIFIED_TOKEN',
+};
+
+// Revert strings of the V3 router, the V2 routers and common tokens
+const REVERT_STRINGS = [
+    ['Too little received', REASONS.SLIPPAGE],
+    ['INSUFFICIENT_OUTPUT_AMOUNT', REASONS.SLIPPAGE],
+    ['Transaction too old', REASONS.DEADLINE_EXPIRED],
+    ['EXPIRED', REASONS.DEADLINE_EXPIRED],
+    ['INSUFFICIENT_LIQUIDITY', REASONS.INSUFFICIENT_LIQUIDITY],
+    ['exceeds balance', REASONS.INSUFFICIENT_BALANCE],
+    ['exceeds allowance', REASONS.INSUFFICIENT_ALLOWANCE],
+    ['insufficient allowance', REASONS.INSUFFICIENT_ALLOWANCE],
+    ['STF', REASONS.TRANSFER_FAILED],
+    ['TRANSFER_FROM_FAILED', REASONS.TRANSFER_FAILED],
+];
+
+// Custom errors of the Universal Router and Permit2
+const CUSTOM_ERRORS = Object.fromEntries([
+    ['V3TooLittleReceived()', REASONS.SLIPPAGE],
+    ['V2TooLittleReceived()', REASONS.SLIPPAGE],
+    ['TransactionDeadlinePassed()', REASONS.DEADLINE_EXPIRED],
+    ['AllowanceExpired(uint256)', REASONS.INSUFFICIENT_ALLOWANCE],
+    ['InsufficientAllowance(uint256)', REASONS.INSUFFICIENT_ALLOWANCE],
+].map(([signature, reason]) => [ethers.id(signature).slice(0, 10), { name: signature.split('(')[0], reason }]));
+
+class SwapSimulator {
+    constructor() {
+        this.REASONS = REASONS;
+    }
+
+    /**
+     * Error carrying the reason a swap would fail
+     *
+     * @param {String} reason - One of REASONS
+     * @param {String} message - Human readable description
+     * @param {Object} details - Amounts, addresses or revert data behind the failure
+     */
+    failure(reason, message, details = {}) {
+        const error = new Error(message);
+        error.code = 'SWAP_SIMULATION_FAILED';
+        error.reason = reason;
+        error.details = details;
+        return error;
+    }
+
+    /**
+     * Simulate a swap against the latest block
+     *
+     * @param {String} network - Network key
+     * @param {String} from - Wallet sending the swap
+     * @param {Object} swap - { txRequest, tokenIn (address), amountIn, spender, pools }
+     *   spender is the contract the input token must be approved to, pools the
+     *   addresses of the pools on the route
+     * @returns {Object} { blockNumber, output } output is the call's return data
+     * @throws Simulation failure with a reason code
+     */
+    async simulate(network, from, { txRequest, tokenIn, amountIn, spender, pools = [] }) {
+        const provider = config.networks[network].provider;
+        const blockNumber = await provider.getBlockNumber();
+        const token = new ethers.Contract(tokenIn, ERC20_ABI, provider);
+
+        const [codes, balance, allowance] = await Promise.all([
+            Promise.all(pools.map(pool => provider.getCode(pool, blockNumber))),
+            token.balanceOf(from, { blockTag: blockNumber }),
+            token.allowance(from, spender, { blockTag: blockNumber }),
+        ]);
+
+        const missing = pools.filter((pool, index) => codes[index] === '0x');
+        if (missing.length > 0) {
+            throw this.failure(REASONS.POOL_MISSING, `No pool deployed at ${missing.join(', ')} on ${network}`, { pools: missing, blockNumber });
+        }
+
+        if (balance < amountIn) {
+            throw this.failure(REASONS.INSUFFICIENT_BALANCE, `Balance ${balance} of ${tokenIn} is below ${amountIn} on ${network}`, {
+                token: tokenIn,
+                balance: balance.toString(),
+                required: amountIn.toString(),
+                blockNumber,
+            });
+        }
+
+        if (allowance < amountIn) {
+            throw this.failure(REASONS.INSUFFICIENT_ALLOWANCE, `Allowance ${allowance} of ${tokenIn} for ${spender} is below ${amountIn} on ${network}`, {
+                token: tokenIn,
+                spender,
+                allowance: allowance.toString(),
+                required: amountIn.toString(),
+                blockNumber,
+            });
+        }
+
+        let output;
+        try {
+            output = await provider.call({ ...txRequest, from, blockTag: blockNumber });
+        } catch (error) {
+            if (error.code !== 'CALL_EXCEPTION') throw error;
+
+            const { reason, revert } = this.classifyRevert(error);
+            throw this.failure(reason, `Swap would revert on ${network}: ${revert || 'no reason given'}`, {
+                revert,
+                data: error.data || null,
+                blockNumber,
+            });
+        }
+
+        logger.debug({ network, to: txRequest.to, blockNumber }, 'Swap simulation passed');
+
+        return { blockNumber, output };
+    }
+
+    // Map revert data to a reason code, with the decoded revert for the logs
+    classifyRevert(error) {
+        if (error.reason) {
+            const match = REVERT_STRINGS.find(([text]) => error.reason.includes(text));
+            return { reason: match ? match[1] : REASONS.REVERTED, revert: error.reason };
+        }
+
+        const customError = error.data && CUSTOM_ERRORS[error.data.slice(0, 10)];
+        if (customError) {
+            return { reason: customError.reason, revert: customError.name };
+        }
+
+        return { reason: REASONS.REVERTED, revert: null };
+    }
+}
+
+module.exports = new SwapSimulator();
@@ -0,0 +1,167 @@
+/**
+ * Token Verifier
+ *
+ * Reads decimals() and symbol() of every token the configured pairs, routes
+ * and gas accounting rely on and compares them with the token lists. A
+ * wrong decimals value mis-prices a trade by orders of magnitude, so a
+ * mismatch rejects the token in the registry. Metadata read from the chain
+ * is cached on disk, a restart only reads tokens that are new or expired.
+ */
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const tokens = require('../config/tokens');
+const assets = require('../config/assets');
+const multicall = require('./multicall');
+
+const ERC20_METADATA = new ethers.Interface([
+    'function decimals() external view returns (uint8)',
+    'function symbol() external view returns (string)'
+]);
+
+class TokenVerifier {
+    /**
+     * Verify the tokens in use on every network with a provider, rejecting
+     * mismatches. Tokens whose metadata can't be read stay unverified.
+     */
+    async verify() {
+        const cache = this.loadCache();
+
+        await Promise.all(Object.keys(config.networks)
+            .filter(network => config.networks[network].provider)
+            .map(network => this.verifyNetwork(network, cache)));
+
+        this.saveCache(cache);
+
+        const summary = {};
+        for (const [network, { tokens: listed, rejected }] of Object.entries(tokens.getStatus())) {
+            summary[network] = {
+                verified: listed.filter(token => token.verified).map(token => token.symbol),
+                rejected: Object.keys(rejected),
+            };
+        }
+        logger.info({ tokens: summary }, 'Token metadata verified');
+    }
+
+    // Token symbols on a network the pairs, hub routes and native wrapping rely on
+    getTokensInUse(network) {
+        const symbols = new Set([config.networks[network].nativeToken, ...config.dex.hubTokens]);
+
+        for (const pair of config.trading.tradingPairs) {
+            for (const asset of pair.split('-')) {
+                const symbol = assets.toToken(network, asset);
+                if (!tokens.has(network, symbol)) {
+                    logger.warn({ network, pair, token: symbol }, 'Pair token is not in any token list');
+                }
+                symbols.add(symbol);
+            }
+        }
+
+        return [...symbols].filter(symbol => tokens.has(network, symbol));
+    }
+
+    async verifyNetwork(network, cache) {
+        const { chainId } = config.networks[network];
+
+        await Promise.all(this.getTokensInUse(network).map(async symbol => {
+            const token = tokens.getToken(network, symbol);
+            const key = `${chainId}:${token.address.toLowerCase()}`;
+
+            let onChain = cache[key] && Date.now() - cache[key].checkedAt < config.tokens.cacheTtlMs ? cache[key] : null;
+            if (!onChain) {
+                try {
+                    onChain = { ...await this.readMetadata(network, token.address), checkedAt: Date.now() };
+                } catch (error) {
+                    logger.warn({ error, network, symbol, address: token.address }, 'Failed to read token metadata, token left unverified');
+                    return;
+                }
+                cache[key] = onChain;
+            }
+
+            const mismatch = this.compare(token, onChain);
+            if (mismatch) {
+                tokens.reject(network, symbol, mismatch);
+                logger.error({
+                    network,
+                    symbol,
+                    address: token.address,
+                    listed: { symbol: token.onChainSymbol, decimals: token.decimals },
+                    onChain: { symbol: onChain.symbol, decimals: onChain.decimals },
+                }, 'Token metadata does not match the chain, token rejected');
+                return;
+            }
+
+            tokens.markVerified(network, symbol);
+        }));
+    }
+
+    /**
+     * Read a token's metadata at the latest block
+     *
+     * @returns {Object} { decimals, symbol }, either null if the call reverted
+     *   or returned something that isn't ERC20 metadata
+     */
+    async readMetadata(network, address) {
+        const [decimalsData, symbolData] = await Promise.all([
+            multicall.call(network, 'latest', address, ERC20_METADATA.encodeFunctionData('decimals')),
+            multicall.call(network, 'latest', address, ERC20_METADATA.encodeFunctionData('symbol')),
+        ]);
+
+        return {
+            decimals: this.decode(() => Number(ERC20_METADATA.decodeFunctionResult('decimals', decimalsData)[0]), decimalsData),
+            // Some older tokens return symbol() as bytes32
+            symbol: this.decode(() => ERC20_METADATA.decodeFunctionResult('symbol', symbolData)[0], symbolData)
+                || this.decode(() => ethers.decodeBytes32String(symbolData), symbolData),
+        };
+    }
+
+    decode(decoder, data) {
+        if (!data || data === '0x') return null;
+        try {
+            return decoder();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Why the listed metadata contradicts the chain, null if it matches
+    compare(token, onChain) {
+        if (onChain.decimals === null) {
+            return 'decimals() not readable';
+        }
+        if (onChain.decimals !== token.decimals) {
+            return `decimals() returned ${onChain.decimals}, listed as ${token.decimals}`;
+        }
+        if (onChain.symbol === null) {
+            return 'symbol() not readable';
+        }
+        if (onChain.symbol !== token.onChainSymbol) {
+            return `symbol() returned ${onChain.symbol}, listed as ${token.onChainSymbol}`;
+        }
+        return null;
+    }
+
+    loadCache() {
+        try {
+            return JSON.parse(fs.readFileSync(config.tokens.cacheFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn({ error, file: config.tokens.cacheFile }, 'Ignoring unreadable token metadata cache');
+            }
+            return {};
+        }
+    }
+
+    saveCache(cache) {
+        try {
+            fs.mkdirSync(path.dirname(config.tokens.cacheFile), { recursive: true });
+            fs.writeFileSync(config.tokens.cacheFile, JSON.stringify(cache, null, 2));
+        } catch (error) {
+            logger.warn({ error, file: config.tokens.cacheFile }, 'Failed to write token metadata cache');
+        }
+    }
+}
+
+module.exports = new TokenVerifier();
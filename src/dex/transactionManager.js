@@ -0,0 +1,337 @@
+/**
+ * Transaction Manager
+ *
+ * Sends the bot's transactions with locally assigned nonces, waits for the
+ * configured number of confirmations, and speeds up or cancels transactions
+ * that stay pending for too long. Every network has its own nonce sequence.
+ * Swaps can go through the network's private relay, falling back to public
+ * broadcast if the relay doesn't get them included in time.
+ */
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const gasOracle = require('./gasOracle');
+const privateRelay = require('./privateRelay');
+
+// Finished transactions kept for the status endpoint
+const MAX_TRACKED_TRANSACTIONS = 200;
+
+class TransactionManager {
+    constructor() {
+        this.nonces = {};
+        this.nonceLocks = {};
+        this.transactions = {};
+    }
+
+    /**
+     * Sign and broadcast a transaction with the next local nonce
+     *
+     * @param {String} network - Network key
+     * @param {Object} signer - Wallet connected to the network's provider
+     * @param {Object} txRequest - Populated transaction, fee fields are filled in here
+     * @param {Object} options - { deadline } unix time after which the transaction is useless,
+     *   { privateSubmission } to send through the network's private relay if it has one
+     * @returns {Object} Tracked transaction, pass it to waitForConfirmation
+     */
+    async send(network, signer, txRequest, { deadline = null, privateSubmission = false } = {}) {
+        const fallbackBlock = privateSubmission && privateRelay.isEnabled(network)
+            ? await config.networks[network].provider.getBlockNumber() + config.privateTx.fallbackBlocks
+            : null;
+
+        const tracked = await this.withNonce(network, signer, async nonce => {
+            const request = { ...txRequest, ...await gasOracle.getFeeOverrides(network), nonce };
+            const submitted = await this.broadcast(network, signer, request, fallbackBlock);
+
+            return {
+                network,
+                signer,
+                nonce,
+                request,
+                ...submitted,
+                hashes: [submitted.hash],
+                status: 'pending',
+                replacements: 0,
+                cancelled: false,
+                deadline,
+                submittedAt: Date.now(),
+                lastSubmittedAt: Date.now(),
+            };
+        });
+
+        this.transactions[tracked.hash] = tracked;
+        this.prune();
+        logger.info({ network, hash: tracked.hash, nonce: tracked.nonce, submission: tracked.submission }, 'Transaction submitted');
+
+        return tracked;
+    }
+
+    /**
+     * Submit one version of a transaction, privately while a fallback block
+     * is set, publicly otherwise or if the relay refuses it
+     *
+     * @returns {Object} { hash, submission, signedTx, fallbackBlock }
+     */
+    async broadcast(network, signer, request, fallbackBlock) {
+        if (fallbackBlock !== null) {
+            try {
+                const signedTx = await signer.signTransaction(await signer.populateTransaction(request));
+                await privateRelay.submit(network, signedTx, fallbackBlock);
+
+                return { hash: ethers.keccak256(signedTx), submission: 'private', signedTx, fallbackBlock };
+            } catch (error) {
+                logger.warn({ error, network, nonce: request.nonce }, 'Private relay submission failed, broadcasting publicly');
+            }
+        }
+
+        const response = await signer.sendTransaction(request);
+        return { hash: response.hash, submission: 'public', signedTx: null, fallbackBlock: null };
+    }
+
+    // Hand out nonces one at a time per network so concurrent sends never collide
+    async withNonce(network, signer, fn) {
+        const previous = this.nonceLocks[network] || Promise.resolve();
+        const run = previous.catch(() => {}).then(async () => {
+            for (let attempt = 0; ; attempt++) {
+                if (this.nonces[network] === undefined) {
+                    this.nonces[network] = await config.networks[network].provider.getTransactionCount(signer.address, 'pending');
+                }
+
+                const nonce = this.nonces[network];
+                try {
+                    const result = await fn(nonce);
+                    this.nonces[network] = nonce + 1;
+                    return result;
+                } catch (error) {
+                    // We can't tell whether the nonce was used, so read it again next time
+                    delete this.nonces[network];
+
+                    // Something else sent from this wallet, retry once with the chain's nonce
+                    if (error.code === 'NONCE_EXPIRED' && attempt === 0) {
+                        logger.warn({ network, nonce }, 'Local nonce behind the chain, resyncing');
+                        continue;
+                    }
+                    throw error;
+                }
+            }
+        });
+        this.nonceLocks[network] = run;
+
+        return run;
+    }
+
+    /**
+     * Wait until one of the transaction's versions has enough confirmations,
+     * replacing it while it stays pending
+     *
+     * @returns {Object} { receipt, gasPaid } with gasPaid in wei, L1 data fee included
+     * @throws If the transaction reverted, was cancelled or timed out
+     */
+    async waitForConfirmation(tracked) {
+        const { network } = tracked;
+        const provider = config.networks[network].provider;
+        const confirmations = config.networks[network].confirmations;
+
+        while (Date.now() - tracked.submittedAt < config.transactions.timeoutMs) {
+            const receipt = await this.findReceipt(provider, tracked.hashes);
+
+            if (receipt) {
+                const head = await provider.getBlockNumber();
+                if (head - receipt.blockNumber + 1 >= confirmations) {
+                    return this.finalize(tracked, receipt);
+                }
+            } else {
+                if (tracked.submission === 'private' && await provider.getBlockNumber() >= tracked.fallbackBlock) {
+                    await this.fallBackToPublic(tracked, provider);
+                }
+                if (Date.now() - tracked.lastSubmittedAt >= config.transactions.stuckAfterMs) {
+                    await this.unstick(tracked);
+                }
+            }
+
+            await new Promise(resolve => setTimeout(resolve, config.transactions.pollIntervalMs));
+        }
+
+        tracked.status = 'timeout';
+        throw new Error(`Transaction ${tracked.hash} on ${network} not confirmed within ${config.transactions.timeoutMs}ms`);
+    }
+
+    // The relay gave up on it, so the same signed transaction goes to the public mempool
+    async fallBackToPublic(tracked, provider) {
+        logger.warn({
+            network: tracked.network,
+            hash: tracked.hash,
+            nonce: tracked.nonce,
+            fallbackBlock: tracked.fallbackBlock,
+        }, 'Transaction not included by private relay, broadcasting publicly');
+
+        tracked.submission = 'public';
+        tracked.fallbackBlock = null;
+
+        try {
+            await provider.broadcastTransaction(tracked.signedTx);
+        } catch (error) {
+            // Usually it was mined in the meantime, the next poll will find it
+            logger.warn({ error, network: tracked.network, hash: tracked.hash }, 'Public broadcast of private transaction failed');
+        }
+        tracked.signedTx = null;
+    }
+
+    async findReceipt(provider, hashes) {
+        const receipts = await Promise.all(hashes.map(hash => provider.getTransactionReceipt(hash)));
+        return receipts.find(Boolean) || null;
+    }
+
+    async finalize(tracked, receipt) {
+        const gasPaid = receipt.gasUsed * receipt.gasPrice + await this.getL1Fee(tracked.network, receipt.hash);
+        const cancelled = tracked.cancelled && receipt.to && receipt.to.toLowerCase() === tracked.signer.address.toLowerCase();
+
+        tracked.status = cancelled ? 'cancelled' : (receipt.status === 1 ? 'confirmed' : 'reverted');
+        tracked.minedHash = receipt.hash;
+        tracked.blockNumber = receipt.blockNumber;
+        tracked.gasPaid = gasPaid;
+
+        logger.info({
+            network: tracked.network,
+            hash: receipt.hash,
+            status: tracked.status,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            replacements: tracked.replacements,
+        }, 'Transaction finalized');
+
+        if (tracked.status !== 'confirmed') {
+            throw new Error(`Transaction ${receipt.hash} on ${tracked.network} ${tracked.status}`);
+        }
+
+        return { receipt, gasPaid };
+    }
+
+    // OP Stack receipts carry the L1 data fee, which gasUsed * gasPrice leaves out
+    async getL1Fee(network, hash) {
+        if (config.networks[network].l1FeeModel !== 'optimism') {
+            return 0n;
+        }
+
+        const raw = await config.networks[network].provider.send('eth_getTransactionReceipt', [hash]);
+        return raw && raw.l1Fee ? BigInt(raw.l1Fee) : 0n;
+    }
+
+    /**
+     * Speed the transaction up with higher fees, or cancel it once it has
+     * been replaced too often, its swap deadline has passed or a cancel
+     * reason is given
+     */
+    async unstick(tracked, cancelReason = null) {
+        const pastDeadline = tracked.deadline !== null && Math.floor(Date.now() / 1000) > tracked.deadline;
+        const tooManyReplacements = tracked.replacements >= config.transactions.maxReplacements;
+        const reason = cancelReason || (pastDeadline ? 'swap deadline passed' : (tooManyReplacements ? 'too many replacements' : null));
+
+        if (!tracked.cancelled && reason) {
+            // A zero-value transfer to ourselves takes the nonce instead
+            await this.replace(tracked, {
+                to: tracked.signer.address,
+                value: 0,
+                data: '0x',
+                gasLimit: 21000,
+            }, reason, true);
+            return;
+        }
+
+        await this.replace(tracked, tracked.request, tracked.cancelled ? 'cancellation stuck' : 'stuck', tracked.cancelled);
+    }
+
+    async replace(tracked, txRequest, reason, cancel) {
+        const bump = BigInt(100 + config.transactions.feeBumpPercentage);
+        const current = await gasOracle.getFeeOverrides(tracked.network);
+
+        // At least the required bump over the last version, more if the market has moved further
+        const maxPriorityFeePerGas = this.max(tracked.request.maxPriorityFeePerGas * bump / 100n, current.maxPriorityFeePerGas);
+        const maxFeePerGas = this.max(tracked.request.maxFeePerGas * bump / 100n, current.maxFeePerGas, maxPriorityFeePerGas);
+
+        const request = {
+            ...txRequest,
+            nonce: tracked.nonce,
+            maxFeePerGas,
+            maxPriorityFeePerGas,
+        };
+
+        try {
+            // Replacements follow the same route as the version they replace
+            const submitted = await this.broadcast(tracked.network, tracked.signer, request, tracked.fallbackBlock);
+
+            tracked.submission = submitted.submission;
+            tracked.signedTx = submitted.signedTx;
+            tracked.fallbackBlock = submitted.fallbackBlock;
+            tracked.request = request;
+            tracked.cancelled = cancel;
+            tracked.hashes.push(submitted.hash);
+            tracked.replacements++;
+            tracked.lastSubmittedAt = Date.now();
+
+            logger.warn({
+                network: tracked.network,
+                nonce: tracked.nonce,
+                previousHash: tracked.hashes[tracked.hashes.length - 2],
+                hash: submitted.hash,
+                submission: submitted.submission,
+                cancel: tracked.cancelled,
+                reason,
+            }, 'Transaction replaced');
+        } catch (error) {
+            // Usually an earlier version was mined in the meantime, the next poll will find it
+            logger.warn({ error, network: tracked.network, nonce: tracked.nonce }, 'Failed to replace transaction');
+            tracked.lastSubmittedAt = Date.now();
+        }
+    }
+
+    /**
+     * Send a cancellation for every transaction still pending
+     *
+     * @returns {Object} { cancelled, failed, live } live being the { network, hash, nonce }
+     *   of each transaction no cancellation could be sent for
+     */
+    async cancelPending(reason) {
+        const pending = Object.values(this.transactions).filter(tracked => tracked.status === 'pending' && !tracked.cancelled);
+        await Promise.allSettled(pending.map(tracked => this.unstick(tracked, reason)));
+
+        // A replacement that couldn't be sent leaves the transaction uncancelled
+        const live = pending
+            .filter(tracked => !tracked.cancelled)
+            .map(({ network, hash, nonce }) => ({ network, hash, nonce }));
+        return { cancelled: pending.length - live.length, failed: live.length, live };
+    }
+
+    prune() {
+        const finished = Object.values(this.transactions).filter(tracked => tracked.status !== 'pending');
+        const excess = Object.keys(this.transactions).length - MAX_TRACKED_TRANSACTIONS;
+
+        finished
+            .sort((a, b) => a.submittedAt - b.submittedAt)
+            .slice(0, Math.max(excess, 0))
+            .forEach(tracked => delete this.transactions[tracked.hash]);
+    }
+
+    max(...values) {
+        return values.reduce((a, b) => (b > a ? b : a));
+    }
+
+    getStatus() {
+        const transactions = Object.values(this.transactions).map(tracked => ({
+            network: tracked.network,
+            nonce: tracked.nonce,
+            hash: tracked.hash,
+            hashes: tracked.hashes,
+            minedHash: tracked.minedHash || null,
+            status: tracked.status,
+            submission: tracked.submission,
+            replacements: tracked.replacements,
+            cancelled: tracked.cancelled,
+            gasPaid: tracked.gasPaid !== undefined ? ethers.formatEther(tracked.gasPaid) : null,
+            submittedAt: tracked.submittedAt,
+        }));
+
+        return { nonces: { ...this.nonces }, transactions };
+    }
+}
+
+module.exports = new TransactionManager();
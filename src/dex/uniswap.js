@@ -3,26 +3,47 @@ const logger = require('../utils/logger');
 const config = require('../config/config');
 const tokens = require('../config/tokens');
 const BigNumber = require('bignumber.js');
-
-// ABI for Uniswap V3 Quoter
-const QUOTER_ABI = [
-    'function quoteExactInputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint160 sqrtPriceLimitX96) external returns (uint256 amountOut)',
-    'function quoteExactOutputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountOut, uint160 sqrtPriceLimitX96) external returns (uint256 amountIn)'
-];
-
-// ABI for ERC20 token
-const ERC20_ABI = [
-    'function approve(address spender, uint256 amount) external returns (bool)',
-    'function balanceOf(address account) external view returns (uint256)',
-    'function decimals() external view returns (uint8)'
+const poolStateEngine = require('./poolStateEngine');
+const routeFinder = require('./routeFinder');
+const DexAdapter = require('./dexAdapter');
+const allowanceManager = require('./allowanceManager');
+const swapSimulator = require('./swapSimulator');
+const multicall = require('./multicall');
+const nativeWrapper = require('./nativeWrapper');
+
+// ABI for Uniswap V3 QuoterV2, which also reports the price after the swap, ticks crossed and gas used
+const QUOTER_V2_ABI = [
+    'function quoteExactInputSingle(tuple(address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+    'function quoteExactOutputSingle(tuple(address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+    'function quoteExactInput(bytes path, uint256 amountIn) external returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)'
 ];
 
 // ABI for Uniswap V3 Router
 const ROUTER_ABI = [
     'function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external returns (uint256 amountOut)',
-    'function exactOutputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96)) external returns (uint256 amountIn)'
+    'function exactOutputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96)) external returns (uint256 amountIn)',
+    'function exactInput(tuple(bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum)) external returns (uint256 amountOut)'
 ];
 
+// ABI for the Universal Router, which takes Permit2 signatures
+const UNIVERSAL_ROUTER_ABI = [
+    'function execute(bytes commands, bytes[] inputs, uint256 deadline) external payable'
+];
+
+// Universal Router command bytes
+const UNIVERSAL_ROUTER_COMMANDS = {
+    V3_SWAP_EXACT_IN: 0x00,
+    PERMIT2_PERMIT: 0x0a,
+};
+
+// Pool event reporting each hop's amounts (negative amounts left the pool), and the pool's current price
+const poolInterface = new ethers.Interface([
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+    'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)'
+]);
+
+const PERMIT_SINGLE_TYPE = 'tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline)';
+
 // Common pools fees in Uniswap V3 (0.05%, 0.3%, 1%)
 const POOL_FEES = {
     LOWEST: 500,   // 0.05%
@@ -30,13 +51,23 @@ const POOL_FEES = {
     MEDIUM: 10000, // 1%
 };
 
-class UniswapDEX {
+// Rough gas use of a V3 router swap: a fixed part plus the pools, where
+// QuoterV2 doesn't measure them, each pool and initialized tick crossed
+const SWAP_GAS = {
+    base: 110000n,
+    perHop: 70000n,
+    perTickCrossed: 30000n,
+};
+
+class UniswapDEX extends DexAdapter {
     constructor() {
+        super('uniswap');
         this.prices = {};
         this.quoters = {};
         this.routers = {};
-        this.wallet = null;
+        this.universalRouters = {};
         this.initialized = false;
+        this.lastCrossCheck = {};
     }
 
     async initialize() {
@@ -49,15 +80,15 @@ class UniswapDEX {
             // Initialize quoters and routers for each network
             for (const networkKey in config.networks) {
                 const network = config.networks[networkKey];
-                if (!network.provider) continue;
+                const quoterAddress = this.getQuoterAddress(networkKey);
+                if (!network.provider || !quoterAddress) continue;
 
                 const connectedWallet = this.wallet.connect(network.provider);
 
                 // Initialize quoter
-                const quoterAddress = this.getQuoterAddress(networkKey);
                 this.quoters[networkKey] = new ethers.Contract(
                     quoterAddress,
-                    QUOTER_ABI,
+                    QUOTER_V2_ABI,
                     network.provider
                 );
 
@@ -68,8 +99,17 @@ class UniswapDEX {
                     ROUTER_ABI,
                     connectedWallet
                 );
+
+                this.universalRouters[networkKey] = new ethers.Contract(
+                    config.dex.uniswapUniversalRouter,
+                    UNIVERSAL_ROUTER_ABI,
+                    connectedWallet
+                );
             }
 
+            // Load pool state so quotes can be computed locally
+            await poolStateEngine.initialize(Object.values(POOL_FEES));
+
             this.initialized = true;
             logger.info('Uniswap DEX adapter initialized successfully');
             return true;
@@ -80,68 +120,65 @@ class UniswapDEX {
     }
 
     getQuoterAddress(network) {
-        // Uniswap V3 Quoter addresses for different networks
+        // Uniswap V3 QuoterV2 deployments, the same address on these networks but not on every chain
         const quoterAddresses = {
-            ethereum: '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6',
-            arbitrum: '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6',
-            optimism: '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6',
-            polygon: '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6',
+            ethereum: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            arbitrum: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            optimism: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            polygon: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
         };
 
-        return quoterAddresses[network] || quoterAddresses.ethereum;
+        return quoterAddresses[network] || null;
+    }
+
+    supportsNetwork(network) {
+        return Boolean(this.routers[network]);
     }
 
-    async getPrice(network, baseToken, quoteToken, amount = '1') {
+    /**
+     * Quote selling an amount of the base token along the best route
+     *
+     * @param {Number} blockNumber - Block to quote at, the latest if not given
+     * @param {Object} only - Summarized route to quote instead of searching every route
+     * @returns {Object} { amountOut, route, blockNumber }, amountOut in quote token units
+     */
+    async getQuote(network, baseToken, quoteToken, amount = '1', blockNumber = null, only = null) {
         try {
             if (!this.initialized) {
                 throw new Error('Uniswap DEX adapter not initialized');
             }
 
-            const baseTokenAddress = tokens.getTokenAddress(network, baseToken);
-            const quoteTokenAddress = tokens.getTokenAddress(network, quoteToken);
-            const baseDecimals = tokens.getTokenDecimals(baseToken);
+            const baseDecimals = tokens.getTokenDecimals(network, baseToken);
 
             // Convert amount to wei format with correct decimals
             const amountIn = ethers.parseUnits(amount, baseDecimals);
 
-            // Try different fee tiers to find the best price
-            let bestAmountOut = ethers.BigNumber.from(0);
-
-            for (const feeKey in POOL_FEES) {
-                try {
-                    const fee = POOL_FEES[feeKey];
-                    const amountOut = await this.quoters[network].quoteExactInputSingle(
-                        baseTokenAddress,
-                        quoteTokenAddress,
-                        fee,
-                        amountIn,
-                        0
-                    );
-
-                    if (amountOut.gt(bestAmountOut)) {
-                        bestAmountOut = amountOut;
-                    }
-                } catch (e) {
-                    // Pool might not exist for this fee tier, continue to next
-                    continue;
-                }
-            }
+            // Find the best price across routes and fee tiers, every Quoter call at the same block
+            const quoteBlock = blockNumber || await config.networks[network].provider.getBlockNumber();
+            const route = await this.findBestRoute(network, baseToken, quoteToken, amountIn, quoteBlock, only);
 
-            if (bestAmountOut.eq(0)) {
+            if (!route) {
                 throw new Error(`No valid pool found for ${baseToken}/${quoteToken} on ${network}`);
             }
 
-            const quoteDecimals = tokens.getTokenDecimals(quoteToken);
-            const price = ethers.formatUnits(bestAmountOut, quoteDecimals);
+            const quoteDecimals = tokens.getTokenDecimals(network, quoteToken);
+            const price = ethers.formatUnits(route.amountOut, quoteDecimals);
+
+            // Where the pools stood before the trade, so the quote's price impact can be told apart
+            const hopPrices = await this.getHopPrices(network, route, quoteBlock);
+            const execution = this.describeExecution(network, baseToken, quoteToken, amount, price, hopPrices, route.fees);
 
             // Save price in cache
             const pairKey = `${network}:${baseToken}-${quoteToken}`;
             this.prices[pairKey] = {
                 price,
+                ...execution,
+                route: routeFinder.summarizeRoute(route),
+                blockNumber: quoteBlock,
                 timestamp: new Date().getTime()
             };
 
-            return price;
+            return { amountOut: price, route: this.prices[pairKey].route, blockNumber: quoteBlock, ...execution };
         } catch (error) {
             logger.error({ error, baseToken, quoteToken, network }, 'Failed to get price from Uniswap');
             throw error;
@@ -154,186 +191,380 @@ class UniswapDEX {
                 throw new Error('Uniswap DEX adapter not initialized');
             }
 
-            const baseTokenAddress = tokens.getTokenAddress(network, baseToken);
-            const quoteTokenAddress = tokens.getTokenAddress(network, quoteToken);
-            const baseDecimals = tokens.getTokenDecimals(baseToken);
-            const quoteDecimals = tokens.getTokenDecimals(quoteToken);
-
-            // Set deadline to 5 minutes from now
-            const deadline = Math.floor(Date.now() / 1000) + 300;
-
-            // Find the best pool by fee
-            let bestFee = POOL_FEES.MEDIUM; // Default to medium fee
-            let bestAmountOut = ethers.BigNumber.from(0);
-
-            if (action === 'buy') {
-                // If buying, we're swapping quote token for base token
-                const amountIn = ethers.parseUnits(amount, quoteDecimals);
-
-                for (const feeKey in POOL_FEES) {
-                    try {
-                        const fee = POOL_FEES[feeKey];
-                        const amountOut = await this.quoters[network].quoteExactInputSingle(
-                            quoteTokenAddress,
-                            baseTokenAddress,
-                            fee,
-                            amountIn,
-                            0
-                        );
-
-                        if (amountOut.gt(bestAmountOut)) {
-                            bestAmountOut = amountOut;
-                            bestFee = fee;
-                        }
-                    } catch (e) {
-                        continue;
-                    }
-                }
+            await this.wrapTrade(network, action, baseToken, quoteToken, amount);
+            await this.approveTrade(network, action, baseToken, quoteToken, amount);
+            const trade = await this.prepareTrade(network, action, baseToken, quoteToken, amount, slippagePercentage);
 
-                if (bestAmountOut.eq(0)) {
-                    throw new Error(`No valid pool found for ${baseToken}/${quoteToken} on ${network}`);
-                }
+            // Nothing is sent unless the swap goes through against the latest block
+            await this.simulateSwap(network, trade);
+
+            const tx = await this.sendSwap(network, trade.txRequest, trade.deadline);
+            if (trade.permit) {
+                allowanceManager.recordPermit(network, trade.permit.permitSingle);
+            }
 
-                // Calculate minimum amount out with slippage
-                const minAmountOut = bestAmountOut.mul(1000 - Math.floor(slippagePercentage * 10)).div(1000);
+            // Wait for the swap to confirm
+            const result = await this.confirmSwap(tx, trade.tokenOut);
+
+            logger.info({
+                ...result,
+                network,
+                action,
+                baseToken,
+                quoteToken,
+                amount,
+                route: trade.route.description,
+            }, 'Trade executed on Uniswap');
+
+            return {
+                ...result,
+                amountIn: ethers.formatUnits(trade.amountIn, tokens.getTokenDecimals(network, trade.tokenIn)),
+                estimatedAmountOut: ethers.formatUnits(trade.route.amountOut, tokens.getTokenDecimals(network, trade.tokenOut)),
+                route: routeFinder.summarizeRoute(trade.route)
+            };
+        } catch (error) {
+            logger.error({ error, network, action, baseToken, quoteToken, amount }, 'Failed to execute trade on Uniswap');
+            throw error;
+        }
+    }
 
-                // Approve token spending
-                const tokenContract = new ethers.Contract(
-                    quoteTokenAddress,
-                    ERC20_ABI,
-                    this.wallet.connect(config.networks[network].provider)
-                );
+    async prepareTrade(network, action, baseToken, quoteToken, amount, slippagePercentage = 0.5) {
+        const { tokenIn, tokenOut, amountIn } = this.getTradeInput(network, action, baseToken, quoteToken, amount);
 
-                const approveTx = await tokenContract.approve(
-                    config.dex.uniswapV3Router,
-                    amountIn
-                );
-                await approveTx.wait();
-
-                // Execute the swap
-                const swapParams = {
-                    tokenIn: quoteTokenAddress,
-                    tokenOut: baseTokenAddress,
-                    fee: bestFee,
-                    recipient: this.wallet.address,
-                    deadline,
-                    amountIn,
-                    amountOutMinimum: minAmountOut,
-                    sqrtPriceLimitX96: 0
-                };
-
-                const tx = await this.routers[network].exactInputSingle(swapParams, {
-                    gasLimit: config.trading.gasLimit,
-                    gasPrice: await this.getGasPrice(network)
-                });
-
-                logger.info({ txHash: tx.hash, network, baseToken, quoteToken, amount }, 'Buy trade executed on Uniswap');
-
-                return {
-                    txHash: tx.hash,
-                    amountIn: ethers.formatUnits(amountIn, quoteDecimals),
-                    estimatedAmountOut: ethers.formatUnits(bestAmountOut, baseDecimals)
-                };
-            } else if (action === 'sell') {
-                // If selling, we're swapping base token for quote token
-                const amountIn = ethers.parseUnits(amount, baseDecimals);
-
-                for (const feeKey in POOL_FEES) {
-                    try {
-                        const fee = POOL_FEES[feeKey];
-                        const amountOut = await this.quoters[network].quoteExactInputSingle(
-                            baseTokenAddress,
-                            quoteTokenAddress,
-                            fee,
-                            amountIn,
-                            0
-                        );
-
-                        if (amountOut.gt(bestAmountOut)) {
-                            bestAmountOut = amountOut;
-                            bestFee = fee;
-                        }
-                    } catch (e) {
-                        continue;
-                    }
-                }
+        const route = await this.findBestRoute(network, tokenIn, tokenOut, amountIn);
+        if (!route) {
+            throw swapSimulator.failure(
+                swapSimulator.REASONS.POOL_MISSING,
+                `No valid pool found for ${baseToken}/${quoteToken} on ${network}`,
+                { tokenIn, tokenOut }
+            );
+        }
 
-                if (bestAmountOut.eq(0)) {
-                    throw new Error(`No valid pool found for ${baseToken}/${quoteToken} on ${network}`);
-                }
+        // Calculate minimum amount out with slippage
+        const minAmountOut = route.amountOut * BigInt(1000 - Math.floor(slippagePercentage * 10)) / 1000n;
+
+        // Set deadline to 5 minutes from now
+        const deadline = Math.floor(Date.now() / 1000) + 300;
+
+        const swap = config.dex.allowance.usePermit2
+            ? await this.buildPermit2Swap(network, route, amountIn, minAmountOut, deadline)
+            : await this.buildRouterSwap(network, route, amountIn, minAmountOut, deadline);
+
+        return {
+            ...swap,
+            tokenIn,
+            tokenOut,
+            amountIn,
+            minAmountOut,
+            route,
+            deadline,
+            pools: route.fees.map((fee, i) => poolStateEngine.computePoolAddress(route.addresses[i], route.addresses[i + 1], fee)),
+        };
+    }
 
-                // Calculate minimum amount out with slippage
-                const minAmountOut = bestAmountOut.mul(1000 - Math.floor(slippagePercentage * 10)).div(1000);
+    /**
+     * Best exact-input route between two tokens, direct or through hub tokens
+     *
+     * @param {String} network - Network key
+     * @param {String} tokenIn - Input token symbol
+     * @param {String} tokenOut - Output token symbol
+     * @param {BigInt} amountIn - Input amount in token units
+     * @param {Number|String} blockTag - Block the quotes are pinned to
+     * @param {Object} only - Route to restrict the search to, in either direction
+     * @returns {Object|null} Route with amountOut and quote source, null if no route exists
+     */
+    async findBestRoute(network, tokenIn, tokenOut, amountIn, blockTag = 'latest', only = null) {
+        let routes = routeFinder.enumerateRoutes(network, tokenIn, tokenOut, Object.values(POOL_FEES));
+        if (only) {
+            const { symbols, fees } = routeFinder.orientRoute(only, tokenIn);
+            routes = routes.filter(route => route.symbols.join() === symbols.join() && route.fees.join() === fees.join());
+        }
+        const quotes = await Promise.all(routes.map(route => this.quoteRoute(network, route, amountIn, blockTag)));
 
-                // Approve token spending
-                const tokenContract = new ethers.Contract(
-                    baseTokenAddress,
-                    ERC20_ABI,
-                    this.wallet.connect(config.networks[network].provider)
-                );
+        let best = null;
+        routes.forEach((route, index) => {
+            const quote = quotes[index];
+            if (quote && quote.amountOut > 0n && (!best || quote.amountOut > best.amountOut)) {
+                best = { ...route, ...quote };
+            }
+        });
 
-                const approveTx = await tokenContract.approve(
-                    config.dex.uniswapV3Router,
-                    amountIn
-                );
-                await approveTx.wait();
-
-                // Execute the swap
-                const swapParams = {
-                    tokenIn: baseTokenAddress,
-                    tokenOut: quoteTokenAddress,
-                    fee: bestFee,
-                    recipient: this.wallet.address,
-                    deadline,
-                    amountIn,
-                    amountOutMinimum: minAmountOut,
-                    sqrtPriceLimitX96: 0
-                };
-
-                const tx = await this.routers[network].exactInputSingle(swapParams, {
-                    gasLimit: config.trading.gasLimit,
-                    gasPrice: await this.getGasPrice(network)
-                });
-
-                logger.info({ txHash: tx.hash, network, baseToken, quoteToken, amount }, 'Sell trade executed on Uniswap');
-
-                return {
-                    txHash: tx.hash,
-                    amountIn: ethers.formatUnits(amountIn, baseDecimals),
-                    estimatedAmountOut: ethers.formatUnits(bestAmountOut, quoteDecimals)
-                };
+        return best;
+    }
+
+    /**
+     * Quote a route from the local pool state where every hop is loaded,
+     * falling back to the Quoter otherwise
+     *
+     * @returns {Object|null} { amountOut, sqrtPriceX96After, initializedTicksCrossed,
+     *   gasEstimate, source } with a price and tick count per hop, null if a
+     *   pool on the route does not exist
+     */
+    async quoteRoute(network, route, amountIn, blockTag = 'latest') {
+        const simulation = this.simulateRoute(network, route, amountIn, blockTag);
+        if (simulation !== null) {
+            if (route.fees.length === 1) {
+                const pool = poolStateEngine.getPool(network, route.addresses[0], route.addresses[1], route.fees[0]);
+                this.crossCheck(pool, route.addresses[0], route.addresses[1], amountIn, simulation.amountOut, blockTag);
+            }
+            return { ...simulation, source: 'pool' };
+        }
+
+        const quote = route.fees.length === 1
+            ? await this.quoteWithQuoter(network, route.addresses[0], route.addresses[1], route.fees[0], amountIn, blockTag)
+            : await this.quotePathWithQuoter(network, route.encodedPath, amountIn, blockTag);
+
+        return quote === null ? null : { ...quote, source: 'quoter' };
+    }
+
+    // Chain local simulations hop by hop, null if any hop has no usable local state
+    simulateRoute(network, route, amountIn, blockTag = 'latest') {
+        let amount = amountIn;
+        const sqrtPriceX96After = [];
+        const initializedTicksCrossed = [];
+
+        for (let i = 0; i < route.fees.length; i++) {
+            const pool = poolStateEngine.getPool(network, route.addresses[i], route.addresses[i + 1], route.fees[i]);
+            if (!pool) return null;
+
+            // State that changed after the pinned block doesn't describe the pool at that block
+            if (blockTag !== 'latest' && pool.blockNumber > blockTag) return null;
+
+            const simulation = pool.simulateExactInput(route.addresses[i], amount);
+            if (!simulation) return null;
+
+            amount = simulation.amountOut;
+            sqrtPriceX96After.push(simulation.sqrtPriceX96After);
+            initializedTicksCrossed.push(simulation.ticksCrossed);
+        }
+
+        // Nothing runs on-chain, so estimate the pools' share of the gas QuoterV2 would have measured
+        const ticksCrossed = initializedTicksCrossed.reduce((sum, ticks) => sum + ticks, 0);
+        const gasEstimate = SWAP_GAS.perHop * BigInt(route.fees.length) + SWAP_GAS.perTickCrossed * BigInt(ticksCrossed);
+
+        return { amountOut: amount, sqrtPriceX96After, initializedTicksCrossed, gasEstimate };
+    }
+
+    // Quoter calls go out in the network's Multicall3 batch for the block
+    async quoteWithQuoter(network, tokenIn, tokenOut, fee, amountIn, blockTag = 'latest') {
+        const result = await this.callQuoter(network, blockTag, 'quoteExactInputSingle', [{
+            tokenIn,
+            tokenOut,
+            amountIn,
+            fee,
+            sqrtPriceLimitX96: 0
+        }]);
+
+        return result === null ? null : {
+            amountOut: result.amountOut,
+            sqrtPriceX96After: [result.sqrtPriceX96After],
+            initializedTicksCrossed: [Number(result.initializedTicksCrossed)],
+            gasEstimate: result.gasEstimate,
+        };
+    }
+
+    async quotePathWithQuoter(network, path, amountIn, blockTag = 'latest') {
+        const result = await this.callQuoter(network, blockTag, 'quoteExactInput', [path, amountIn]);
+
+        return result === null ? null : {
+            amountOut: result.amountOut,
+            sqrtPriceX96After: [...result.sqrtPriceX96AfterList],
+            initializedTicksCrossed: result.initializedTicksCrossedList.map(Number),
+            gasEstimate: result.gasEstimate,
+        };
+    }
+
+    async callQuoter(network, blockTag, method, args) {
+        const quoter = this.quoters[network];
+        const returnData = await multicall.call(network, blockTag, quoter.target, quoter.interface.encodeFunctionData(method, args));
+
+        // A pool on the route might not exist
+        if (returnData === null) return null;
+
+        return quoter.interface.decodeFunctionResult(method, returnData);
+    }
+
+    /**
+     * Spot price of each hop before the swap, from the local pool state
+     * where it describes the block and slot0 at the block otherwise
+     *
+     * @returns {Array} Hop prices as returned by toHopPrice
+     */
+    async getHopPrices(network, route, blockTag = 'latest') {
+        return Promise.all(route.fees.map(async (fee, i) => {
+            const [tokenIn, tokenOut] = [route.addresses[i], route.addresses[i + 1]];
+            const pool = poolStateEngine.getPool(network, tokenIn, tokenOut, fee);
+
+            let sqrtPriceX96;
+            if (pool && (blockTag === 'latest' || pool.blockNumber <= blockTag)) {
+                sqrtPriceX96 = pool.sqrtPriceX96;
             } else {
-                throw new Error(`Invalid action: ${action}. Must be 'buy' or 'sell'`);
+                const address = poolStateEngine.computePoolAddress(tokenIn, tokenOut, fee);
+                const returnData = await multicall.call(network, blockTag, address, poolInterface.encodeFunctionData('slot0'));
+                if (returnData === null) {
+                    throw new Error(`Failed to read slot0 of pool ${address} on ${network}`);
+                }
+                sqrtPriceX96 = poolInterface.decodeFunctionResult('slot0', returnData).sqrtPriceX96;
             }
-        } catch (error) {
-            logger.error({ error, network, action, baseToken, quoteToken, amount }, 'Failed to execute trade on Uniswap');
-            throw error;
+
+            // sqrtPriceX96 squared is token1 per token0 in Q192, token0 being the lower address
+            const priceX192 = sqrtPriceX96 * sqrtPriceX96;
+            return tokenIn.toLowerCase() < tokenOut.toLowerCase()
+                ? this.toHopPrice(priceX192, 1n << 192n)
+                : this.toHopPrice(1n << 192n, priceX192);
+        }));
+    }
+
+    /**
+     * Swap transaction along a route through the V3 router, single-pool
+     * routes through exactInputSingle
+     *
+     * @returns {Object} { txRequest, spender }
+     */
+    async buildRouterSwap(network, route, amountIn, minAmountOut, deadline) {
+        const txRequest = route.fees.length === 1
+            ? await this.routers[network].exactInputSingle.populateTransaction({
+                tokenIn: route.addresses[0],
+                tokenOut: route.addresses[1],
+                fee: route.fees[0],
+                recipient: this.wallet.address,
+                deadline,
+                amountIn,
+                amountOutMinimum: minAmountOut,
+                sqrtPriceLimitX96: 0
+            })
+            : await this.routers[network].exactInput.populateTransaction({
+                path: route.encodedPath,
+                recipient: this.wallet.address,
+                deadline,
+                amountIn,
+                amountOutMinimum: minAmountOut
+            });
+
+        return { txRequest, spender: config.dex.uniswapV3Router, permit: null };
+    }
+
+    /**
+     * Swap transaction through the Universal Router, which pulls the input
+     * through Permit2
+     *
+     * @returns {Object} { txRequest, spender, permit } permit is null if the
+     *   existing Permit2 allowance already covers the swap
+     */
+    async buildPermit2Swap(network, route, amountIn, minAmountOut, deadline) {
+        const signer = this.wallet.connect(config.networks[network].provider);
+        const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+        const commands = [];
+        const inputs = [];
+
+        // Only sign a new permit when the Permit2 allowance for the router falls short
+        const permit = await allowanceManager.getPermit2Signature(
+            network,
+            signer,
+            route.addresses[0],
+            config.dex.uniswapUniversalRouter,
+            amountIn
+        );
+        if (permit) {
+            commands.push(UNIVERSAL_ROUTER_COMMANDS.PERMIT2_PERMIT);
+            inputs.push(abiCoder.encode([PERMIT_SINGLE_TYPE, 'bytes'], [permit.permitSingle, permit.signature]));
         }
+
+        // The router pulls the input through Permit2 from the wallet (payerIsUser)
+        commands.push(UNIVERSAL_ROUTER_COMMANDS.V3_SWAP_EXACT_IN);
+        inputs.push(abiCoder.encode(
+            ['address', 'uint256', 'uint256', 'bytes', 'bool'],
+            [this.wallet.address, amountIn, minAmountOut, route.encodedPath, true]
+        ));
+
+        const txRequest = await this.universalRouters[network].execute.populateTransaction(
+            ethers.hexlify(Uint8Array.from(commands)),
+            inputs,
+            deadline
+        );
+
+        // The token is approved to Permit2, the router's allowance travels in the permit
+        return { txRequest, spender: config.dex.allowance.permit2Address, permit };
     }
 
-    async getGasPrice(network) {
-        const provider = config.networks[network].provider;
-        const gasPrice = await provider.getGasPrice();
-        return gasPrice.mul(Math.floor(config.trading.gasPriceMultiplier * 100)).div(100);
+    /**
+     * Compare a local simulation against the Quoter now and then, and
+     * rebuild the pool state if they disagree
+     */
+    crossCheck(pool, tokenIn, tokenOut, amountIn, simulatedOut, blockTag = 'latest') {
+        const now = Date.now();
+        if (now - (this.lastCrossCheck[pool.address] || 0) < config.dex.quoterCrossCheckIntervalMs) {
+            return;
+        }
+        this.lastCrossCheck[pool.address] = now;
+
+        this.quoteWithQuoter(pool.network, tokenIn, tokenOut, pool.fee, amountIn, blockTag)
+            .then(quote => {
+                if (quote === null || quote.amountOut === 0n) return;
+
+                const quoterOut = quote.amountOut;
+                const diff = quoterOut > simulatedOut ? quoterOut - simulatedOut : simulatedOut - quoterOut;
+                const diffBps = Number(diff * 10000n / quoterOut);
+
+                if (diffBps > config.dex.quoterCrossCheckToleranceBps) {
+                    logger.warn({
+                        network: pool.network,
+                        pool: pool.address,
+                        simulatedOut: simulatedOut.toString(),
+                        quoterOut: quoterOut.toString(),
+                        diffBps,
+                    }, 'Local pool simulation disagrees with Quoter');
+                    poolStateEngine.reloadPool(pool, 'quoter cross-check mismatch');
+                }
+            })
+            .catch(error => logger.debug({ error }, 'Quoter cross-check failed'));
     }
 
-    async getTokenBalance(network, token) {
-        try {
-            const tokenAddress = tokens.getTokenAddress(network, token);
-            const tokenContract = new ethers.Contract(
-                tokenAddress,
-                ERC20_ABI,
-                config.networks[network].provider
-            );
+    // The router's overhead plus the pools' gas as QuoterV2 measured or the local simulation estimated it
+    estimateGas(network, route) {
+        if (route.gasEstimate) {
+            return SWAP_GAS.base + BigInt(route.gasEstimate);
+        }
+        return SWAP_GAS.base + SWAP_GAS.perHop * BigInt(route.fees.length);
+    }
 
-            const balance = await tokenContract.balanceOf(this.wallet.address);
-            const decimals = tokens.getTokenDecimals(token);
+    // The last hop is the one paying the wallet
+    getSwapAmountOut(receipt) {
+        let amountOut = null;
 
-            return ethers.formatUnits(balance, decimals);
-        } catch (error) {
-            logger.error({ error, token, network }, 'Failed to get token balance');
-            throw error;
+        for (const log of receipt.logs) {
+            let event;
+            try {
+                event = poolInterface.parseLog(log);
+            } catch (e) {
+                continue;
+            }
+            if (!event || event.args.recipient.toLowerCase() !== this.wallet.address.toLowerCase()) continue;
+
+            const { amount0, amount1 } = event.args;
+            amountOut = amount0 < 0n ? -amount0 : -amount1;
+        }
+
+        return amountOut;
+    }
+
+    getApprovalTargets(network) {
+        if (config.dex.allowance.usePermit2) {
+            return [
+                { spender: config.dex.allowance.permit2Address, spenderName: 'permit2', type: 'erc20' },
+                { spender: config.dex.uniswapUniversalRouter, spenderName: 'universalRouter', type: 'permit2' },
+            ];
         }
+        return [{ spender: config.dex.uniswapV3Router, spenderName: 'swapRouter', type: 'erc20' }];
+    }
+
+    getFees() {
+        // 0.3% (can vary by pool but this is a reasonable default)
+        return { swap: 0.003 };
+    }
+
+    async stop() {
+        await poolStateEngine.stop();
     }
 }
 
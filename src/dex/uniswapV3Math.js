@@ -0,0 +1,207 @@
+/**
+ * Uniswap V3 Math
+ *
+ * BigInt ports of the core library functions (TickMath, SqrtPriceMath,
+ * SwapMath) so swaps can be computed locally with the same rounding as
+ * the pool contract.
+ */
+
+const Q96 = 1n << 96n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+// Fees are expressed in hundredths of a bip
+const FEE_DENOMINATOR = 1000000n;
+
+function mulDiv(a, b, denominator) {
+    return (a * b) / denominator;
+}
+
+function mulDivRoundingUp(a, b, denominator) {
+    const product = a * b;
+    const result = product / denominator;
+    return product % denominator === 0n ? result : result + 1n;
+}
+
+function divRoundingUp(a, b) {
+    return a % b === 0n ? a / b : a / b + 1n;
+}
+
+// Multipliers for each bit of the absolute tick: sqrt(1.0001^-(2^i)) as Q128
+const TICK_RATIOS = [
+    [0x2n, 0xfff97272373d413259a46990580e213an],
+    [0x4n, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+    [0x8n, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+    [0x10n, 0xffcb9843d60f6159c9db58835c926644n],
+    [0x20n, 0xff973b41fa98c081472e6896dfb254c0n],
+    [0x40n, 0xff2ea16466c96a3843ec78b326b52861n],
+    [0x80n, 0xfe5dee046a99a2a811c461f1969c3053n],
+    [0x100n, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+    [0x200n, 0xf987a7253ac413176f2b074cf7815e54n],
+    [0x400n, 0xf3392b0822b70005940c7a398e4b70f3n],
+    [0x800n, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+    [0x1000n, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+    [0x2000n, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+    [0x4000n, 0x70d869a156d2a1b890bb3df62baf32f7n],
+    [0x8000n, 0x31be135f97d08fd981231505542fcfa6n],
+    [0x10000n, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+    [0x20000n, 0x5d6af8dedb81196699c329225ee604n],
+    [0x40000n, 0x2216e584f5fa1ea926041bedfe98n],
+    [0x80000n, 0x48a170391f7dc42444e8fa2n],
+];
+
+function getSqrtRatioAtTick(tick) {
+    if (tick < MIN_TICK || tick > MAX_TICK) {
+        throw new Error(`Tick ${tick} out of range`);
+    }
+
+    const absTick = BigInt(Math.abs(tick));
+    let ratio = (absTick & 0x1n) !== 0n
+        ? 0xfffcb933bd6fad37aa2d162d1a594001n
+        : 0x100000000000000000000000000000000n;
+
+    for (const [bit, multiplier] of TICK_RATIOS) {
+        if ((absTick & bit) !== 0n) {
+            ratio = (ratio * multiplier) >> 128n;
+        }
+    }
+
+    if (tick > 0) {
+        ratio = MAX_UINT256 / ratio;
+    }
+
+    // Round up from Q128.128 to Q64.96
+    return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+// Greatest tick whose sqrt ratio is <= the given price
+function getTickAtSqrtRatio(sqrtPriceX96) {
+    if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+        throw new Error('Sqrt price out of range');
+    }
+
+    let low = MIN_TICK;
+    let high = MAX_TICK;
+
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (getSqrtRatioAtTick(mid) <= sqrtPriceX96) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return low;
+}
+
+function getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+    if (sqrtRatioAX96 > sqrtRatioBX96) {
+        [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+    }
+
+    const numerator1 = liquidity << 96n;
+    const numerator2 = sqrtRatioBX96 - sqrtRatioAX96;
+
+    return roundUp
+        ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtRatioBX96), sqrtRatioAX96)
+        : mulDiv(numerator1, numerator2, sqrtRatioBX96) / sqrtRatioAX96;
+}
+
+function getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+    if (sqrtRatioAX96 > sqrtRatioBX96) {
+        [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+    }
+
+    return roundUp
+        ? mulDivRoundingUp(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96)
+        : mulDiv(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96);
+}
+
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amount) {
+    if (amount === 0n) return sqrtPriceX96;
+
+    const numerator1 = liquidity << 96n;
+    const product = amount * sqrtPriceX96;
+
+    // Same branch as the contract, which falls back when the product overflows
+    if (product <= MAX_UINT256) {
+        const denominator = numerator1 + product;
+        if (denominator >= numerator1) {
+            return mulDivRoundingUp(numerator1, sqrtPriceX96, denominator);
+        }
+    }
+
+    return divRoundingUp(numerator1, numerator1 / sqrtPriceX96 + amount);
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amount) {
+    const quotient = amount <= MAX_UINT160
+        ? (amount << 96n) / liquidity
+        : mulDiv(amount, Q96, liquidity);
+
+    return sqrtPriceX96 + quotient;
+}
+
+function getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+    return zeroForOne
+        ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amountIn)
+        : getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amountIn);
+}
+
+/**
+ * One exact-input swap step within a single liquidity range
+ *
+ * @returns {Object} { sqrtPriceNextX96, amountIn, amountOut, feeAmount }
+ */
+function computeSwapStep(sqrtPriceCurrentX96, sqrtPriceTargetX96, liquidity, amountRemaining, feePips) {
+    const fee = BigInt(feePips);
+    const zeroForOne = sqrtPriceCurrentX96 >= sqrtPriceTargetX96;
+
+    const amountRemainingLessFee = mulDiv(amountRemaining, FEE_DENOMINATOR - fee, FEE_DENOMINATOR);
+    let amountIn = zeroForOne
+        ? getAmount0Delta(sqrtPriceTargetX96, sqrtPriceCurrentX96, liquidity, true)
+        : getAmount1Delta(sqrtPriceCurrentX96, sqrtPriceTargetX96, liquidity, true);
+
+    const sqrtPriceNextX96 = amountRemainingLessFee >= amountIn
+        ? sqrtPriceTargetX96
+        : getNextSqrtPriceFromInput(sqrtPriceCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+
+    const reachedTarget = sqrtPriceNextX96 === sqrtPriceTargetX96;
+    let amountOut;
+
+    if (zeroForOne) {
+        amountIn = reachedTarget ? amountIn : getAmount0Delta(sqrtPriceNextX96, sqrtPriceCurrentX96, liquidity, true);
+        amountOut = getAmount1Delta(sqrtPriceNextX96, sqrtPriceCurrentX96, liquidity, false);
+    } else {
+        amountIn = reachedTarget ? amountIn : getAmount1Delta(sqrtPriceCurrentX96, sqrtPriceNextX96, liquidity, true);
+        amountOut = getAmount0Delta(sqrtPriceCurrentX96, sqrtPriceNextX96, liquidity, false);
+    }
+
+    const feeAmount = reachedTarget
+        ? mulDivRoundingUp(amountIn, fee, FEE_DENOMINATOR - fee)
+        : amountRemaining - amountIn;
+
+    return { sqrtPriceNextX96, amountIn, amountOut, feeAmount };
+}
+
+module.exports = {
+    Q96,
+    MIN_TICK,
+    MAX_TICK,
+    MIN_SQRT_RATIO,
+    MAX_SQRT_RATIO,
+    mulDiv,
+    mulDivRoundingUp,
+    getSqrtRatioAtTick,
+    getTickAtSqrtRatio,
+    getAmount0Delta,
+    getAmount1Delta,
+    getNextSqrtPriceFromInput,
+    computeSwapStep,
+};
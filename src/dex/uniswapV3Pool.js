@@ -0,0 +1,176 @@
+/**
+ * Uniswap V3 Pool State
+ *
+ * Local copy of a pool's price, active liquidity and initialized ticks,
+ * kept current from Swap/Mint/Burn events. Swaps are simulated with the
+ * same step-by-step logic as UniswapV3Pool.swap.
+ */
+const v3Math = require('./uniswapV3Math');
+
+class UniswapV3Pool {
+    constructor({ network, address, token0, token1, fee, tickSpacing }) {
+        this.network = network;
+        this.address = address;
+        this.token0 = token0;
+        this.token1 = token1;
+        this.fee = fee;
+        this.tickSpacing = tickSpacing;
+
+        this.sqrtPriceX96 = 0n;
+        this.tick = 0;
+        this.liquidity = 0n;
+        this.ticks = new Map();
+        this.sortedTicks = [];
+        this.tickRange = { lower: v3Math.MIN_TICK, upper: v3Math.MAX_TICK };
+        this.blockNumber = null;
+        this.snapshotBlock = null;
+        this.pendingLogs = [];
+        this.updatedAt = null;
+        this.loaded = false;
+    }
+
+    setState({ sqrtPriceX96, tick, liquidity }, blockNumber) {
+        this.sqrtPriceX96 = BigInt(sqrtPriceX96);
+        this.tick = Number(tick);
+        this.liquidity = BigInt(liquidity);
+        this.blockNumber = blockNumber;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Replace the initialized ticks
+     *
+     * @param {Map} ticks - tick -> liquidityNet (BigInt)
+     * @param {Object} tickRange - { lower, upper } range the ticks were loaded for
+     */
+    setTicks(ticks, tickRange) {
+        this.ticks = new Map(ticks);
+        this.tickRange = tickRange;
+        this.sortTicks();
+    }
+
+    sortTicks() {
+        this.sortedTicks = Array.from(this.ticks.keys()).sort((a, b) => a - b);
+    }
+
+    applySwap(event, blockNumber) {
+        this.setState(event, blockNumber);
+    }
+
+    /**
+     * Apply a Mint (positive amount) or Burn (negative amount) of liquidity
+     */
+    applyLiquidityChange(tickLower, tickUpper, amount, blockNumber) {
+        if (amount === 0n) return;
+
+        for (const [tick, delta] of [[tickLower, amount], [tickUpper, -amount]]) {
+            this.ticks.set(tick, (this.ticks.get(tick) || 0n) + delta);
+        }
+        this.sortTicks();
+
+        // Positions spanning the current tick change the active liquidity
+        if (tickLower <= this.tick && this.tick < tickUpper) {
+            this.liquidity += amount;
+        }
+
+        this.blockNumber = blockNumber;
+        this.updatedAt = Date.now();
+    }
+
+    // Whether the price is close enough to the edge of the loaded ticks to need a reload
+    isNearTickRangeEdge() {
+        const margin = this.tickSpacing * 256;
+        return this.tick - margin < this.tickRange.lower || this.tick + margin > this.tickRange.upper;
+    }
+
+    /**
+     * Next initialized tick in the swap direction, bounded by the loaded range
+     *
+     * @returns {Object} { tickNext, initialized, atRangeEdge }
+     */
+    nextInitializedTick(tick, zeroForOne) {
+        const ticks = this.sortedTicks;
+
+        if (zeroForOne) {
+            // Largest initialized tick <= tick
+            for (let i = ticks.length - 1; i >= 0; i--) {
+                if (ticks[i] <= tick) {
+                    return ticks[i] >= this.tickRange.lower
+                        ? { tickNext: ticks[i], initialized: true, atRangeEdge: false }
+                        : { tickNext: this.tickRange.lower, initialized: false, atRangeEdge: true };
+                }
+            }
+            return { tickNext: this.tickRange.lower, initialized: false, atRangeEdge: true };
+        }
+
+        // Smallest initialized tick > tick
+        for (const candidate of ticks) {
+            if (candidate > tick) {
+                return candidate <= this.tickRange.upper
+                    ? { tickNext: candidate, initialized: true, atRangeEdge: false }
+                    : { tickNext: this.tickRange.upper, initialized: false, atRangeEdge: true };
+            }
+        }
+        return { tickNext: this.tickRange.upper, initialized: false, atRangeEdge: true };
+    }
+
+    /**
+     * Simulate an exact-input swap against the local state
+     *
+     * @param {String} tokenIn - Address of the input token
+     * @param {BigInt} amountIn - Input amount in token units
+     * @returns {Object|null} { amountOut, sqrtPriceX96After, tickAfter, ticksCrossed },
+     *   or null if the swap would run past the loaded ticks
+     */
+    simulateExactInput(tokenIn, amountIn) {
+        const zeroForOne = tokenIn.toLowerCase() === this.token0.toLowerCase();
+        const sqrtPriceLimitX96 = zeroForOne ? v3Math.MIN_SQRT_RATIO + 1n : v3Math.MAX_SQRT_RATIO - 1n;
+
+        let amountRemaining = BigInt(amountIn);
+        let amountOut = 0n;
+        let sqrtPriceX96 = this.sqrtPriceX96;
+        let tick = this.tick;
+        let liquidity = this.liquidity;
+        let ticksCrossed = 0;
+
+        while (amountRemaining > 0n && sqrtPriceX96 !== sqrtPriceLimitX96) {
+            const sqrtPriceStartX96 = sqrtPriceX96;
+            let { tickNext, initialized, atRangeEdge } = this.nextInitializedTick(tick, zeroForOne);
+            tickNext = Math.min(Math.max(tickNext, v3Math.MIN_TICK), v3Math.MAX_TICK);
+
+            const sqrtPriceNextX96 = v3Math.getSqrtRatioAtTick(tickNext);
+            const sqrtPriceTargetX96 = zeroForOne
+                ? (sqrtPriceNextX96 < sqrtPriceLimitX96 ? sqrtPriceLimitX96 : sqrtPriceNextX96)
+                : (sqrtPriceNextX96 > sqrtPriceLimitX96 ? sqrtPriceLimitX96 : sqrtPriceNextX96);
+
+            const step = v3Math.computeSwapStep(sqrtPriceX96, sqrtPriceTargetX96, liquidity, amountRemaining, this.fee);
+            sqrtPriceX96 = step.sqrtPriceNextX96;
+            amountRemaining -= step.amountIn + step.feeAmount;
+            amountOut += step.amountOut;
+
+            if (sqrtPriceX96 === sqrtPriceNextX96) {
+                if (atRangeEdge && amountRemaining > 0n) {
+                    return null;
+                }
+
+                if (initialized) {
+                    const liquidityNet = this.ticks.get(tickNext);
+                    liquidity += zeroForOne ? -liquidityNet : liquidityNet;
+                    ticksCrossed++;
+                }
+                tick = zeroForOne ? tickNext - 1 : tickNext;
+            } else if (sqrtPriceX96 !== sqrtPriceStartX96) {
+                tick = v3Math.getTickAtSqrtRatio(sqrtPriceX96);
+            }
+        }
+
+        return {
+            amountOut,
+            sqrtPriceX96After: sqrtPriceX96,
+            tickAfter: tick,
+            ticksCrossed,
+        };
+    }
+}
+
+module.exports = UniswapV3Pool;
@@ -2,23 +2,46 @@ const Binance = require('binance-api-node').default;
 const logger = require('../utils/logger');
 const config = require('../config/config');
 const BigNumber = require('bignumber.js');
+const CexAdapter = require('./cexAdapter');
+const OrderBook = require('./orderBook');
+const BinanceUserStream = require('./binanceUserStream');
+const BinanceRateLimiter = require('./binanceRateLimiter');
+const StreamSupervisor = require('../utils/streamSupervisor');
 
-class BinanceExchange {
+// Binance's names for the networks deposits and withdrawals go over
+const TRANSFER_NETWORKS = {
+    ethereum: 'ETH',
+    arbitrum: 'ARBITRUM',
+    optimism: 'OPTIMISM',
+    polygon: 'MATIC',
+};
+
+class BinanceExchange extends CexAdapter {
     constructor() {
+        super('binance');
         this.client = Binance({
             apiKey: config.binance.apiKey,
             apiSecret: config.binance.apiSecret,
         });
         this.prices = {};
         this.orderBooks = {};
+        this.depthBuffers = {};
+        this.priceStream = null;
+        this.depthStreams = {};
         this.exchangeInfo = null;
         this.symbolInfo = {};
+        this.rateLimiter = new BinanceRateLimiter(this.client);
+        this.userStream = new BinanceUserStream(this.client, this.rateLimiter);
     }
 
     async initialize() {
         try {
             logger.info('Initializing Binance exchange');
-            this.exchangeInfo = await this.client.exchangeInfo();
+            this.exchangeInfo = await this.rateLimiter.schedule(
+                () => this.client.exchangeInfo(),
+                { weight: 20 }
+            );
+            this.rateLimiter.configure(this.exchangeInfo.rateLimits);
 
             // Extract symbol info for our trading pairs
             for (const symbol of this.exchangeInfo.symbols) {
@@ -28,13 +51,20 @@ class BinanceExchange {
                     filters: symbol.filters,
                     stepSize: symbol.filters.find(f => f.filterType === 'LOT_SIZE')?.stepSize || '0.00000001',
                     tickSize: symbol.filters.find(f => f.filterType === 'PRICE_FILTER')?.tickSize || '0.00000001',
-                    minNotional: symbol.filters.find(f => f.filterType === 'MIN_NOTIONAL')?.minNotional || '10',
+                    minNotional: symbol.filters.find(f => ['MIN_NOTIONAL', 'NOTIONAL'].includes(f.filterType))?.minNotional || '10',
+                    quotePrecision: symbol.quoteAssetPrecision || symbol.quotePrecision || 8,
                 };
             }
 
             // Start websocket for price updates for our trading pairs
             this.startPriceStream();
 
+            // Keep local L2 order books in sync for the same pairs
+            this.startDepthStreams();
+
+            // Track balances and order fills from the user data stream
+            await this.userStream.start();
+
             logger.info('Binance exchange initialized successfully');
             return true;
         } catch (error) {
@@ -45,97 +75,424 @@ class BinanceExchange {
 
     startPriceStream() {
         // Get the list of symbols we want to track from config
-        const symbols = config.trading.tradingPairs.map(pair => {
-            const [base, quote] = pair.split('-');
-            return `${base}${quote}`.toUpperCase();
-        });
+        const symbols = this.getTrackedSymbols();
 
-        // Connect to ticker streams for all symbols
-        this.client.ws.ticker(symbols, ticker => {
-            this.prices[ticker.symbol] = {
-                bid: ticker.bestBid,
-                ask: ticker.bestAsk,
-                last: ticker.lastPrice,
-                timestamp: new Date().getTime(),
-            };
-        });
+        // Connect to ticker streams for all symbols, reconnecting if they go quiet
+        this.priceStream = new StreamSupervisor(
+            'binance:ticker',
+            onMessage => this.client.ws.ticker(symbols, onMessage),
+            ticker => {
+                const previous = this.prices[ticker.symbol];
+                this.prices[ticker.symbol] = {
+                    bid: ticker.bestBid,
+                    ask: ticker.bestAsk,
+                    last: ticker.lastPrice,
+                    timestamp: new Date().getTime(),
+                };
+
+                if (!previous || previous.bid !== ticker.bestBid || previous.ask !== ticker.bestAsk) {
+                    this.emit('ticker', ticker.symbol);
+                }
+            },
+            this.getSupervisorOptions()
+        );
+        this.priceStream.start();
 
         logger.info({ symbols }, 'Started Binance price streams');
     }
 
+    getSupervisorOptions() {
+        return {
+            heartbeatTimeoutMs: config.binance.streamHeartbeatTimeoutMs,
+            baseDelayMs: config.binance.streamReconnectBaseDelayMs,
+            maxDelayMs: config.binance.streamReconnectMaxDelayMs,
+        };
+    }
+
+    getTrackedSymbols() {
+        return config.trading.tradingPairs.map(pair => this.getSymbolFromPair(pair));
+    }
+
+    startDepthStreams() {
+        const symbols = this.getTrackedSymbols();
+
+        for (const symbol of symbols) {
+            this.orderBooks[symbol] = new OrderBook(symbol);
+            this.depthBuffers[symbol] = [];
+
+            // Events are buffered until the REST snapshot has been applied.
+            // A reconnect loses events, so the book is rebuilt from scratch.
+            this.depthStreams[symbol] = new StreamSupervisor(
+                `binance:depth:${symbol}`,
+                onMessage => this.client.ws.depth(`${symbol}@${config.binance.depthUpdateSpeed}`, onMessage),
+                event => this.handleDepthEvent(symbol, event),
+                {
+                    ...this.getSupervisorOptions(),
+                    onReconnect: () => {
+                        this.orderBooks[symbol].reset();
+                        this.depthBuffers[symbol] = [];
+                        this.syncOrderBook(symbol);
+                    },
+                }
+            );
+            this.depthStreams[symbol].start();
+
+            this.syncOrderBook(symbol);
+        }
+
+        logger.info({ symbols }, 'Started Binance depth streams');
+    }
+
+    async syncOrderBook(symbol) {
+        const book = this.orderBooks[symbol];
+        if (!book || book.syncing) return;
+
+        book.syncing = true;
+        book.reset();
+
+        try {
+            const limit = config.binance.orderBookSnapshotDepth;
+            const snapshot = await this.rateLimiter.schedule(
+                () => this.client.book({ symbol, limit }),
+                { weight: this.getBookWeight(limit) }
+            );
+            book.applySnapshot(snapshot);
+
+            // Replay buffered events that were not already part of the snapshot
+            const buffered = this.depthBuffers[symbol]
+                .filter(event => event.finalUpdateId > book.lastUpdateId);
+            this.depthBuffers[symbol] = [];
+
+            for (const event of buffered) {
+                this.applyDepthEvent(book, event);
+            }
+
+            book.synced = true;
+            logger.info({ symbol, lastUpdateId: book.lastUpdateId }, 'Binance order book synced');
+        } catch (error) {
+            logger.error({ error, symbol }, 'Failed to sync Binance order book, retrying');
+            setTimeout(() => this.syncOrderBook(symbol), config.binance.orderBookResyncDelay);
+        } finally {
+            book.syncing = false;
+        }
+    }
+
+    handleDepthEvent(symbol, event) {
+        const book = this.orderBooks[symbol];
+        if (!book) return;
+
+        if (!book.synced) {
+            this.depthBuffers[symbol].push(event);
+            return;
+        }
+
+        try {
+            this.applyDepthEvent(book, event);
+        } catch (error) {
+            logger.warn({ symbol, error: error.message }, 'Binance order book out of sequence, resyncing');
+            this.depthBuffers[symbol] = [event];
+            this.syncOrderBook(symbol);
+        }
+    }
+
+    applyDepthEvent(book, event) {
+        // Already covered by the current book state
+        if (event.finalUpdateId <= book.lastUpdateId) return;
+
+        // Each event must continue exactly where the previous one ended. The
+        // first event after a snapshot may straddle the snapshot's update ID.
+        if (event.firstUpdateId > book.lastUpdateId + 1) {
+            throw new Error(`Gap in depth updates for ${book.symbol}: expected ${book.lastUpdateId + 1}, got ${event.firstUpdateId}`);
+        }
+
+        book.applyUpdate(event);
+    }
+
     async getOrderBook(symbol, limit = 5) {
+        const book = this.orderBooks[symbol];
+        if (book && book.synced) {
+            return book.getDepth(limit);
+        }
+
         try {
-            const orderBook = await this.client.book({ symbol, limit });
-            this.orderBooks[symbol] = {
+            const orderBook = await this.rateLimiter.schedule(
+                () => this.client.book({ symbol, limit }),
+                { weight: this.getBookWeight(limit) }
+            );
+            return {
                 bids: orderBook.bids,
                 asks: orderBook.asks,
+                lastUpdateId: orderBook.lastUpdateId,
                 timestamp: new Date().getTime(),
             };
-            return this.orderBooks[symbol];
         } catch (error) {
             logger.error({ error, symbol }, 'Failed to fetch order book');
             return null;
         }
     }
 
+    // Request weight of GET /api/v3/depth by limit
+    getBookWeight(limit) {
+        if (limit <= 100) return 5;
+        if (limit <= 500) return 25;
+        if (limit <= 1000) return 50;
+        return 250;
+    }
+
+    /**
+     * Average fill price for a market order of the given size
+     *
+     * @param {String} symbol - Binance symbol, e.g. ETHUSDT
+     * @param {String} side - 'buy' (consumes asks) or 'sell' (consumes bids)
+     * @param {String|Number} quantity - Base asset quantity
+     * @returns {String|null} VWAP, or null if the book is not synced or too thin
+     */
+    getVwap(symbol, side, quantity) {
+        const book = this.orderBooks[symbol];
+        if (!book || !book.synced || this.isStale(book.timestamp, symbol)) {
+            return null;
+        }
+        return book.getVwap(side, quantity);
+    }
+
     getBestAsk(symbol) {
-        if (!this.prices[symbol]) {
+        if (!this.prices[symbol] || this.isPriceStale(symbol)) {
             return null;
         }
         return this.prices[symbol].ask;
     }
 
     getBestBid(symbol) {
-        if (!this.prices[symbol]) {
+        if (!this.prices[symbol] || this.isPriceStale(symbol)) {
             return null;
         }
         return this.prices[symbol].bid;
     }
 
+    getStaleThreshold(symbol) {
+        return config.binance.staleThresholds[symbol] || config.binance.staleAfterMs;
+    }
+
+    isStale(timestamp, symbol) {
+        return !timestamp || Date.now() - timestamp > this.getStaleThreshold(symbol);
+    }
+
+    isPriceStale(symbol) {
+        return this.isStale(this.prices[symbol]?.timestamp, symbol);
+    }
+
+    getHealth() {
+        const symbols = {};
+        const staleSymbols = [];
+
+        for (const symbol of this.getTrackedSymbols()) {
+            const book = this.orderBooks[symbol];
+            const priceStale = this.isPriceStale(symbol);
+            const bookStale = !book || !book.synced || this.isStale(book.timestamp, symbol);
+
+            symbols[symbol] = {
+                priceStale,
+                bookStale,
+                lastPriceAt: this.prices[symbol]?.timestamp || null,
+                lastBookUpdateAt: book?.timestamp || null,
+                staleThresholdMs: this.getStaleThreshold(symbol),
+            };
+
+            if (priceStale || bookStale) {
+                staleSymbols.push(symbol);
+            }
+        }
+
+        const streams = [this.priceStream, ...Object.values(this.depthStreams)]
+            .filter(Boolean)
+            .map(stream => stream.getStatus());
+
+        return {
+            degraded: staleSymbols.length > 0 || streams.some(stream => !stream.connected),
+            staleSymbols,
+            symbols,
+            streams,
+        };
+    }
+
     getSymbolFromPair(pair) {
         const [base, quote] = pair.split('-');
         return `${base}${quote}`.toUpperCase();
     }
 
-    async executeBuy(symbol, quantity) {
-        try {
-            const order = await this.client.order({
-                symbol,
-                side: 'BUY',
-                type: 'MARKET',
-                quantity,
-            });
-
-            logger.info({ orderId: order.orderId, symbol, quantity }, 'Buy order executed on Binance');
-            return order;
-        } catch (error) {
-            logger.error({ error, symbol, quantity }, 'Failed to execute buy order on Binance');
-            throw error;
+    /**
+     * Place an order using the configured CEX order type
+     *
+     * @param {String} symbol - Binance symbol, e.g. ETHUSDT
+     * @param {String} side - 'BUY' or 'SELL'
+     * @param {String|Number} quantity - Base asset quantity
+     * @param {String|Number} expectedPrice - Price the opportunity was evaluated at
+     * @param {Number} tolerancePercentage - How far past the expected price a limit order may fill
+     * @returns {Object} Normalized order result
+     */
+    async executeOrder(symbol, side, quantity, expectedPrice, tolerancePercentage = config.trading.cexPriceTolerancePercentage) {
+        const orderType = config.trading.cexOrderType;
+
+        if (orderType === 'MARKET') {
+            return side === 'BUY'
+                ? this.executeBuy(symbol, quantity)
+                : this.executeSell(symbol, quantity);
         }
+
+        return this.executeLimitOrder(symbol, side, quantity, expectedPrice, {
+            timeInForce: orderType,
+            tolerancePercentage,
+        });
+    }
+
+    async executeBuy(symbol, quantity) {
+        return this.placeOrder({
+            symbol,
+            side: 'BUY',
+            type: 'MARKET',
+            quantity: this.normalizeQuantity(symbol, quantity),
+        });
     }
 
     async executeSell(symbol, quantity) {
+        return this.placeOrder({
+            symbol,
+            side: 'SELL',
+            type: 'MARKET',
+            quantity: this.normalizeQuantity(symbol, quantity),
+        });
+    }
+
+    /**
+     * Market buy that spends an exact amount of the quote asset
+     *
+     * @param {String} symbol - Binance symbol
+     * @param {String|Number} quoteQuantity - Quote asset amount to spend, e.g. 2000 USDT
+     * @returns {Object} Normalized order result
+     */
+    async executeQuoteBuy(symbol, quoteQuantity) {
+        const info = this.getSymbolInfo(symbol);
+        const quoteOrderQty = new BigNumber(quoteQuantity)
+            .decimalPlaces(info.quotePrecision, BigNumber.ROUND_DOWN)
+            .toString();
+
+        if (new BigNumber(quoteOrderQty).isLessThan(info.minNotional)) {
+            throw new Error(`Order notional ${quoteOrderQty} is below minimum ${info.minNotional} for ${symbol}`);
+        }
+
+        return this.placeOrder({
+            symbol,
+            side: 'BUY',
+            type: 'MARKET',
+            quoteOrderQty,
+        });
+    }
+
+    /**
+     * Limit order that never rests on the book. The limit is the expected
+     * price moved against us by the tolerance, so the fill can never be
+     * worse than that.
+     *
+     * @param {String} symbol - Binance symbol
+     * @param {String} side - 'BUY' or 'SELL'
+     * @param {String|Number} quantity - Base asset quantity
+     * @param {String|Number} expectedPrice - Expected fill price
+     * @param {Object} options - { timeInForce: 'IOC' | 'FOK', tolerancePercentage }
+     * @returns {Object} Normalized order result
+     */
+    async executeLimitOrder(symbol, side, quantity, expectedPrice, options = {}) {
+        const {
+            timeInForce = 'IOC',
+            tolerancePercentage = config.trading.cexPriceTolerancePercentage,
+        } = options;
+
+        if (!['IOC', 'FOK'].includes(timeInForce)) {
+            throw new Error(`Invalid timeInForce: ${timeInForce}. Must be 'IOC' or 'FOK'`);
+        }
+
+        const tolerance = new BigNumber(tolerancePercentage).dividedBy(100);
+        const limitPrice = side === 'BUY'
+            ? new BigNumber(expectedPrice).multipliedBy(tolerance.plus(1))
+            : new BigNumber(expectedPrice).multipliedBy(new BigNumber(1).minus(tolerance));
+
+        const normalizedQuantity = this.normalizeQuantity(symbol, quantity);
+        const price = this.normalizePrice(symbol, limitPrice, side);
+        this.validateNotional(symbol, normalizedQuantity, price);
+
+        return this.placeOrder({
+            symbol,
+            side,
+            type: 'LIMIT',
+            timeInForce,
+            quantity: normalizedQuantity,
+            price,
+        });
+    }
+
+    async placeOrder(params) {
         try {
-            const order = await this.client.order({
-                symbol,
-                side: 'SELL',
-                type: 'MARKET',
-                quantity,
-            });
-
-            logger.info({ orderId: order.orderId, symbol, quantity }, 'Sell order executed on Binance');
-            return order;
+            if (params.quantity !== undefined && new BigNumber(params.quantity).isLessThanOrEqualTo(0)) {
+                throw new Error(`Order quantity rounds to zero for ${params.symbol}`);
+            }
+
+            const order = await this.rateLimiter.schedule(
+                () => this.client.order(params),
+                { weight: 1, orders: 1 }
+            );
+            this.userStream.recordOrder(order);
+
+            const result = this.normalizeOrderResult(order, params);
+            logger.info({
+                orderId: result.orderId,
+                symbol: result.symbol,
+                type: result.type,
+                status: result.status,
+                filledQty: result.filledQty,
+                averagePrice: result.averagePrice,
+                remainingQty: result.remainingQty,
+            }, `${params.side === 'BUY' ? 'Buy' : 'Sell'} order executed on Binance`);
+            return result;
         } catch (error) {
-            logger.error({ error, symbol, quantity }, 'Failed to execute sell order on Binance');
+            logger.error({ error, params }, `Failed to execute ${params.side.toLowerCase()} order on Binance`);
             throw error;
         }
     }
 
-    normalizeQuantity(symbol, quantity) {
+    /**
+     * Reduce an order response to what callers need to handle partial fills
+     */
+    normalizeOrderResult(order, params = {}) {
+        const filledQty = new BigNumber(order.executedQty || 0);
+        const quoteQty = new BigNumber(order.cummulativeQuoteQty || 0);
+        const requestedQty = order.origQty !== undefined ? new BigNumber(order.origQty) : filledQty;
+
+        return {
+            orderId: String(order.orderId),
+            symbol: order.symbol,
+            side: order.side,
+            type: order.type,
+            timeInForce: order.timeInForce,
+            status: order.status,
+            price: params.price || null,
+            requestedQty: requestedQty.toString(),
+            filledQty: filledQty.toString(),
+            remainingQty: BigNumber.maximum(requestedQty.minus(filledQty), 0).toString(),
+            quoteQty: quoteQty.toString(),
+            averagePrice: filledQty.isZero() ? null : quoteQty.dividedBy(filledQty).toString(),
+            raw: order,
+        };
+    }
+
+    getSymbolInfo(symbol) {
         const info = this.symbolInfo[symbol];
         if (!info) {
             throw new Error(`Symbol info not found for ${symbol}`);
         }
+        return info;
+    }
+
+    normalizeQuantity(symbol, quantity) {
+        const info = this.getSymbolInfo(symbol);
 
         const stepSize = new BigNumber(info.stepSize);
         const normalized = new BigNumber(quantity)
@@ -146,18 +503,85 @@ class BinanceExchange {
         return normalized;
     }
 
+    normalizePrice(symbol, price, side) {
+        const info = this.getSymbolInfo(symbol);
+
+        // Round towards the better price so the tolerance is never exceeded
+        const tickSize = new BigNumber(info.tickSize);
+        const ticks = new BigNumber(price).dividedBy(tickSize)
+            .integerValue(side === 'BUY' ? BigNumber.ROUND_FLOOR : BigNumber.ROUND_CEIL);
+
+        return ticks.multipliedBy(tickSize).toString();
+    }
+
+    validateNotional(symbol, quantity, price) {
+        const info = this.getSymbolInfo(symbol);
+        const notional = new BigNumber(quantity).multipliedBy(price);
+
+        if (notional.isLessThan(info.minNotional)) {
+            throw new Error(`Order notional ${notional.toString()} is below minimum ${info.minNotional} for ${symbol}`);
+        }
+    }
+
     async getBalance(asset) {
+        return this.userStream.getBalance(asset);
+    }
+
+    getBalances() {
+        return this.userStream.getBalances();
+    }
+
+    getOrderFills(orderId) {
+        return this.userStream.getOrderFills(orderId);
+    }
+
+    getTransferNetwork(network) {
+        if (!TRANSFER_NETWORKS[network]) {
+            throw new Error(`Binance transfers not supported on ${network}`);
+        }
+        return TRANSFER_NETWORKS[network];
+    }
+
+    async getDepositAddress(asset, network) {
+        const { address } = await this.rateLimiter.schedule(
+            () => this.client.depositAddress({ coin: asset, network: this.getTransferNetwork(network) }),
+            { weight: 10 }
+        );
+        return address;
+    }
+
+    async withdraw(asset, network, address, amount) {
+        const params = { coin: asset, network: this.getTransferNetwork(network), address, amount };
         try {
-            const accountInfo = await this.client.accountInfo();
-            const balance = accountInfo.balances.find(b => b.asset === asset);
-            return balance ?
-                { free: balance.free, locked: balance.locked } :
-                { free: '0', locked: '0' };
+            const { id } = await this.rateLimiter.schedule(() => this.client.withdraw(params), { weight: 1 });
+            logger.info({ id, ...params }, 'Withdrawal requested on Binance');
+            return { id };
         } catch (error) {
-            logger.error({ error, asset }, 'Failed to fetch balance');
+            logger.error({ error, params }, 'Failed to request withdrawal on Binance');
             throw error;
         }
     }
+
+    getRateLimitUsage() {
+        return this.rateLimiter.getUsage();
+    }
+
+    getFees() {
+        return {
+            maker: config.binance.makerFee,
+            taker: config.binance.takerFee,
+        };
+    }
+
+    async stop() {
+        if (this.priceStream) {
+            this.priceStream.stop();
+        }
+        for (const stream of Object.values(this.depthStreams)) {
+            stream.stop();
+        }
+        await this.userStream.stop();
+    }
 }
 
 module.exports = new BinanceExchange(); 
\ No newline at end of file
@@ -0,0 +1,219 @@
+/**
+ * Binance Rate Limiter
+ *
+ * Tracks request weight and order counts against the limits published in
+ * exchangeInfo.rateLimits. Calls are admitted one at a time: a call that
+ * would exceed a limit waits for the window to roll over, or is rejected if
+ * that would take too long. Usage is corrected from the x-mbx-* response
+ * headers after every call, and 429/418 responses pause all calls.
+ */
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const INTERVAL_MS = {
+    SECOND: 1000,
+    MINUTE: 60 * 1000,
+    HOUR: 60 * 60 * 1000,
+    DAY: 24 * 60 * 60 * 1000,
+};
+
+// Response header counters (as exposed by client.getInfo()) and their buckets
+const HEADER_BUCKETS = {
+    usedWeight1m: 'REQUEST_WEIGHT:60000',
+    orderCount10s: 'ORDERS:10000',
+    orderCount1m: 'ORDERS:60000',
+    orderCount1h: 'ORDERS:3600000',
+    orderCount1d: 'ORDERS:86400000',
+};
+
+// Published spot limits, used until exchangeInfo has been loaded
+const DEFAULT_RATE_LIMITS = [
+    { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 6000 },
+    { rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, limit: 100 },
+    { rateLimitType: 'ORDERS', interval: 'DAY', intervalNum: 1, limit: 200000 },
+];
+
+class BinanceRateLimiter {
+    constructor(client) {
+        this.client = client;
+        this.buckets = {};
+        this.tail = Promise.resolve();
+        this.queued = 0;
+        this.backoffUntil = 0;
+        this.bans = 0;
+        this.configure(DEFAULT_RATE_LIMITS);
+    }
+
+    /**
+     * Build usage buckets from exchangeInfo.rateLimits
+     *
+     * @param {Array} rateLimits - [{ rateLimitType, interval, intervalNum, limit }]
+     */
+    configure(rateLimits) {
+        const buckets = {};
+
+        for (const rateLimit of rateLimits) {
+            if (!['REQUEST_WEIGHT', 'ORDERS'].includes(rateLimit.rateLimitType)) continue;
+
+            const windowMs = INTERVAL_MS[rateLimit.interval] * rateLimit.intervalNum;
+            const key = `${rateLimit.rateLimitType}:${windowMs}`;
+            const previous = this.buckets[key];
+
+            buckets[key] = {
+                type: rateLimit.rateLimitType,
+                windowMs,
+                limit: rateLimit.limit,
+                used: previous ? previous.used : 0,
+                windowStart: previous ? previous.windowStart : this.getWindowStart(windowMs),
+            };
+        }
+
+        this.buckets = buckets;
+        logger.debug({ buckets: Object.keys(buckets) }, 'Binance rate limits configured');
+    }
+
+    /**
+     * Run a REST call once it fits within every limit
+     *
+     * @param {Function} fn - Async function performing the call
+     * @param {Object} cost - { weight, orders }
+     * @returns {Promise} Result of fn
+     */
+    async schedule(fn, cost = {}) {
+        const { weight = 1, orders = 0 } = cost;
+
+        // Admission is serialized so queued calls are let through in order
+        const ticket = this.tail.then(() => this.acquire(weight, orders));
+        this.tail = ticket.catch(() => {});
+
+        this.queued++;
+        try {
+            await ticket;
+        } finally {
+            this.queued--;
+        }
+
+        try {
+            const result = await fn();
+            this.syncFromHeaders();
+            return result;
+        } catch (error) {
+            this.syncFromHeaders();
+            this.handleError(error);
+            throw error;
+        }
+    }
+
+    async acquire(weight, orders) {
+        const deadline = Date.now() + config.binance.rateLimitMaxWaitMs;
+
+        for (;;) {
+            const waitMs = this.getWaitTime(weight, orders);
+            if (waitMs === 0) {
+                this.reserve(weight, orders);
+                return;
+            }
+
+            if (Date.now() + waitMs > deadline) {
+                const error = new Error(`Binance rate limit would be exceeded, retry in ${waitMs}ms`);
+                error.code = 'RATE_LIMITED';
+                throw error;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+    }
+
+    getWaitTime(weight, orders) {
+        const now = Date.now();
+        let waitMs = Math.max(this.backoffUntil - now, 0);
+
+        for (const bucket of Object.values(this.buckets)) {
+            this.rollWindow(bucket, now);
+
+            const cost = bucket.type === 'ORDERS' ? orders : weight;
+            if (cost === 0) continue;
+
+            const allowed = Math.floor(bucket.limit * config.binance.rateLimitSafetyRatio);
+            if (bucket.used + cost > allowed) {
+                waitMs = Math.max(waitMs, bucket.windowStart + bucket.windowMs - now);
+            }
+        }
+
+        return waitMs;
+    }
+
+    reserve(weight, orders) {
+        for (const bucket of Object.values(this.buckets)) {
+            bucket.used += bucket.type === 'ORDERS' ? orders : weight;
+        }
+    }
+
+    // Binance windows are fixed and aligned to the clock
+    getWindowStart(windowMs, now = Date.now()) {
+        return Math.floor(now / windowMs) * windowMs;
+    }
+
+    rollWindow(bucket, now) {
+        const windowStart = this.getWindowStart(bucket.windowMs, now);
+        if (windowStart !== bucket.windowStart) {
+            bucket.windowStart = windowStart;
+            bucket.used = 0;
+        }
+    }
+
+    // The server's count wins: it includes calls made by anything else on this key or IP
+    syncFromHeaders() {
+        const info = this.client.getInfo().spot || {};
+        const now = Date.now();
+
+        for (const [header, key] of Object.entries(HEADER_BUCKETS)) {
+            const bucket = this.buckets[key];
+            if (!bucket || info[header] === undefined) continue;
+
+            this.rollWindow(bucket, now);
+            bucket.used = parseInt(info[header]);
+        }
+    }
+
+    handleError(error) {
+        const message = error.message || '';
+        const retryAfter = error.response?.headers?.get?.('retry-after');
+        const retryAfterMs = retryAfter ? parseInt(retryAfter) * 1000 : null;
+
+        if (message.startsWith('418') || (error.code === -1003 && /banned/i.test(message))) {
+            // IP ban: back off for the ban period, longer on every repeat
+            this.bans++;
+            const backoffMs = retryAfterMs || config.binance.rateLimitBanBackoffMs * 2 ** (this.bans - 1);
+            this.backoffUntil = Date.now() + backoffMs;
+            logger.error({ backoffMs }, 'Binance IP banned (418), pausing REST calls');
+        } else if (message.startsWith('429') || error.code === -1003) {
+            const backoffMs = retryAfterMs || config.binance.rateLimitBackoffMs;
+            this.backoffUntil = Date.now() + backoffMs;
+            logger.warn({ backoffMs }, 'Binance rate limit hit (429), pausing REST calls');
+        }
+    }
+
+    getUsage() {
+        const now = Date.now();
+        const buckets = Object.entries(this.buckets).map(([key, bucket]) => {
+            this.rollWindow(bucket, now);
+            return {
+                key,
+                type: bucket.type,
+                windowMs: bucket.windowMs,
+                limit: bucket.limit,
+                used: bucket.used,
+                resetsAt: new Date(bucket.windowStart + bucket.windowMs).toISOString(),
+            };
+        });
+
+        return {
+            buckets,
+            queued: this.queued,
+            backoffUntil: this.backoffUntil > now ? new Date(this.backoffUntil).toISOString() : null,
+        };
+    }
+}
+
+module.exports = BinanceRateLimiter;
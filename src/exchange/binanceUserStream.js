@@ -0,0 +1,280 @@
+/**
+ * Binance User Data Stream
+ *
+ * Owns the listen key and its keep-alive, and keeps an in-memory ledger of
+ * account balances and order fills from the account's websocket events.
+ */
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const BigNumber = require('bignumber.js');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+class BinanceUserStream extends EventEmitter {
+    constructor(client, rateLimiter) {
+        super();
+        this.client = client;
+        this.rateLimiter = rateLimiter;
+        this.listenKey = null;
+        this.socket = null;
+        this.keepAliveTimer = null;
+        this.reconnectTimer = null;
+        this.running = false;
+        this.balances = {};
+        this.orders = {};
+        this.lastAccountUpdate = null;
+    }
+
+    async start() {
+        this.running = true;
+
+        // Seed the ledger once over REST, the stream keeps it current afterwards
+        await this.loadBalances();
+        await this.connect();
+
+        this.keepAliveTimer = setInterval(
+            () => this.keepAlive(),
+            config.binance.userStreamKeepAliveMs
+        );
+
+        logger.info('Binance user data stream started');
+    }
+
+    async stop() {
+        this.running = false;
+        clearInterval(this.keepAliveTimer);
+        clearTimeout(this.reconnectTimer);
+
+        if (this.socket) {
+            this.socket.removeAllListeners();
+            this.socket.close();
+            this.socket = null;
+        }
+
+        if (this.listenKey) {
+            try {
+                await this.rateLimiter.schedule(
+                    () => this.client.closeDataStream({ listenKey: this.listenKey }),
+                    { weight: 2 }
+                );
+            } catch (error) {
+                logger.warn({ error }, 'Failed to close Binance listen key');
+            }
+            this.listenKey = null;
+        }
+
+        logger.info('Binance user data stream stopped');
+    }
+
+    async loadBalances() {
+        const accountInfo = await this.rateLimiter.schedule(
+            () => this.client.accountInfo(),
+            { weight: 20 }
+        );
+        for (const balance of accountInfo.balances) {
+            this.balances[balance.asset] = { free: balance.free, locked: balance.locked };
+        }
+        this.lastAccountUpdate = Date.now();
+    }
+
+    async connect() {
+        const { listenKey } = await this.rateLimiter.schedule(
+            () => this.client.getDataStream(),
+            { weight: 2 }
+        );
+        this.listenKey = listenKey;
+
+        this.socket = new WebSocket(`${config.binance.wsBaseUrl}/${listenKey}`);
+
+        this.socket.on('message', data => {
+            try {
+                this.handleEvent(JSON.parse(data));
+            } catch (error) {
+                logger.error({ error }, 'Failed to process Binance user data event');
+            }
+        });
+
+        this.socket.on('close', () => {
+            if (!this.running) return;
+            logger.warn('Binance user data stream closed, reconnecting');
+            this.scheduleReconnect();
+        });
+
+        this.socket.on('error', error => {
+            logger.error({ error }, 'Binance user data stream error');
+        });
+    }
+
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(async () => {
+            try {
+                // Balances may have moved while we were disconnected
+                await this.loadBalances();
+                await this.connect();
+            } catch (error) {
+                logger.error({ error }, 'Failed to reconnect Binance user data stream');
+                this.scheduleReconnect();
+            }
+        }, config.binance.userStreamReconnectDelayMs);
+    }
+
+    async keepAlive() {
+        if (!this.listenKey) return;
+
+        try {
+            await this.rateLimiter.schedule(
+                () => this.client.keepDataStream({ listenKey: this.listenKey }),
+                { weight: 2 }
+            );
+            logger.debug('Binance listen key kept alive');
+        } catch (error) {
+            // The key has most likely expired, so start over with a new one
+            logger.warn({ error }, 'Failed to keep Binance listen key alive, renewing');
+            if (this.socket) {
+                this.socket.removeAllListeners();
+                this.socket.close();
+                this.socket = null;
+            }
+            this.scheduleReconnect();
+        }
+    }
+
+    handleEvent(event) {
+        switch (event.e) {
+            case 'outboundAccountPosition':
+                this.applyAccountPosition(event);
+                break;
+            case 'executionReport':
+                this.applyExecutionReport(event);
+                break;
+            case 'listenKeyExpired':
+                logger.warn('Binance listen key expired, renewing');
+                this.socket.close();
+                break;
+            default:
+                break;
+        }
+    }
+
+    applyAccountPosition(event) {
+        for (const balance of event.B) {
+            this.balances[balance.a] = { free: balance.f, locked: balance.l };
+        }
+        this.lastAccountUpdate = event.u;
+        this.emit('balances', this.balances);
+    }
+
+    applyExecutionReport(event) {
+        const order = this.getOrCreateOrder(event.i, event.s, event.S);
+        order.clientOrderId = event.c;
+        order.type = event.o;
+        order.status = event.X;
+        order.executedQty = event.z;
+        order.cumulativeQuoteQty = event.Z;
+        order.updatedAt = event.E;
+
+        if (event.x === 'TRADE') {
+            this.recordFill(order, {
+                tradeId: event.t,
+                price: event.L,
+                qty: event.l,
+                commission: event.n,
+                commissionAsset: event.N,
+            });
+        }
+
+        this.emit('order', order);
+    }
+
+    /**
+     * Record an order from its REST placement response. Fills included in
+     * the response are merged with those reported by the stream.
+     */
+    recordOrder(response) {
+        const order = this.getOrCreateOrder(response.orderId, response.symbol, response.side);
+        order.clientOrderId = response.clientOrderId;
+        order.type = response.type;
+        order.status = response.status;
+        order.executedQty = response.executedQty;
+        order.cumulativeQuoteQty = response.cummulativeQuoteQty;
+        order.updatedAt = response.transactTime;
+
+        for (const fill of response.fills || []) {
+            this.recordFill(order, {
+                tradeId: fill.tradeId,
+                price: fill.price,
+                qty: fill.qty,
+                commission: fill.commission,
+                commissionAsset: fill.commissionAsset,
+            });
+        }
+
+        return order;
+    }
+
+    getOrCreateOrder(orderId, symbol, side) {
+        const key = String(orderId);
+        if (!this.orders[key]) {
+            this.orders[key] = {
+                orderId: key,
+                symbol,
+                side,
+                status: 'NEW',
+                executedQty: '0',
+                cumulativeQuoteQty: '0',
+                fills: [],
+            };
+        }
+        return this.orders[key];
+    }
+
+    recordFill(order, fill) {
+        if (order.fills.some(f => String(f.tradeId) === String(fill.tradeId))) {
+            return;
+        }
+        order.fills.push(fill);
+    }
+
+    getBalance(asset) {
+        return this.balances[asset] || { free: '0', locked: '0' };
+    }
+
+    getBalances() {
+        return this.balances;
+    }
+
+    /**
+     * Summarize the fills of an order
+     *
+     * @param {String|Number} orderId - Binance order ID
+     * @returns {Object|null} Order with average price and commissions by asset
+     */
+    getOrderFills(orderId) {
+        const order = this.orders[String(orderId)];
+        if (!order) {
+            return null;
+        }
+
+        let filledQty = new BigNumber(0);
+        let notional = new BigNumber(0);
+        const commissions = {};
+
+        for (const fill of order.fills) {
+            filledQty = filledQty.plus(fill.qty);
+            notional = notional.plus(new BigNumber(fill.qty).multipliedBy(fill.price));
+            commissions[fill.commissionAsset] = new BigNumber(commissions[fill.commissionAsset] || 0)
+                .plus(fill.commission)
+                .toString();
+        }
+
+        return {
+            ...order,
+            filledQty: filledQty.toString(),
+            averagePrice: filledQty.isZero() ? null : notional.dividedBy(filledQty).toString(),
+            commissions,
+        };
+    }
+}
+
+module.exports = BinanceUserStream;
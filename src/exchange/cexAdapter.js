@@ -0,0 +1,113 @@
+/**
+ * CEX Adapter
+ *
+ * Contract every centralized exchange adapter implements so the arbitrage
+ * service can treat venues interchangeably. Prices and quantities are passed
+ * as decimal strings, sides as 'BUY'/'SELL' for orders and 'buy'/'sell' for
+ * book queries, and pairs use the bot's own BASE-QUOTE format.
+ *
+ * Adapters emit 'ticker' with the exchange symbol whenever its best bid or
+ * ask moves, which is what triggers a re-scan of the pair.
+ */
+const EventEmitter = require('events');
+
+class CexAdapter extends EventEmitter {
+    constructor(name) {
+        super();
+        this.name = name;
+    }
+
+    async initialize() {
+        throw new Error(`${this.name}: initialize() not implemented`);
+    }
+
+    async stop() {}
+
+    /**
+     * Exchange symbol for a BASE-QUOTE pair, e.g. ETH-USDT -> ETHUSDT
+     */
+    getSymbolFromPair(pair) {
+        throw new Error(`${this.name}: getSymbolFromPair() not implemented`);
+    }
+
+    getBestBid(symbol) {
+        throw new Error(`${this.name}: getBestBid() not implemented`);
+    }
+
+    getBestAsk(symbol) {
+        throw new Error(`${this.name}: getBestAsk() not implemented`);
+    }
+
+    /**
+     * Average fill price for a market order of the given base quantity,
+     * or null if the book is unavailable or too thin
+     */
+    getVwap(symbol, side, quantity) {
+        throw new Error(`${this.name}: getVwap() not implemented`);
+    }
+
+    async getOrderBook(symbol, limit) {
+        throw new Error(`${this.name}: getOrderBook() not implemented`);
+    }
+
+    /**
+     * Place an order of the configured type and return a normalized result
+     * { orderId, symbol, side, status, requestedQty, filledQty, remainingQty,
+     *   quoteQty, averagePrice }. Limit orders are priced tolerancePercentage
+     * past the expected price, CEX_PRICE_TOLERANCE_PERCENTAGE by default.
+     */
+    async executeOrder(symbol, side, quantity, expectedPrice, tolerancePercentage) {
+        throw new Error(`${this.name}: executeOrder() not implemented`);
+    }
+
+    async executeBuy(symbol, quantity) {
+        throw new Error(`${this.name}: executeBuy() not implemented`);
+    }
+
+    async executeSell(symbol, quantity) {
+        throw new Error(`${this.name}: executeSell() not implemented`);
+    }
+
+    async getBalance(asset) {
+        throw new Error(`${this.name}: getBalance() not implemented`);
+    }
+
+    getBalances() {
+        throw new Error(`${this.name}: getBalances() not implemented`);
+    }
+
+    getOrderFills(orderId) {
+        throw new Error(`${this.name}: getOrderFills() not implemented`);
+    }
+
+    /**
+     * Address that credits deposits of an asset sent over a network (the
+     * bot's network key, e.g. arbitrum)
+     */
+    async getDepositAddress(asset, network) {
+        throw new Error(`${this.name}: getDepositAddress() not implemented`);
+    }
+
+    /**
+     * Withdraw an asset to an address over a network, returns { id }
+     */
+    async withdraw(asset, network, address, amount) {
+        throw new Error(`${this.name}: withdraw() not implemented`);
+    }
+
+    /**
+     * Stream and price freshness, e.g. { degraded, staleSymbols }
+     */
+    getHealth() {
+        return { degraded: false, staleSymbols: [] };
+    }
+
+    /**
+     * Trading fees as fractions, e.g. { maker: 0.001, taker: 0.001 }
+     */
+    getFees() {
+        throw new Error(`${this.name}: getFees() not implemented`);
+    }
+}
+
+module.exports = CexAdapter;
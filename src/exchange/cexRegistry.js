@@ -0,0 +1,27 @@
+/**
+ * CEX adapter registry
+ * Resolves the centralized exchanges enabled in config to their adapters
+ */
+const config = require('../config/config');
+const binance = require('./binance');
+const okx = require('./okx');
+
+const adapters = {
+    binance,
+    okx,
+};
+
+module.exports = {
+    // Get the adapters for every enabled exchange
+    getEnabledAdapters() {
+        return config.cex.exchanges.map(name => this.getAdapter(name));
+    },
+
+    // Get an enabled adapter by exchange name
+    getAdapter(name) {
+        if (!adapters[name] || !config.cex.exchanges.includes(name)) {
+            throw new Error(`CEX adapter ${name} not found or not enabled`);
+        }
+        return adapters[name];
+    },
+};
@@ -0,0 +1,470 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const WebSocket = require('ws');
+const BigNumber = require('bignumber.js');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const CexAdapter = require('./cexAdapter');
+const OrderBook = require('./orderBook');
+
+// OKX order types for each configured CEX order type
+const ORDER_TYPES = {
+    MARKET: 'market',
+    IOC: 'ioc',
+    FOK: 'fok',
+};
+
+// OKX order states that will not change any more
+const FINAL_STATES = ['filled', 'canceled', 'mmp_canceled'];
+
+class OkxExchange extends CexAdapter {
+    constructor() {
+        super('okx');
+        this.http = axios.create({ baseURL: config.okx.restUrl, timeout: 10000 });
+        this.instruments = {};
+        this.orderBooks = {};
+        this.balances = {};
+        this.orders = {};
+        this.socket = null;
+        this.pingTimer = null;
+        this.running = false;
+    }
+
+    async initialize() {
+        try {
+            logger.info('Initializing OKX exchange');
+
+            const instruments = await this.publicRequest('/api/v5/public/instruments', { instType: 'SPOT' });
+            for (const instrument of instruments) {
+                this.instruments[instrument.instId] = {
+                    baseAsset: instrument.baseCcy,
+                    quoteAsset: instrument.quoteCcy,
+                    stepSize: instrument.lotSz,
+                    tickSize: instrument.tickSz,
+                    minSize: instrument.minSz,
+                };
+            }
+
+            await this.refreshBalances();
+
+            this.running = true;
+            this.startBookStream();
+
+            logger.info('OKX exchange initialized successfully');
+            return true;
+        } catch (error) {
+            logger.error({ error }, 'Failed to initialize OKX exchange');
+            return false;
+        }
+    }
+
+    async stop() {
+        this.running = false;
+        clearInterval(this.pingTimer);
+        if (this.socket) {
+            this.socket.removeAllListeners();
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    getSymbolFromPair(pair) {
+        const [base, quote] = pair.split('-');
+        return `${base}-${quote}`.toUpperCase();
+    }
+
+    getTrackedSymbols() {
+        return config.trading.tradingPairs.map(pair => this.getSymbolFromPair(pair));
+    }
+
+    startBookStream() {
+        const symbols = this.getTrackedSymbols();
+        for (const symbol of symbols) {
+            this.orderBooks[symbol] = new OrderBook(symbol);
+        }
+
+        this.socket = new WebSocket(config.okx.wsUrl);
+
+        this.socket.on('open', () => {
+            this.send({
+                op: 'subscribe',
+                args: symbols.map(instId => ({ channel: 'books', instId })),
+            });
+
+            // OKX drops connections that are idle for 30 seconds
+            clearInterval(this.pingTimer);
+            this.pingTimer = setInterval(() => this.socket.send('ping'), 20000);
+
+            logger.info({ symbols }, 'Started OKX order book streams');
+        });
+
+        this.socket.on('message', data => {
+            const text = data.toString();
+            if (text === 'pong') return;
+
+            try {
+                this.handleBookMessage(JSON.parse(text));
+            } catch (error) {
+                logger.error({ error }, 'Failed to process OKX book message');
+            }
+        });
+
+        this.socket.on('close', () => {
+            clearInterval(this.pingTimer);
+            for (const book of Object.values(this.orderBooks)) {
+                book.reset();
+            }
+            if (!this.running) return;
+
+            logger.warn('OKX order book stream closed, reconnecting');
+            setTimeout(() => this.startBookStream(), config.okx.reconnectDelayMs);
+        });
+
+        this.socket.on('error', error => {
+            logger.error({ error }, 'OKX order book stream error');
+        });
+    }
+
+    handleBookMessage(message) {
+        if (!message.arg || message.arg.channel !== 'books' || !message.data) return;
+
+        const symbol = message.arg.instId;
+        const book = this.orderBooks[symbol];
+        if (!book) return;
+
+        const previous = { bid: this.getBestBid(symbol), ask: this.getBestAsk(symbol) };
+
+        for (const data of message.data) {
+            const bids = data.bids.map(([price, quantity]) => ({ price, quantity }));
+            const asks = data.asks.map(([price, quantity]) => ({ price, quantity }));
+
+            if (message.action === 'snapshot') {
+                book.applySnapshot({ lastUpdateId: data.seqId, bids, asks });
+                book.synced = true;
+                continue;
+            }
+
+            // Every update must chain onto the previous one
+            if (!book.synced || Number(data.prevSeqId) !== book.lastUpdateId) {
+                logger.warn({ symbol }, 'OKX order book out of sequence, resubscribing');
+                book.reset();
+                this.resubscribe(symbol);
+                return;
+            }
+
+            book.applyUpdate({ finalUpdateId: data.seqId, bidDepth: bids, askDepth: asks });
+        }
+
+        if (this.getBestBid(symbol) !== previous.bid || this.getBestAsk(symbol) !== previous.ask) {
+            this.emit('ticker', symbol);
+        }
+    }
+
+    resubscribe(symbol) {
+        const args = [{ channel: 'books', instId: symbol }];
+        this.send({ op: 'unsubscribe', args });
+        this.send({ op: 'subscribe', args });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    getBestBid(symbol) {
+        const book = this.orderBooks[symbol];
+        if (!book || !book.synced) return null;
+        const [best] = book.getLevels('bids', 1);
+        return best ? best.price : null;
+    }
+
+    getBestAsk(symbol) {
+        const book = this.orderBooks[symbol];
+        if (!book || !book.synced) return null;
+        const [best] = book.getLevels('asks', 1);
+        return best ? best.price : null;
+    }
+
+    getVwap(symbol, side, quantity) {
+        const book = this.orderBooks[symbol];
+        if (!book || !book.synced) {
+            return null;
+        }
+        return book.getVwap(side, quantity);
+    }
+
+    async getOrderBook(symbol, limit = 5) {
+        const book = this.orderBooks[symbol];
+        if (book && book.synced) {
+            return book.getDepth(limit);
+        }
+
+        try {
+            const [data] = await this.publicRequest('/api/v5/market/books', { instId: symbol, sz: limit });
+            return {
+                bids: data.bids.map(([price, quantity]) => ({ price, quantity })),
+                asks: data.asks.map(([price, quantity]) => ({ price, quantity })),
+                timestamp: Number(data.ts),
+            };
+        } catch (error) {
+            logger.error({ error, symbol }, 'Failed to fetch OKX order book');
+            return null;
+        }
+    }
+
+    async executeOrder(symbol, side, quantity, expectedPrice, tolerancePercentage = config.trading.cexPriceTolerancePercentage) {
+        const orderType = config.trading.cexOrderType;
+        const instrument = this.getInstrument(symbol);
+        const size = this.normalizeQuantity(symbol, quantity);
+
+        if (new BigNumber(size).isLessThan(instrument.minSize)) {
+            throw new Error(`Order size ${size} is below minimum ${instrument.minSize} for ${symbol}`);
+        }
+
+        const order = {
+            instId: symbol,
+            tdMode: 'cash',
+            side: side.toLowerCase(),
+            ordType: ORDER_TYPES[orderType],
+            sz: size,
+        };
+
+        if (orderType === 'MARKET') {
+            // Spot market buys are sized in the quote currency unless told otherwise
+            order.tgtCcy = 'base_ccy';
+        } else {
+            const tolerance = new BigNumber(tolerancePercentage).dividedBy(100);
+            const limitPrice = side === 'BUY'
+                ? new BigNumber(expectedPrice).multipliedBy(tolerance.plus(1))
+                : new BigNumber(expectedPrice).multipliedBy(new BigNumber(1).minus(tolerance));
+            order.px = this.normalizePrice(symbol, limitPrice, side);
+        }
+
+        return this.placeOrder(order);
+    }
+
+    async executeBuy(symbol, quantity) {
+        return this.placeOrder({
+            instId: symbol,
+            tdMode: 'cash',
+            side: 'buy',
+            ordType: 'market',
+            tgtCcy: 'base_ccy',
+            sz: this.normalizeQuantity(symbol, quantity),
+        });
+    }
+
+    async executeSell(symbol, quantity) {
+        return this.placeOrder({
+            instId: symbol,
+            tdMode: 'cash',
+            side: 'sell',
+            ordType: 'market',
+            sz: this.normalizeQuantity(symbol, quantity),
+        });
+    }
+
+    async placeOrder(order) {
+        try {
+            const [placed] = await this.privateRequest('POST', '/api/v5/trade/order', order);
+            if (placed.sCode !== '0') {
+                throw new Error(`OKX rejected order: ${placed.sMsg}`);
+            }
+
+            const result = await this.waitForOrder(order.instId, placed.ordId);
+
+            // The order has settled whatever happens here, a stale balance must not turn it into a failed one
+            try {
+                await this.refreshBalances();
+            } catch (error) {
+                logger.error({ error, orderId: result.orderId }, 'Failed to refresh OKX balances');
+            }
+
+            logger.info({
+                orderId: result.orderId,
+                symbol: result.symbol,
+                status: result.status,
+                filledQty: result.filledQty,
+                averagePrice: result.averagePrice,
+                remainingQty: result.remainingQty,
+            }, `${order.side === 'buy' ? 'Buy' : 'Sell'} order executed on OKX`);
+            return result;
+        } catch (error) {
+            logger.error({ error, order }, `Failed to execute ${order.side} order on OKX`);
+            throw error;
+        }
+    }
+
+    // Read an order until it reaches a final state, cancelling it if it doesn't settle on its own,
+    // so the filled quantity returned can no longer grow. An order that can't be followed to a final
+    // state is returned with its last known status and fills, so what did fill can still be hedged
+    async waitForOrder(symbol, orderId) {
+        // Market, IOC and FOK orders settle almost immediately
+        let details = await this.pollOrder(symbol, orderId, 10);
+
+        if (!FINAL_STATES.includes(details.state)) {
+            logger.warn({ symbol, orderId, state: details.state }, 'OKX order not final, cancelling it');
+            try {
+                await this.privateRequest('POST', '/api/v5/trade/cancel-order', { instId: symbol, ordId: orderId });
+            } catch (error) {
+                // It may have reached a final state meanwhile, the re-read tells
+                logger.warn({ error, symbol, orderId }, 'Failed to cancel OKX order');
+            }
+
+            details = await this.pollOrder(symbol, orderId, 10, details);
+            if (!FINAL_STATES.includes(details.state)) {
+                logger.error({
+                    symbol,
+                    orderId,
+                    state: details.state,
+                    filledQty: details.accFillSz,
+                }, 'OKX order still not final after cancelling it, reporting what it filled so far');
+            }
+        }
+
+        const filledQty = new BigNumber(details.accFillSz || 0);
+        const averagePrice = filledQty.isZero() ? null : details.avgPx;
+        const requestedQty = new BigNumber(details.sz);
+
+        const result = {
+            orderId: details.ordId,
+            symbol: details.instId,
+            side: details.side.toUpperCase(),
+            type: details.ordType,
+            status: details.state,
+            price: details.px || null,
+            requestedQty: requestedQty.toString(),
+            filledQty: filledQty.toString(),
+            remainingQty: BigNumber.maximum(requestedQty.minus(filledQty), 0).toString(),
+            quoteQty: averagePrice ? filledQty.multipliedBy(averagePrice).toString() : '0',
+            averagePrice,
+            commissions: details.feeCcy
+                ? { [details.feeCcy]: new BigNumber(details.fee || 0).abs().toString() }
+                : {},
+        };
+
+        this.orders[result.orderId] = result;
+        return result;
+    }
+
+    // Once the order has been read, a failed read returns the last state seen instead of throwing
+    async pollOrder(symbol, orderId, attempts, details = null) {
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            try {
+                [details] = await this.privateRequest('GET', '/api/v5/trade/order', { instId: symbol, ordId: orderId });
+            } catch (error) {
+                if (!details) throw error;
+                logger.warn({ error, symbol, orderId, state: details.state }, 'Failed to read OKX order, keeping its last known state');
+                return details;
+            }
+            if (FINAL_STATES.includes(details.state)) break;
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+        return details;
+    }
+
+    getInstrument(symbol) {
+        const instrument = this.instruments[symbol];
+        if (!instrument) {
+            throw new Error(`Instrument info not found for ${symbol}`);
+        }
+        return instrument;
+    }
+
+    normalizeQuantity(symbol, quantity) {
+        const stepSize = new BigNumber(this.getInstrument(symbol).stepSize);
+        return new BigNumber(quantity)
+            .dividedToIntegerBy(stepSize)
+            .multipliedBy(stepSize)
+            .toString();
+    }
+
+    normalizePrice(symbol, price, side) {
+        // Round towards the better price so the tolerance is never exceeded
+        const tickSize = new BigNumber(this.getInstrument(symbol).tickSize);
+        return new BigNumber(price).dividedBy(tickSize)
+            .integerValue(side === 'BUY' ? BigNumber.ROUND_FLOOR : BigNumber.ROUND_CEIL)
+            .multipliedBy(tickSize)
+            .toString();
+    }
+
+    async refreshBalances() {
+        const [account] = await this.privateRequest('GET', '/api/v5/account/balance');
+        const balances = {};
+        for (const detail of account.details) {
+            balances[detail.ccy] = { free: detail.availBal, locked: detail.frozenBal };
+        }
+        this.balances = balances;
+    }
+
+    async getBalance(asset) {
+        try {
+            await this.refreshBalances();
+        } catch (error) {
+            logger.error({ error, asset }, 'Failed to refresh OKX balances');
+            throw error;
+        }
+        return this.balances[asset] || { free: '0', locked: '0' };
+    }
+
+    getBalances() {
+        return this.balances;
+    }
+
+    getOrderFills(orderId) {
+        return this.orders[String(orderId)] || null;
+    }
+
+    getFees() {
+        return {
+            maker: config.okx.makerFee,
+            taker: config.okx.takerFee,
+        };
+    }
+
+    async publicRequest(path, params = {}) {
+        const response = await this.http.get(path, { params });
+        return this.unwrap(response.data);
+    }
+
+    async privateRequest(method, path, payload = {}) {
+        const query = method === 'GET' && Object.keys(payload).length > 0
+            ? `?${new URLSearchParams(payload).toString()}`
+            : '';
+        const body = method === 'GET' ? '' : JSON.stringify(payload);
+        const requestPath = `${path}${query}`;
+        const timestamp = new Date().toISOString();
+
+        const signature = crypto
+            .createHmac('sha256', config.okx.apiSecret || '')
+            .update(`${timestamp}${method}${requestPath}${body}`)
+            .digest('base64');
+
+        const response = await this.http.request({
+            method,
+            url: requestPath,
+            data: body || undefined,
+            headers: {
+                'Content-Type': 'application/json',
+                'OK-ACCESS-KEY': config.okx.apiKey,
+                'OK-ACCESS-SIGN': signature,
+                'OK-ACCESS-TIMESTAMP': timestamp,
+                'OK-ACCESS-PASSPHRASE': config.okx.passphrase,
+            },
+        });
+
+        return this.unwrap(response.data);
+    }
+
+    unwrap(response) {
+        if (response.code !== '0') {
+            const error = new Error(response.msg || `OKX error ${response.code}`);
+            error.code = response.code;
+            throw error;
+        }
+        return response.data;
+    }
+}
+
+module.exports = new OkxExchange();
@@ -0,0 +1,141 @@
+/**
+ * Local L2 Order Book
+ *
+ * Holds the aggregated bid/ask levels for a single symbol. Built from a REST
+ * snapshot and kept current by applying diff-depth updates on top of it.
+ */
+const BigNumber = require('bignumber.js');
+
+class OrderBook {
+    constructor(symbol) {
+        this.symbol = symbol;
+        this.bids = new Map();
+        this.asks = new Map();
+        this.lastUpdateId = 0;
+        this.synced = false;
+        this.syncing = false;
+        this.timestamp = null;
+        // Levels of each side sorted best price first, rebuilt on the first read after a change
+        this.sorted = { bids: null, asks: null };
+    }
+
+    /**
+     * Replace the book contents with a REST depth snapshot
+     *
+     * @param {Object} snapshot - Snapshot { lastUpdateId, bids, asks }
+     */
+    applySnapshot(snapshot) {
+        this.bids.clear();
+        this.asks.clear();
+        this.sorted = { bids: null, asks: null };
+
+        for (const level of snapshot.bids) {
+            this.setLevel(this.bids, level.price, level.quantity);
+        }
+        for (const level of snapshot.asks) {
+            this.setLevel(this.asks, level.price, level.quantity);
+        }
+
+        this.lastUpdateId = Number(snapshot.lastUpdateId);
+        this.timestamp = Date.now();
+    }
+
+    /**
+     * Apply a diff-depth event. Levels with a zero quantity are removed.
+     *
+     * @param {Object} event - Depth event { finalUpdateId, bidDepth, askDepth }
+     */
+    applyUpdate(event) {
+        for (const level of event.bidDepth) {
+            this.setLevel(this.bids, level.price, level.quantity);
+        }
+        for (const level of event.askDepth) {
+            this.setLevel(this.asks, level.price, level.quantity);
+        }
+
+        this.lastUpdateId = Number(event.finalUpdateId);
+        this.timestamp = Date.now();
+    }
+
+    setLevel(levels, price, quantity) {
+        this.sorted[levels === this.bids ? 'bids' : 'asks'] = null;
+
+        if (new BigNumber(quantity).isZero()) {
+            levels.delete(price);
+        } else {
+            levels.set(price, quantity);
+        }
+    }
+
+    reset() {
+        this.bids.clear();
+        this.asks.clear();
+        this.sorted = { bids: null, asks: null };
+        this.lastUpdateId = 0;
+        this.synced = false;
+        this.timestamp = null;
+    }
+
+    /**
+     * Get the sorted price levels for one side of the book
+     *
+     * @param {String} side - 'bids' or 'asks'
+     * @param {Number} limit - Maximum number of levels to return
+     * @returns {Array} Levels as { price, quantity }, best price first
+     */
+    getLevels(side, limit = Infinity) {
+        return this.getSortedLevels(side)
+            .slice(0, limit)
+            .map(({ price, quantity }) => ({ price, quantity }));
+    }
+
+    // Shared sorted levels of a side, not to be modified by callers
+    getSortedLevels(side) {
+        if (!this.sorted[side]) {
+            const levels = side === 'bids' ? this.bids : this.asks;
+            this.sorted[side] = Array.from(levels, ([price, quantity]) => ({ price, quantity, value: new BigNumber(price) }))
+                .sort((a, b) => side === 'bids' ? b.value.comparedTo(a.value) : a.value.comparedTo(b.value));
+        }
+        return this.sorted[side];
+    }
+
+    getDepth(limit = 5) {
+        return {
+            bids: this.getLevels('bids', limit),
+            asks: this.getLevels('asks', limit),
+            lastUpdateId: this.lastUpdateId,
+            timestamp: this.timestamp,
+        };
+    }
+
+    /**
+     * Volume-weighted average price for filling a quantity against the book
+     *
+     * @param {String} side - 'buy' walks the asks, 'sell' walks the bids
+     * @param {String|Number} quantity - Base asset quantity to fill
+     * @returns {String|null} Average fill price, or null if the book is too thin
+     */
+    getVwap(side, quantity) {
+        const levels = this.getSortedLevels(side === 'buy' ? 'asks' : 'bids');
+        let remaining = new BigNumber(quantity);
+        let notional = new BigNumber(0);
+
+        if (!remaining.isGreaterThan(0)) {
+            return null;
+        }
+
+        for (const level of levels) {
+            const fillQuantity = BigNumber.minimum(remaining, level.quantity);
+            notional = notional.plus(fillQuantity.multipliedBy(level.value));
+            remaining = remaining.minus(fillQuantity);
+
+            if (remaining.isZero()) {
+                return notional.dividedBy(quantity).toString();
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = OrderBook;
@@ -1,9 +1,24 @@
 const express = require('express');
+const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const tokens = require('../config/tokens');
+const assets = require('../config/assets');
 const arbitrageService = require('./arbitrageService');
+const scanScheduler = require('./scanScheduler');
+const inventory = require('./inventory');
+const rebalancer = require('./rebalancer');
+const tradeRecovery = require('./tradeRecovery');
+const tradeJournal = require('./tradeJournal');
+const riskManager = require('./riskManager');
+const opportunityTracker = require('./opportunityTracker');
+const alerts = require('../utils/alerts');
+const cexRegistry = require('../exchange/cexRegistry');
 const binance = require('../exchange/binance');
-const uniswap = require('../dex/uniswap');
+const dexRegistry = require('../dex/dexRegistry');
+const allowanceManager = require('../dex/allowanceManager');
+const gasOracle = require('../dex/gasOracle');
+const transactionManager = require('../dex/transactionManager');
 
 class ApiService {
     constructor() {
@@ -53,56 +68,321 @@ class ApiService {
             res.json({ opportunities });
         });
 
+        // Get tracked opportunities with their lifecycle state
+        this.app.get('/api/opportunities/tracked', (req, res) => {
+            const { status, pair, limit } = req.query;
+            res.json({
+                opportunities: opportunityTracker.list({ status, pair, limit: limit ? parseInt(limit) : undefined }),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Get an opportunity's state and every transition it went through
+        this.app.get('/api/opportunities/:id', (req, res) => {
+            const record = opportunityTracker.get(req.params.id);
+            if (!record) {
+                return res.status(404).json({ error: `Opportunity ${req.params.id} not found` });
+            }
+            res.json({ opportunity: record });
+        });
+
         // Get trading pairs being monitored
         this.app.get('/api/pairs', (req, res) => {
-            res.json({ pairs: config.trading.tradingPairs });
+            // The on-chain tokens each CEX pair trades as, null where a network lacks them
+            const tokensByNetwork = {};
+            for (const network of Object.keys(config.networks)) {
+                tokensByNetwork[network] = {};
+                for (const pair of config.trading.tradingPairs) {
+                    tokensByNetwork[network][pair] = assets.getPairTokens(network, pair);
+                }
+            }
+
+            res.json({ pairs: config.trading.tradingPairs, tokens: tokensByNetwork });
         });
 
-        // Get CEX prices
-        this.app.get('/api/prices/cex/:symbol', (req, res) => {
+        // Get configured centralized exchanges
+        this.app.get('/api/exchanges', (req, res) => {
+            const exchanges = cexRegistry.getEnabledAdapters().map(cex => ({
+                name: cex.name,
+                fees: cex.getFees(),
+            }));
+            const dexes = dexRegistry.getEnabledAdapters().map(dex => ({
+                name: dex.name,
+                fees: dex.getFees(),
+                networks: Object.keys(config.networks).filter(network => dex.supportsNetwork(network)),
+            }));
+            res.json({ exchanges, dexes });
+        });
+
+        // Get CEX prices (defaults to the first configured exchange)
+        const getCexPrice = (req, res) => {
             const { symbol } = req.params;
+            const exchange = req.params.exchange || config.cex.exchanges[0];
+
+            let cex;
+            try {
+                cex = cexRegistry.getAdapter(exchange);
+            } catch (error) {
+                return res.status(404).json({ error: error.message });
+            }
+
             const price = {
-                bid: binance.getBestBid(symbol),
-                ask: binance.getBestAsk(symbol),
+                bid: cex.getBestBid(symbol),
+                ask: cex.getBestAsk(symbol),
                 timestamp: new Date().toISOString()
             };
 
             if (!price.bid || !price.ask) {
-                return res.status(404).json({ error: `No price found for symbol ${symbol}` });
+                return res.status(404).json({ error: `No price found for symbol ${symbol} on ${exchange}` });
             }
 
-            res.json({ symbol, price });
-        });
+            res.json({ exchange, symbol, price });
+        };
+        this.app.get('/api/prices/cex/:symbol', getCexPrice);
+        this.app.get('/api/prices/cex/:exchange/:symbol', getCexPrice);
+
+        // Get DEX prices (defaults to the first configured venue)
+        const getDexPrice = async (req, res) => {
+            const { network } = req.params;
+            const dexName = req.params.dex || config.dex.venues[0];
+
+            if (!config.networks[network]) {
+                return res.status(404).json({ error: `Unknown network ${network}` });
+            }
 
-        // Get DEX prices
-        this.app.get('/api/prices/dex/:network/:baseToken/:quoteToken', async (req, res) => {
-            const { network, baseToken, quoteToken } = req.params;
+            // Accept CEX assets too, ETH prices as WETH
+            const baseToken = assets.toToken(network, req.params.baseToken);
+            const quoteToken = assets.toToken(network, req.params.quoteToken);
 
             try {
-                const price = await arbitrageService.getDexPrice(network, baseToken, quoteToken);
+                dexRegistry.getAdapter(dexName);
+            } catch (error) {
+                return res.status(404).json({ error: error.message });
+            }
+
+            try {
+                const quote = await arbitrageService.getDexPrice(dexName, network, baseToken, quoteToken);
 
-                if (!price) {
-                    return res.status(404).json({ error: `No price found for ${baseToken}/${quoteToken} on ${network}` });
+                if (!quote) {
+                    return res.status(404).json({ error: `No price found for ${baseToken}/${quoteToken} on ${dexName} ${network}` });
                 }
 
                 res.json({
+                    dex: dexName,
                     network,
                     pair: `${baseToken}-${quoteToken}`,
-                    price,
+                    price: quote.price,
+                    midPrice: quote.midPrice,
+                    priceImpact: quote.priceImpact,
+                    route: quote.route,
+                    blockNumber: quote.blockNumber,
                     timestamp: new Date().toISOString()
                 });
             } catch (error) {
-                logger.error({ error, network, baseToken, quoteToken }, 'Error getting DEX price');
+                logger.error({ error, dex: dexName, network, baseToken, quoteToken }, 'Error getting DEX price');
+                res.status(500).json({ error: error.message });
+            }
+        };
+        this.app.get('/api/prices/dex/:network/:baseToken/:quoteToken', getDexPrice);
+        this.app.get('/api/prices/dex/:dex/:network/:baseToken/:quoteToken', getDexPrice);
+
+        // Get Binance request weight and order count usage
+        this.app.get('/api/rate-limits/binance', (req, res) => {
+            res.json({ usage: binance.getRateLimitUsage(), timestamp: new Date().toISOString() });
+        });
+
+        // Get balances for every configured CEX
+        this.app.get('/api/balances/cex', (req, res) => {
+            const balances = {};
+            for (const cex of cexRegistry.getEnabledAdapters()) {
+                balances[cex.name] = cex.getBalances();
+            }
+            res.json({ balances, timestamp: new Date().toISOString() });
+        });
+
+        // Get inventory per venue, what trades in flight reserved, and the rebalancer's plan and transfers
+        this.app.get('/api/inventory', (req, res) => {
+            res.json({ venues: inventory.getStatus(), rebalance: rebalancer.getStatus(), timestamp: new Date().toISOString() });
+        });
+
+        // Plan a rebalance and send its transfers, whatever the configured mode
+        this.app.post('/api/inventory/rebalance', async (req, res) => {
+            if (riskManager.isHalted()) {
+                return res.status(409).json({ error: 'Trading is halted, resume it before rebalancing', halt: riskManager.halt });
+            }
+
+            try {
+                const results = await rebalancer.run(true);
+                res.json({ success: true, results });
+            } catch (error) {
+                logger.error({ error }, 'Error rebalancing inventory');
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Get recent arbitrage executions with the state of both legs and any recovery trades
+        this.app.get('/api/executions', (req, res) => {
+            res.json({ executions: tradeRecovery.getExecutions(), timestamp: new Date().toISOString() });
+        });
+
+        // Get positions a failed leg left open that recovery couldn't close
+        this.app.get('/api/positions/open', (req, res) => {
+            res.json({ positions: tradeRecovery.getOpenPositions(), timestamp: new Date().toISOString() });
+        });
+
+        // Mark an open position as closed by hand
+        this.app.post('/api/positions/:id/resolve', (req, res) => {
+            const execution = tradeRecovery.resolve(req.params.id, (req.body && req.body.note) || null);
+            if (!execution) {
+                return res.status(404).json({ error: `Open position ${req.params.id} not found` });
+            }
+            res.json({ success: true, execution });
+        });
+
+        // Get recent alerts
+        this.app.get('/api/alerts', (req, res) => {
+            res.json({ alerts: alerts.getRecent(), timestamp: new Date().toISOString() });
+        });
+
+        // Get journaled executions, including those from before a restart
+        this.app.get('/api/journal/executions', (req, res) => {
+            const { status, pair, network, limit } = req.query;
+            res.json({
+                executions: tradeJournal.getExecutions({ status, pair, network, limit: limit ? parseInt(limit) : undefined }),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Get opportunities evaluated on a UTC day
+        this.app.get('/api/journal/opportunities', async (req, res) => {
+            const { date, limit } = req.query;
+            if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+                return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+            }
+
+            try {
+                const opportunities = await tradeJournal.getOpportunities(date, limit ? parseInt(limit) : undefined);
+                res.json({ opportunities, timestamp: new Date().toISOString() });
+            } catch (error) {
+                logger.error({ error, date }, 'Error reading journaled opportunities');
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Get risk limits, usage and recent rejections
+        this.app.get('/api/risk', (req, res) => {
+            res.json({ risk: riskManager.getStatus(), timestamp: new Date().toISOString() });
+        });
+
+        // Halt trading until resumed, cancelling pending transactions
+        this.app.post('/api/risk/kill', async (req, res) => {
+            try {
+                const cancellation = await riskManager.kill((req.body && req.body.note) || null);
+                res.json({ success: true, halt: riskManager.halt, transactions: cancellation });
+            } catch (error) {
+                // Trading is halted even if cancelling failed
+                logger.error({ error }, 'Error cancelling pending transactions');
+                res.status(500).json({ error: error.message, halt: riskManager.halt });
+            }
+        });
+
+        // Lift a kill switch or tripped circuit breaker
+        this.app.post('/api/risk/resume', (req, res) => {
+            if (!riskManager.resume()) {
+                return res.status(409).json({ error: 'Trading is not halted' });
+            }
+            res.json({ success: true });
+        });
+
+        // Get realized PnL from journaled fills
+        this.app.get('/api/pnl', (req, res) => {
+            const { from, to } = req.query;
+            res.json({
+                pnl: tradeJournal.getPnl({ from: from ? parseInt(from) : undefined, to: to ? parseInt(to) : undefined }),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Get fill details for a CEX order
+        this.app.get('/api/orders/cex/:exchange/:orderId', (req, res) => {
+            const { exchange, orderId } = req.params;
+
+            let order;
+            try {
+                order = cexRegistry.getAdapter(exchange).getOrderFills(orderId);
+            } catch (error) {
+                return res.status(404).json({ error: error.message });
+            }
+
+            if (!order) {
+                return res.status(404).json({ error: `Order ${orderId} not found` });
+            }
+
+            res.json({ order });
+        });
+
+        // Get live base and priority fees per network
+        this.app.get('/api/gas', (req, res) => {
+            res.json({ fees: gasOracle.getStatus(), timestamp: new Date().toISOString() });
+        });
+
+        // Get the token registry with on-chain verification state per network
+        this.app.get('/api/tokens', (req, res) => {
+            res.json({ tokens: tokens.getStatus(), timestamp: new Date().toISOString() });
+        });
+
+        // Get local nonces and the state of recently sent transactions
+        this.app.get('/api/transactions', (req, res) => {
+            res.json({ ...transactionManager.getStatus(), timestamp: new Date().toISOString() });
+        });
+
+        // Get the approval state of every token for every DEX spender on every network
+        this.app.get('/api/allowances', async (req, res) => {
+            try {
+                const targets = [];
+                for (const dex of dexRegistry.getEnabledAdapters()) {
+                    for (const network of Object.keys(config.networks)) {
+                        if (!dex.supportsNetwork(network)) continue;
+
+                        for (const target of dex.getApprovalTargets(network)) {
+                            for (const [symbol, token] of Object.entries(tokens.getTokens(network))) {
+                                targets.push({ dex: dex.name, network, symbol, token, ...target });
+                            }
+                        }
+                    }
+                }
+
+                const owner = new ethers.Wallet(config.wallet.privateKey).address;
+                const allowances = await allowanceManager.getApprovalStatus(owner, targets);
+
+                res.json({
+                    policy: config.dex.allowance.policy,
+                    usePermit2: config.dex.allowance.usePermit2,
+                    allowances,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                logger.error({ error }, 'Error getting token allowances');
                 res.status(500).json({ error: error.message });
             }
         });
 
         // Get arbitrage service status
         this.app.get('/api/status', (req, res) => {
+            const exchanges = {};
+            for (const cex of cexRegistry.getEnabledAdapters()) {
+                exchanges[cex.name] = cex.getHealth();
+            }
+
             res.json({
                 running: arbitrageService.running,
                 initialized: arbitrageService.initialized,
+                degraded: Object.values(exchanges).some(health => health.degraded),
+                exchanges,
                 opportunities: arbitrageService.opportunities.length,
+                scheduler: scanScheduler.getStatus(),
+                openPositions: tradeRecovery.getOpenPositions().length,
+                tradingHalt: riskManager.halt,
                 timestamp: new Date().toISOString()
             });
         });
@@ -126,17 +406,20 @@ class ApiService {
                 return res.status(400).json({ error: 'opportunityId is required' });
             }
 
-            const opportunities = arbitrageService.getArbitrageOpportunities();
-            const opportunity = opportunities.find(o => o.timestamp === parseInt(opportunityId));
-
-            if (!opportunity) {
-                return res.status(404).json({ error: `Opportunity with ID ${opportunityId} not found` });
-            }
-
             try {
-                const result = await arbitrageService.executeArbitrage(opportunity);
-                res.json({ success: result, opportunity });
+                const { executed, record } = await arbitrageService.executeById(String(opportunityId));
+                res.json({ success: executed, opportunity: record });
             } catch (error) {
+                if (error.code === 'OPPORTUNITY_NOT_FOUND') {
+                    return res.status(404).json({ error: error.message });
+                }
+                if (error.code === 'OPPORTUNITY_NOT_EXECUTABLE') {
+                    return res.status(409).json({ error: error.message, ...error.details });
+                }
+                if (error.code === 'EXECUTION_IN_PROGRESS') {
+                    return res.status(409).json({ error: error.message });
+                }
+
                 logger.error({ error, opportunityId }, 'Error executing arbitrage opportunity');
                 res.status(500).json({ error: error.message });
             }
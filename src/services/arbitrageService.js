@@ -1,9 +1,20 @@
 const logger = require('../utils/logger');
 const config = require('../config/config');
-const binance = require('../exchange/binance');
-const uniswap = require('../dex/uniswap');
+const cexRegistry = require('../exchange/cexRegistry');
+const dexRegistry = require('../dex/dexRegistry');
+const assets = require('../config/assets');
+const gasOracle = require('../dex/gasOracle');
+const tokenVerifier = require('../dex/tokenVerifier');
+const tradeSizer = require('./tradeSizer');
+const scanScheduler = require('./scanScheduler');
+const inventory = require('./inventory');
+const rebalancer = require('./rebalancer');
+const tradeRecovery = require('./tradeRecovery');
+const tradeJournal = require('./tradeJournal');
+const riskManager = require('./riskManager');
+const opportunityTracker = require('./opportunityTracker');
 const BigNumber = require('bignumber.js');
-const NodeCache = require('node-cache');
+const { ethers } = require('ethers');
 
 // Set BigNumber configuration
 BigNumber.config({ EXPONENTIAL_AT: 1e+9 });
@@ -11,27 +22,13 @@ BigNumber.config({ EXPONENTIAL_AT: 1e+9 });
 class ArbitrageService {
     constructor() {
         this.opportunities = [];
-        this.cache = new NodeCache({ stdTTL: 60, checkperiod: 30 });
+        // `${pair}:${network}` -> opportunities of that pair's latest scan on the network
+        this.scanResults = {};
+        // network -> { blockNumber, quotes } DEX quotes taken at the network's latest block
+        this.quoteCache = {};
         this.running = false;
+        this.executing = false;
         this.initialized = false;
-
-        // Set exchange fees (these can be configurable in .env)
-        this.fees = {
-            binance: {
-                maker: 0.001, // 0.1%
-                taker: 0.001, // 0.1%
-            },
-            uniswap: {
-                fee: 0.003, // 0.3% (can vary by pool but this is a reasonable default)
-            },
-            gas: {
-                // Estimated gas costs in USD for DEX trades by network
-                ethereum: 20,
-                arbitrum: 0.3,
-                optimism: 0.1,
-                polygon: 0.05,
-            },
-        };
     }
 
     async initialize() {
@@ -39,13 +36,31 @@ class ArbitrageService {
             logger.info('Initializing Arbitrage Service');
 
             // Initialize exchange adapters
-            const binanceInitialized = await binance.initialize();
-            const uniswapInitialized = await uniswap.initialize();
+            for (const cex of cexRegistry.getEnabledAdapters()) {
+                if (!await cex.initialize()) {
+                    throw new Error(`Failed to initialize ${cex.name} adapter`);
+                }
+            }
 
-            if (!binanceInitialized || !uniswapInitialized) {
-                throw new Error('Failed to initialize exchange adapters');
+            // Check listed token metadata on-chain before anything is priced with it
+            await tokenVerifier.verify();
+
+            for (const dex of dexRegistry.getEnabledAdapters()) {
+                if (!await dex.initialize()) {
+                    throw new Error(`Failed to initialize ${dex.name} adapter`);
+                }
             }
 
+            // Live gas fees for pricing the DEX leg
+            await gasOracle.start();
+
+            // Balances on every venue, trades size and execute from them
+            await inventory.start();
+
+            // Executions from before a restart, positions left open or interrupted stay tracked until resolved
+            tradeJournal.load();
+            await tradeRecovery.restore(tradeJournal.getExecutions({ limit: Infinity }));
+
             this.initialized = true;
             logger.info('Arbitrage Service initialized successfully');
             return true;
@@ -68,258 +83,538 @@ class ArbitrageService {
         this.running = true;
         logger.info('Starting Arbitrage Service');
 
-        // Start the main arbitrage loop
-        this.runArbitrageLoop();
+        rebalancer.start();
+
+        // Re-scan pairs on CEX ticker moves and new blocks, starting with a full scan
+        await scanScheduler.start((pair, networks) => this.scanPair(pair, networks));
+        for (const pair of config.trading.tradingPairs) {
+            scanScheduler.trigger(pair, scanScheduler.getNetworks(), 'start');
+        }
     }
 
     async stop() {
         logger.info('Stopping Arbitrage Service');
         this.running = false;
+
+        await scanScheduler.stop();
+        rebalancer.stop();
+        inventory.stop();
+
+        for (const cex of cexRegistry.getEnabledAdapters()) {
+            await cex.stop();
+        }
+        for (const dex of dexRegistry.getEnabledAdapters()) {
+            await dex.stop();
+        }
+        await gasOracle.stop();
     }
 
-    async runArbitrageLoop() {
-        while (this.running) {
-            try {
-                // Find arbitrage opportunities
-                const opportunities = await this.findArbitrageOpportunities();
-
-                // Execute profitable opportunities
-                for (const opp of opportunities) {
-                    if (opp.profitPercentage > config.trading.minimumProfitPercentage) {
-                        await this.executeArbitrage(opp);
-                    }
-                }
+    // Re-evaluate a pair on some networks and execute what clears the minimum profit
+    async scanPair(pair, networks) {
+        const opportunities = await this.findPairOpportunities(pair, networks);
 
-                // Wait a short interval before the next iteration
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            } catch (error) {
-                logger.error({ error }, 'Error in arbitrage loop');
-                // Wait a bit longer if there was an error
-                await new Promise(resolve => setTimeout(resolve, 5000));
+        // One execution at a time, a pair scanned meanwhile is re-evaluated on its next trigger
+        if (!this.running || this.executing || riskManager.isHalted()) return;
+
+        this.executing = true;
+        try {
+            for (const opp of opportunities) {
+                // Executions run one after another, a later opportunity may have expired meanwhile
+                if (opp.profitPercentage > config.trading.minimumProfitPercentage && opportunityTracker.isExecutable(opp.id)) {
+                    await this.executeApproved(opportunityTracker.approve(opp.id, { by: 'auto' }));
+                }
             }
+        } finally {
+            this.executing = false;
         }
     }
 
+    // Scan every pair on every network
     async findArbitrageOpportunities() {
-        const opportunities = [];
+        const networks = scanScheduler.getNetworks();
+        await Promise.all(config.trading.tradingPairs.map(pair => this.findPairOpportunities(pair, networks)));
+        return this.opportunities;
+    }
 
-        // Check all trading pairs
-        for (const pair of config.trading.tradingPairs) {
+    async findPairOpportunities(pair, networks) {
+        const tradeAmount = config.trading.tradeAmount;
+        const blocks = await this.getScanBlocks(networks);
+
+        // Quote the pair on every DEX venue of each network at once, so the
+        // quotes of a network share its Multicall3 batches at the scan's block
+        const results = await Promise.all(networks.map(async network => {
+            if (!blocks[network]) return [];
+
+            const scans = dexRegistry.getAdaptersForNetwork(network)
+                .map(dex => this.scanVenue(dex, network, pair, tradeAmount, blocks[network]));
+            return (await Promise.all(scans)).flat();
+        }));
+
+        // Replace what the pair had on the scanned networks, opportunities on the others stand
+        networks.forEach((network, i) => {
+            this.scanResults[`${pair}:${network}`] = results[i];
+            results[i].forEach(opportunity => opportunityTracker.track(opportunity));
+        });
+
+        // Sort by profit percentage (descending)
+        this.opportunities = Object.values(this.scanResults)
+            .flat()
+            .sort((a, b) => b.profitPercentage - a.profitPercentage);
+
+        return results.flat().sort((a, b) => b.profitPercentage - a.profitPercentage);
+    }
+
+    // Block every quote of a network is pinned to for this scan
+    async getScanBlocks(networks) {
+        const blocks = {};
+
+        await Promise.all(networks.map(async network => {
             try {
-                const [baseToken, quoteToken] = pair.split('-');
-                const binanceSymbol = binance.getSymbolFromPair(pair);
-
-                // Check for each network
-                for (const network of Object.keys(config.networks)) {
-                    if (!config.networks[network].provider) continue;
-
-                    // Get prices from both exchanges
-                    const cexBid = binance.getBestBid(binanceSymbol);
-                    const cexAsk = binance.getBestAsk(binanceSymbol);
-
-                    if (!cexBid || !cexAsk) {
-                        logger.debug(`No Binance prices available for ${binanceSymbol}`);
-                        continue;
-                    }
-
-                    // Check DEX price for the same pair
-                    const dexPrice = await this.getDexPrice(network, baseToken, quoteToken);
-                    if (!dexPrice) continue;
-
-                    // Calculate potential arbitrage opportunities
-
-                    // 1. Buy on DEX, sell on CEX
-                    const dexToCexProfit = this.calculateProfit(
-                        'dexToCex',
-                        network,
-                        baseToken,
-                        quoteToken,
-                        dexPrice,
-                        cexBid
-                    );
-
-                    // 2. Buy on CEX, sell on DEX
-                    const cexToDexProfit = this.calculateProfit(
-                        'cexToDex',
-                        network,
-                        baseToken,
-                        quoteToken,
-                        cexAsk,
-                        dexPrice
-                    );
-
-                    // Add profitable opportunities
-                    if (dexToCexProfit.profitPercentage > 0) {
-                        opportunities.push(dexToCexProfit);
-                    }
-
-                    if (cexToDexProfit.profitPercentage > 0) {
-                        opportunities.push(cexToDexProfit);
-                    }
-                }
+                blocks[network] = await this.getLatestBlock(network);
             } catch (error) {
-                logger.error({ error, pair }, 'Error finding arbitrage opportunity for pair');
+                logger.error({ error, network }, 'Failed to get block number, skipping network');
             }
+        }));
+
+        return blocks;
+    }
+
+    // Latest block the scheduler has seen on a network, asking the provider before the first one
+    async getLatestBlock(network) {
+        return scanScheduler.getLatestBlock(network) || await config.networks[network].provider.getBlockNumber();
+    }
+
+    async scanVenue(dex, network, pair, tradeAmount, blockNumber) {
+        try {
+            const venue = await this.quoteVenue(dex, network, pair, tradeAmount, blockNumber);
+            if (!venue) return [];
+
+            return await this.compareWithCexes(dex, network, pair, venue);
+        } catch (error) {
+            logger.error({ error, pair, dex: dex.name, network }, 'Error finding arbitrage opportunity for pair');
+            return [];
         }
+    }
 
-        // Sort by profit percentage (descending)
-        opportunities.sort((a, b) => b.profitPercentage - a.profitPercentage);
+    /**
+     * Reference quote of a pair on one DEX venue and what its gas costs
+     *
+     * @returns {Object|null} { pairTokens, dexQuote, gasCost, nativeTokenPrice }, null
+     *   if the venue can't be traded or priced
+     */
+    async quoteVenue(dex, network, pair, tradeAmount, blockNumber) {
+        // The pair is in CEX assets, the DEX trades the network's tokens for them
+        const pairTokens = assets.getPairTokens(network, pair);
+        if (!pairTokens) {
+            logger.debug({ pair, network }, 'Pair has no tokens on network');
+            return null;
+        }
+        const { baseToken, quoteToken } = pairTokens;
+
+        // The gas token price is needed for the gas cost, quote it in the same batch
+        const [dexQuote, nativeTokenPrice] = await Promise.all([
+            this.getDexPrice(dex.name, network, baseToken, quoteToken, tradeAmount, blockNumber),
+            this.getNativeTokenPrice(network, quoteToken, blockNumber),
+        ]);
+        if (!dexQuote) return null;
+
+        // A quote that moves the pools this far is only attractive against the mid price
+        if (dexQuote.priceImpact > config.trading.maxPriceImpactPercentage) {
+            logger.debug({
+                pair,
+                dex: dex.name,
+                network,
+                midPrice: dexQuote.midPrice,
+                executionPrice: dexQuote.executionPrice,
+                priceImpact: dexQuote.priceImpact,
+            }, 'DEX price impact too high, skipping venue');
+            return null;
+        }
 
-        // Update the class property with current opportunities
-        this.opportunities = opportunities;
+        // The DEX leg can't be judged without knowing what its gas costs
+        const gasCost = await this.getGasCost(dex, network, quoteToken, dexQuote.route, blockNumber);
+        if (!gasCost) return null;
 
-        return opportunities;
+        return { pairTokens, dexQuote, gasCost, nativeTokenPrice };
     }
 
-    async getDexPrice(network, baseToken, quoteToken) {
-        try {
-            // Check if we have a cached price that's recent
-            const cacheKey = `dexPrice:${network}:${baseToken}-${quoteToken}`;
-            const cachedPrice = this.cache.get(cacheKey);
+    // Size both directions of one DEX venue against every configured CEX, each a new opportunity
+    async compareWithCexes(dex, network, pair, venue) {
+        const sides = cexRegistry.getEnabledAdapters()
+            .flatMap(cex => ['dexToCex', 'cexToDex'].map(direction => ({ cex, direction })));
+        const sized = await this.sizeSides(dex, network, pair, venue, sides);
+
+        const evaluated = sized.map(opportunity => ({ id: opportunityTracker.nextId(), ...opportunity }));
+        tradeJournal.recordOpportunities(evaluated);
 
-            if (cachedPrice) {
-                return cachedPrice;
+        return evaluated.filter(opportunity => opportunity.profitPercentage > 0);
+    }
+
+    /**
+     * Size some CEX and direction combinations of one DEX venue
+     *
+     * @param {Array} sides - [{ cex, direction }] cex being the adapter
+     * @returns {Array} Sized opportunities without IDs, the sides no size is feasible for left out
+     */
+    async sizeSides(dex, network, pair, { pairTokens, dexQuote, gasCost, nativeTokenPrice }, sides) {
+        const { baseToken, quoteToken } = pairTokens;
+        const candidates = sides.map(({ cex, direction }) => ({ direction, cex, dex, network, pair, baseToken, quoteToken, midPrice: dexQuote.midPrice, gasCost }));
+
+        // Every size is quoted at the scan's block along the reference quote's route, so the DEX
+        // curve matches the reference quote and costs one route quote per size, not a route search
+        const quoteDex = (tokenIn, tokenOut, amount) => this.getDexPrice(dex.name, network, tokenIn, tokenOut, amount, dexQuote.blockNumber, dexQuote.route);
+        const sized = await Promise.all(candidates.map(candidate => tradeSizer.size(candidate, quoteDex)));
+
+        // Keep feasible sizes, with the CEX pair, the route and block the DEX price was quoted
+        // at, how far the reference quote's execution price sits from the pools' mid price, and
+        // the gas token price the journal values gas paid at
+        const context = {
+            pair,
+            nativeTokenPrice,
+            dexRoute: dexQuote.route,
+            blockNumber: dexQuote.blockNumber,
+            dexMidPrice: dexQuote.midPrice,
+            dexExecutionPrice: dexQuote.executionPrice,
+            dexPriceImpact: dexQuote.priceImpact,
+        };
+
+        return sized.filter(Boolean).map(opportunity => ({ ...opportunity, ...context }));
+    }
+
+    /**
+     * Per-unit DEX price for selling an amount of the base token
+     *
+     * @param {Number} blockNumber - Block to quote at, the latest if not given
+     * @param {Object} route - Route of an earlier quote to price along, every route is searched if not given
+     * @returns {Object|null} { price, route, blockNumber, midPrice, executionPrice,
+     *   priceImpact }, null if no price is available
+     */
+    async getDexPrice(dexName, network, baseToken, quoteToken, amount = '1', blockNumber = null, route = null) {
+        try {
+            const block = blockNumber || await this.getLatestBlock(network);
+            const quotes = this.getBlockQuotes(network, block);
+            const routeKey = route ? `${route.description}:${route.fees.join()}` : 'best';
+            const cacheKey = `${dexName}:${baseToken}-${quoteToken}:${amount}:${routeKey}`;
+
+            // One request per quote and block, callers asking for the same quote while it is in flight share it
+            if (!quotes[cacheKey]) {
+                quotes[cacheKey] = this.fetchDexPrice(dexName, network, baseToken, quoteToken, amount, block, route)
+                    .catch(error => {
+                        delete quotes[cacheKey];
+                        throw error;
+                    });
             }
 
-            // Get fresh price
-            const price = await uniswap.getPrice(network, baseToken, quoteToken);
+            return await quotes[cacheKey];
+        } catch (error) {
+            logger.error({ error, dex: dexName, network, baseToken, quoteToken }, 'Failed to get DEX price');
+            return null;
+        }
+    }
+
+    // Quotes hold for the block they were taken at, the first request for a newer block drops them
+    getBlockQuotes(network, blockNumber) {
+        const cached = this.quoteCache[network];
+        if (!cached || blockNumber > cached.blockNumber) {
+            this.quoteCache[network] = { blockNumber, quotes: {} };
+            return this.quoteCache[network].quotes;
+        }
+
+        // A scan still pinned to an older block quotes uncached
+        return blockNumber === cached.blockNumber ? cached.quotes : {};
+    }
 
-            // Cache the result
-            this.cache.set(cacheKey, price);
+    // Fresh price: quote the full amount and express it per unit
+    async fetchDexPrice(dexName, network, baseToken, quoteToken, amount, blockNumber, route = null) {
+        const dex = dexRegistry.getAdapter(dexName);
+        const quote = await dex.getQuote(network, baseToken, quoteToken, amount, blockNumber, route);
 
-            return price;
+        return {
+            price: new BigNumber(quote.amountOut).dividedBy(amount).toString(),
+            route: quote.route,
+            blockNumber: quote.blockNumber,
+            midPrice: quote.midPrice,
+            executionPrice: quote.executionPrice,
+            priceImpact: quote.priceImpact,
+        };
+    }
+
+    /**
+     * Cost of the DEX swap in the quote currency: execution gas at the live
+     * base and priority fee plus any L1 data fee, priced with the gas token's
+     * DEX price on the same network
+     *
+     * @returns {String|null} Gas cost in the quote token, null if it can't be priced
+     */
+    async getGasCost(dex, network, quoteToken, route, blockNumber = null) {
+        try {
+            const gasUnits = dex.estimateGas(network, route);
+            const { totalFee } = await gasOracle.estimateSwapCost(network, gasUnits, route.symbols.length - 1);
+
+            const nativePrice = await this.getNativeTokenPrice(network, quoteToken, blockNumber);
+            if (!nativePrice) {
+                logger.debug({ network, quoteToken }, 'No gas token price, skipping DEX venue');
+                return null;
+            }
+
+            return new BigNumber(ethers.formatEther(totalFee)).multipliedBy(nativePrice).toString();
         } catch (error) {
-            logger.error({ error, network, baseToken, quoteToken }, 'Failed to get DEX price');
+            logger.error({ error, dex: dex.name, network }, 'Failed to estimate gas cost');
             return null;
         }
     }
 
-    calculateProfit(direction, network, baseToken, quoteToken, buyPrice, sellPrice) {
-        // Convert strings to BigNumber to handle calculations precisely
-        const buyPriceBN = new BigNumber(buyPrice);
-        const sellPriceBN = new BigNumber(sellPrice);
-
-        // Assume a standard trade amount (can be customized)
-        const tradeAmount = new BigNumber('1'); // Trading 1 of the base token
-
-        // Calculate costs and fees
-        let binanceFee, dexFee, gasCost;
-        if (direction === 'dexToCex') {
-            // Buy on DEX, sell on CEX
-            dexFee = tradeAmount.multipliedBy(this.fees.uniswap.fee);
-            binanceFee = tradeAmount.multipliedBy(sellPriceBN).multipliedBy(this.fees.binance.taker);
-            gasCost = new BigNumber(this.fees.gas[network] || 0.1);
-        } else {
-            // Buy on CEX, sell on DEX
-            binanceFee = tradeAmount.multipliedBy(this.fees.binance.taker);
-            dexFee = tradeAmount.multipliedBy(sellPriceBN).multipliedBy(this.fees.uniswap.fee);
-            gasCost = new BigNumber(this.fees.gas[network] || 0.1);
+    async getNativeTokenPrice(network, quoteToken, blockNumber = null) {
+        const nativeToken = config.networks[network].nativeToken;
+        if (nativeToken === quoteToken) {
+            return '1';
         }
 
-        // Calculate cost of buying
-        const costToBuy = direction === 'dexToCex'
-            ? tradeAmount.multipliedBy(buyPriceBN).plus(dexFee)
-            : tradeAmount.multipliedBy(buyPriceBN).plus(binanceFee);
+        for (const dex of dexRegistry.getAdaptersForNetwork(network)) {
+            const quote = await this.getDexPrice(dex.name, network, nativeToken, quoteToken, '1', blockNumber);
+            if (quote) {
+                return quote.price;
+            }
+        }
 
-        // Calculate revenue from selling
-        const revenueFromSell = direction === 'dexToCex'
-            ? tradeAmount.multipliedBy(sellPriceBN).minus(binanceFee)
-            : tradeAmount.multipliedBy(sellPriceBN).minus(dexFee);
+        return null;
+    }
 
-        // Calculate profit and adjust for gas cost
-        const profit = revenueFromSell.minus(costToBuy).minus(gasCost);
+    /**
+     * Execute a tracked opportunity on request, re-priced at the latest block first
+     *
+     * @returns {Object} { executed, record } record being the opportunity's lifecycle
+     * @throws {Error} code OPPORTUNITY_NOT_FOUND, OPPORTUNITY_NOT_EXECUTABLE if it
+     *   expired or was already approved, or EXECUTION_IN_PROGRESS while another
+     *   execution, scheduled or manual, is running
+     */
+    async executeById(id) {
+        const record = opportunityTracker.get(id);
+        if (!record) {
+            const error = new Error(`Opportunity ${id} not found`);
+            error.code = 'OPPORTUNITY_NOT_FOUND';
+            throw error;
+        }
 
-        // Calculate profit percentage
-        const profitPercentage = profit.dividedBy(costToBuy).multipliedBy(100).toNumber();
+        // One execution at a time, the same lock scheduled executions take
+        if (this.executing) {
+            const error = new Error('Another execution is in progress, try again once it finishes');
+            error.code = 'EXECUTION_IN_PROGRESS';
+            throw error;
+        }
 
-        return {
-            direction,
-            network,
-            baseToken,
-            quoteToken,
-            buyPrice: buyPriceBN.toString(),
-            sellPrice: sellPriceBN.toString(),
-            tradeAmount: tradeAmount.toString(),
-            estimatedProfit: profit.toString(),
-            profitPercentage,
-            timestamp: new Date().getTime(),
-        };
+        this.executing = true;
+        try {
+            return await this.executeRecord(id, record);
+        } finally {
+            this.executing = false;
+        }
+    }
+
+    // Approve a tracked opportunity and execute it at re-validated prices, failing it if they no longer hold
+    async executeRecord(id, record) {
+        opportunityTracker.approve(id, { by: 'manual' });
+
+        // Prices may have moved since detection, execute at the latest ones or not at all
+        let revalidated;
+        try {
+            revalidated = await this.revalidate(record.opportunity);
+        } catch (error) {
+            // An approved opportunity that never executes would stay approved forever
+            opportunityTracker.setStatus(id, opportunityTracker.STATUS.FAILED, { reason: 'REVALIDATION_ERROR', error: error.message });
+            logger.error({ error, id }, 'Failed to re-validate opportunity, not executed');
+            return { executed: false, record };
+        }
+
+        if (!revalidated) {
+            opportunityTracker.setStatus(id, opportunityTracker.STATUS.FAILED, { reason: 'REVALIDATION_FAILED' });
+            logger.warn({ id }, 'Opportunity no longer clears the minimum profit at the latest prices, not executed');
+            return { executed: false, record };
+        }
+
+        const executed = await this.executeApproved(opportunityTracker.reprice(id, revalidated));
+        return { executed, record };
+    }
+
+    // The same venue, CEX and direction sized again at the latest block, null if it no longer clears the minimum profit.
+    // Only that side is sized and nothing is recorded as a new opportunity, the result keeps the original ID
+    async revalidate({ dex, network, pair, cex, direction }) {
+        const dexAdapter = dexRegistry.getAdapter(dex);
+        const blockNumber = await this.getLatestBlock(network);
+        const venue = await this.quoteVenue(dexAdapter, network, pair, config.trading.tradeAmount, blockNumber);
+        if (!venue) return null;
+
+        const [revalidated] = await this.sizeSides(dexAdapter, network, pair, venue, [{ cex: cexRegistry.getAdapter(cex), direction }]);
+
+        if (!revalidated || revalidated.profitPercentage <= config.trading.minimumProfitPercentage) {
+            return null;
+        }
+        return revalidated;
+    }
+
+    // Execute an approved opportunity, following it to executed or failed
+    async executeApproved(opportunity) {
+        const { STATUS } = opportunityTracker;
+        opportunityTracker.setStatus(opportunity.id, STATUS.EXECUTING, {
+            blockNumber: opportunity.blockNumber,
+            profitPercentage: opportunity.profitPercentage,
+        });
+
+        const executed = await this.executeArbitrage(opportunity);
+
+        const execution = tradeRecovery.getExecutions().find(({ opportunity: executed }) => executed.id === opportunity.id);
+        opportunityTracker.setStatus(opportunity.id, executed ? STATUS.EXECUTED : STATUS.FAILED, execution ? {
+            executionId: execution.id,
+            executionStatus: execution.status,
+            error: execution.error || null,
+        } : {});
+        return executed;
     }
 
     async executeArbitrage(opportunity) {
+        let reservation = null;
+        let execution = null;
+
         try {
             logger.info({ opportunity }, 'Executing arbitrage opportunity');
 
-            const { direction, network, baseToken, quoteToken, tradeAmount } = opportunity;
-            const binanceSymbol = binance.getSymbolFromPair(`${baseToken}-${quoteToken}`);
-
-            if (direction === 'dexToCex') {
-                // Buy on DEX, sell on CEX
-
-                // 1. Execute buy on DEX
-                const buyResult = await uniswap.executeTrade(
-                    network,
-                    'buy',
-                    baseToken,
-                    quoteToken,
-                    tradeAmount,
-                    config.trading.maxSlippagePercentage
-                );
-
-                // 2. Wait for transaction to be mined
-                logger.info({ txHash: buyResult.txHash }, 'DEX buy transaction submitted, waiting for confirmation');
-
-                // 3. Sell on CEX
-                const sellResult = await binance.executeSell(
-                    binanceSymbol,
-                    tradeAmount
-                );
-
-                logger.info({
-                    direction,
-                    network,
-                    baseToken,
-                    quoteToken,
-                    dexTxHash: buyResult.txHash,
-                    cexOrderId: sellResult.orderId,
-                }, 'Arbitrage executed successfully: DEX to CEX');
-
-            } else {
-                // Buy on CEX, sell on DEX
-
-                // 1. Execute buy on CEX
-                const buyResult = await binance.executeBuy(
-                    binanceSymbol,
-                    binance.normalizeQuantity(binanceSymbol, tradeAmount)
-                );
-
-                // 2. Execute sell on DEX
-                const sellResult = await uniswap.executeTrade(
-                    network,
-                    'sell',
-                    baseToken,
-                    quoteToken,
-                    tradeAmount,
-                    config.trading.maxSlippagePercentage
-                );
-
-                logger.info({
-                    direction,
-                    network,
-                    baseToken,
-                    quoteToken,
-                    cexOrderId: buyResult.orderId,
-                    dexTxHash: sellResult.txHash,
-                }, 'Arbitrage executed successfully: CEX to DEX');
+            // baseToken/quoteToken are the DEX's tokens, the pair holds the CEX's assets for them
+            const { direction, network, pair, baseToken, quoteToken, tradeAmount, buyPrice, sellPrice } = opportunity;
+            const cex = cexRegistry.getAdapter(opportunity.cex);
+            const dex = dexRegistry.getAdapter(opportunity.dex);
+            const cexSymbol = cex.getSymbolFromPair(pair);
+
+            // dexToCex buys on the DEX with the sized quote amount and sells on the CEX,
+            // cexToDex buys on the CEX and sells the same base amount on the DEX
+            const [dexAction, dexAmount, cexSide, cexPrice] = direction === 'dexToCex'
+                ? ['buy', opportunity.dexAmountIn, 'SELL', sellPrice]
+                : ['sell', tradeAmount, 'BUY', buyPrice];
+
+            // Recorded before the checks, so attempts they stop are journaled too
+            execution = tradeRecovery.open(opportunity, {
+                dex: { action: dexAction, amount: dexAmount },
+                cex: { side: cexSide, quantity: tradeAmount, price: cexPrice },
+            });
+
+            // Every limit is checked before anything is reserved or sent
+            riskManager.check(opportunity, execution.id);
+
+            // Both legs trade out of inventory already on each side, reserved so concurrent trades can't count on it
+            reservation = inventory.reserve(this.getLegRequirements(opportunity));
+
+            // Wrapping and approvals confirm now that the trade passed the limits, never while the CEX leg is already out
+            await dex.wrapTrade(network, dexAction, baseToken, quoteToken, dexAmount);
+            await dex.approveTrade(network, dexAction, baseToken, quoteToken, dexAmount);
+
+            // The legs fire together, so make sure the DEX swap would go through before either does
+            const simulation = await dex.simulateTrade(network, dexAction, baseToken, quoteToken, dexAmount, config.trading.maxSlippagePercentage);
+            logger.debug({ dex: dex.name, network, ...simulation }, 'DEX swap simulated');
+
+            riskManager.ensureTrading(opportunity);
+            riskManager.recordTrade();
+
+            const [dexLeg, cexLeg] = await Promise.allSettled([
+                // Simulated again against the latest block before it is sent
+                dex.executeTrade(network, dexAction, baseToken, quoteToken, dexAmount, config.trading.maxSlippagePercentage),
+                // No worse than the expected price plus tolerance
+                cex.executeOrder(cexSymbol, cexSide, tradeAmount, cexPrice),
+            ]);
+            tradeRecovery.settle(execution, dexLeg, cexLeg);
+
+            if (execution.status === tradeRecovery.STATUS.FAILED) {
+                logger.warn({ id: execution.id, dexError: dexLeg.reason, cexError: cexLeg.reason }, 'Both arbitrage legs failed, no position taken');
+                await riskManager.recordResult(execution);
+                return false;
             }
 
+            // One leg left a position the other didn't offset, retry or unwind it
+            if (execution.status === tradeRecovery.STATUS.RECOVERING) {
+                await tradeRecovery.recover(execution);
+                await riskManager.recordResult(execution);
+                return false;
+            }
+
+            await riskManager.recordResult(execution);
+
+            const dexResult = dexLeg.value;
+            const cexResult = cexLeg.value;
+
+            logger.info({
+                id: execution.id,
+                direction,
+                cex: cex.name,
+                dex: dex.name,
+                network,
+                baseToken,
+                quoteToken,
+                dexTxHash: dexResult.txHash,
+                dexRoute: dexResult.route.description,
+                dexAmountOut: dexResult.amountOut,
+                dexEstimatedAmountOut: dexResult.estimatedAmountOut,
+                dexGasPaid: dexResult.gasPaid,
+                dexReplacements: dexResult.replacements,
+                cexOrderId: cexResult.orderId,
+                cexFill: cex.getOrderFills(cexResult.orderId),
+            }, `Arbitrage executed successfully: ${direction === 'dexToCex' ? 'DEX to CEX' : 'CEX to DEX'}`);
+
             return true;
         } catch (error) {
+            // Nothing was sent if the legs never settled
+            if (execution && execution.status === tradeRecovery.STATUS.EXECUTING) {
+                tradeRecovery.abort(execution, error);
+            }
+
+            if (error.code === 'RISK_REJECTED') {
+                logger.warn({
+                    reason: error.reason,
+                    details: error.details,
+                    message: error.message,
+                    opportunity,
+                }, 'Arbitrage rejected by risk limits');
+                return false;
+            }
+
+            if (error.code === 'INSUFFICIENT_INVENTORY') {
+                logger.warn({ ...error.details, opportunity }, 'Arbitrage skipped, not enough inventory for both legs');
+                return false;
+            }
+
+            if (error.code === 'SWAP_SIMULATION_FAILED') {
+                logger.warn({
+                    reason: error.reason,
+                    details: error.details,
+                    message: error.message,
+                    opportunity,
+                }, 'Arbitrage aborted, DEX swap simulation failed');
+                return false;
+            }
+
             logger.error({ error, opportunity }, 'Failed to execute arbitrage');
             return false;
+        } finally {
+            if (reservation) {
+                inventory.release(reservation);
+                await inventory.refreshVenues([opportunity.cex, opportunity.network]);
+            }
         }
     }
 
+    // What each leg spends: cexToDex pays the CEX's quote asset and sells the wallet's base token,
+    // dexToCex pays the wallet's quote token and sells the CEX's base asset
+    getLegRequirements({ direction, cex, network, pair, tradeAmount, buyPrice, dexAmountIn }) {
+        const [baseAsset, quoteAsset] = pair.split('-');
+
+        return direction === 'dexToCex'
+            ? [
+                { venue: network, asset: quoteAsset, amount: dexAmountIn },
+                { venue: cex, asset: baseAsset, amount: tradeAmount },
+            ]
+            : [
+                { venue: cex, asset: quoteAsset, amount: new BigNumber(tradeAmount).multipliedBy(buyPrice).toString() },
+                { venue: network, asset: baseAsset, amount: tradeAmount },
+            ];
+    }
+
     getArbitrageOpportunities() {
         return this.opportunities;
     }
@@ -0,0 +1,187 @@
+/**
+ * Inventory
+ *
+ * Per-asset balances held on each CEX and in the wallet on each network,
+ * in CEX assets (the wallet's WETH counts as ETH). Arbitrage legs trade out
+ * of this pre-positioned inventory: both legs of a trade reserve what they
+ * spend up front, so concurrent trades never count on the same balance.
+ * Wallet balances include gas token a swap would wrap, like the swaps do.
+ */
+const BigNumber = require('bignumber.js');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const tokens = require('../config/tokens');
+const assets = require('../config/assets');
+const cexRegistry = require('../exchange/cexRegistry');
+const dexRegistry = require('../dex/dexRegistry');
+const multicall = require('../dex/multicall');
+const nativeWrapper = require('../dex/nativeWrapper');
+
+const ERC20_BALANCE = new ethers.Interface([
+    'function balanceOf(address account) external view returns (uint256)'
+]);
+
+class Inventory {
+    constructor() {
+        // venue -> asset -> balance, venues being CEX names and network keys
+        this.balances = {};
+        // venue -> asset -> amount reserved by legs in flight
+        this.reserved = {};
+        this.updatedAt = {};
+        this.owner = null;
+        this.timer = null;
+    }
+
+    async start() {
+        this.owner = new ethers.Wallet(config.wallet.privateKey).address;
+        await this.refresh();
+
+        this.timer = setInterval(() => {
+            this.refresh().catch(error => logger.warn({ error }, 'Failed to refresh inventory'));
+        }, config.inventory.refreshMs);
+
+        logger.info({ balances: this.balances }, 'Inventory loaded');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // CEX assets of the configured pairs
+    getAssets() {
+        return [...new Set(config.trading.tradingPairs.flatMap(pair => pair.split('-')))];
+    }
+
+    getCexVenues() {
+        return cexRegistry.getEnabledAdapters().map(cex => cex.name);
+    }
+
+    getWalletVenues() {
+        return Object.keys(config.networks)
+            .filter(network => config.networks[network].provider && dexRegistry.getAdaptersForNetwork(network).length > 0);
+    }
+
+    getVenues() {
+        return [...this.getCexVenues(), ...this.getWalletVenues()];
+    }
+
+    isCex(venue) {
+        return this.getCexVenues().includes(venue);
+    }
+
+    // Venues an asset can be held on, wallets only where the asset has a listed token
+    getVenuesForAsset(asset) {
+        return this.getVenues().filter(venue => this.isCex(venue) || tokens.has(venue, assets.toToken(venue, asset)));
+    }
+
+    async refresh() {
+        await this.refreshVenues(this.getVenues());
+    }
+
+    async refreshVenues(venues) {
+        await Promise.all(venues.map(async venue => {
+            try {
+                this.balances[venue] = this.isCex(venue)
+                    ? await this.readCexBalances(cexRegistry.getAdapter(venue))
+                    : await this.readWalletBalances(venue);
+                this.updatedAt[venue] = new Date().getTime();
+            } catch (error) {
+                logger.warn({ error, venue }, 'Failed to read inventory balances, keeping the last known');
+            }
+        }));
+    }
+
+    async readCexBalances(cex) {
+        const balances = {};
+        for (const asset of this.getAssets()) {
+            balances[asset] = (await cex.getBalance(asset)).free;
+        }
+        return balances;
+    }
+
+    async readWalletBalances(network) {
+        const balances = {};
+
+        await Promise.all(this.getAssets().map(async asset => {
+            const token = assets.toToken(network, asset);
+            if (!tokens.has(network, token)) return;
+
+            const [balanceData, wrappable] = await Promise.all([
+                multicall.call(network, 'latest', tokens.getTokenAddress(network, token), ERC20_BALANCE.encodeFunctionData('balanceOf', [this.owner])),
+                nativeWrapper.getWrappable(network, this.owner, token),
+            ]);
+            if (!balanceData) {
+                throw new Error(`balanceOf() reverted for ${token} on ${network}`);
+            }
+
+            const [balance] = ERC20_BALANCE.decodeFunctionResult('balanceOf', balanceData);
+            balances[asset] = ethers.formatUnits(balance + wrappable, tokens.getTokenDecimals(network, token));
+        }));
+
+        return balances;
+    }
+
+    getBalance(venue, asset) {
+        return new BigNumber((this.balances[venue] && this.balances[venue][asset]) || 0);
+    }
+
+    getReserved(venue, asset) {
+        return new BigNumber((this.reserved[venue] && this.reserved[venue][asset]) || 0);
+    }
+
+    // What a new leg may spend: the balance less what legs in flight reserved
+    getAvailable(venue, asset) {
+        return BigNumber.maximum(this.getBalance(venue, asset).minus(this.getReserved(venue, asset)), 0);
+    }
+
+    /**
+     * Reserve what each leg of a trade spends, all or nothing
+     *
+     * @param {Array} requirements - [{ venue, asset, amount }]
+     * @returns {Array} The reservation, to hand back to release()
+     * @throws {Error} code INSUFFICIENT_INVENTORY if any venue falls short
+     */
+    reserve(requirements) {
+        for (const { venue, asset, amount } of requirements) {
+            const available = this.getAvailable(venue, asset);
+            if (available.isLessThan(amount)) {
+                const error = new Error(`Insufficient ${asset} inventory on ${venue}: have ${available.toString()}, need ${new BigNumber(amount).toString()}`);
+                error.code = 'INSUFFICIENT_INVENTORY';
+                error.details = { venue, asset, available: available.toString(), required: new BigNumber(amount).toString() };
+                throw error;
+            }
+        }
+
+        for (const { venue, asset, amount } of requirements) {
+            this.adjustReserved(venue, asset, new BigNumber(amount));
+        }
+        return requirements;
+    }
+
+    release(reservation) {
+        for (const { venue, asset, amount } of reservation) {
+            this.adjustReserved(venue, asset, new BigNumber(amount).negated());
+        }
+    }
+
+    adjustReserved(venue, asset, delta) {
+        if (!this.reserved[venue]) this.reserved[venue] = {};
+        this.reserved[venue][asset] = BigNumber.maximum(this.getReserved(venue, asset).plus(delta), 0).toString();
+    }
+
+    getStatus() {
+        const venues = {};
+        for (const venue of this.getVenues()) {
+            venues[venue] = {
+                balances: this.balances[venue] || {},
+                reserved: this.reserved[venue] || {},
+                updatedAt: this.updatedAt[venue] || null,
+            };
+        }
+        return venues;
+    }
+}
+
+module.exports = new Inventory();
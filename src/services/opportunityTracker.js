@@ -0,0 +1,146 @@
+/**
+ * Opportunity Tracker
+ *
+ * Gives every opportunity a scan sizes a unique ID, and follows the
+ * profitable ones through their lifecycle, keeping each transition:
+ *
+ *   detected -> approved | expired
+ *   approved -> executing | failed
+ *   executing -> executed | failed
+ *
+ * An opportunity can only be approved within its TTL of being detected,
+ * after that its prices are too old to trade on and it expires.
+ */
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const STATUS = {
+    DETECTED: 'detected',
+    APPROVED: 'approved',
+    EXECUTING: 'executing',
+    EXECUTED: 'executed',
+    FAILED: 'failed',
+    EXPIRED: 'expired',
+};
+
+const TRANSITIONS = {
+    [STATUS.DETECTED]: [STATUS.APPROVED, STATUS.EXPIRED],
+    [STATUS.APPROVED]: [STATUS.EXECUTING, STATUS.FAILED],
+    [STATUS.EXECUTING]: [STATUS.EXECUTED, STATUS.FAILED],
+    [STATUS.EXECUTED]: [],
+    [STATUS.FAILED]: [],
+    [STATUS.EXPIRED]: [],
+};
+
+class OpportunityTracker {
+    constructor() {
+        // id -> { id, status, opportunity, history, detectedAt, expiresAt }
+        this.records = {};
+        this.STATUS = STATUS;
+    }
+
+    nextId() {
+        return crypto.randomUUID();
+    }
+
+    // Start following a detected opportunity, it carries its ID and expiry from here on
+    track(opportunity) {
+        const now = new Date().getTime();
+        opportunity.expiresAt = now + config.opportunities.ttlMs;
+
+        this.records[opportunity.id] = {
+            id: opportunity.id,
+            status: STATUS.DETECTED,
+            opportunity,
+            history: [{ status: STATUS.DETECTED, at: now }],
+            detectedAt: now,
+            expiresAt: opportunity.expiresAt,
+        };
+        this.prune();
+    }
+
+    get(id) {
+        this.expireDue();
+        return this.records[id] || null;
+    }
+
+    isExecutable(id) {
+        const record = this.get(id);
+        return record !== null && record.status === STATUS.DETECTED;
+    }
+
+    /**
+     * Approve a detected opportunity for execution
+     *
+     * @returns {Object} The opportunity
+     * @throws {Error} code OPPORTUNITY_NOT_EXECUTABLE if it expired or was already approved
+     */
+    approve(id, details = {}) {
+        if (!this.isExecutable(id)) {
+            const status = this.records[id] ? this.records[id].status : null;
+            const error = new Error(`Opportunity ${id} is ${status || 'unknown'}, it can't be executed`);
+            error.code = 'OPPORTUNITY_NOT_EXECUTABLE';
+            error.details = { id, status };
+            throw error;
+        }
+
+        this.setStatus(id, STATUS.APPROVED, details);
+        return this.records[id].opportunity;
+    }
+
+    // Replace an approved opportunity's prices with re-validated ones, keeping its ID
+    reprice(id, opportunity) {
+        const record = this.records[id];
+        record.opportunity = { ...opportunity, id, expiresAt: record.expiresAt };
+        return record.opportunity;
+    }
+
+    setStatus(id, status, details = {}) {
+        const record = this.records[id];
+        if (!record || !TRANSITIONS[record.status].includes(status)) return false;
+
+        record.status = status;
+        record.history.push({ status, at: new Date().getTime(), ...details });
+        return true;
+    }
+
+    // Detected opportunities past their TTL expire, at the time they did
+    expireDue() {
+        const now = new Date().getTime();
+        for (const record of Object.values(this.records)) {
+            if (record.status === STATUS.DETECTED && record.expiresAt <= now) {
+                record.status = STATUS.EXPIRED;
+                record.history.push({ status: STATUS.EXPIRED, at: record.expiresAt });
+            }
+        }
+    }
+
+    /**
+     * Tracked opportunities newest first
+     *
+     * @param {Object} filters - { status, pair, limit }
+     */
+    list({ status, pair, limit = 100 } = {}) {
+        this.expireDue();
+        return Object.values(this.records)
+            .filter(record => !status || record.status === status)
+            .filter(record => !pair || record.opportunity.pair === pair)
+            .sort((a, b) => b.detectedAt - a.detectedAt)
+            .slice(0, limit);
+    }
+
+    // Drop the oldest records past the history size, those being executed are always kept
+    prune() {
+        const excess = Object.keys(this.records).length - config.opportunities.historySize;
+        if (excess <= 0) return;
+
+        this.expireDue();
+        Object.values(this.records)
+            .filter(record => ![STATUS.APPROVED, STATUS.EXECUTING].includes(record.status))
+            .sort((a, b) => a.detectedAt - b.detectedAt)
+            .slice(0, excess)
+            .forEach(record => delete this.records[record.id]);
+    }
+}
+
+module.exports = new OpportunityTracker();
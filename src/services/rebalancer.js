@@ -0,0 +1,264 @@
+/**
+ * Rebalancer
+ *
+ * Watches how each asset's inventory is spread across the CEXs and the
+ * network wallets. Once a venue's share drifts past its band, plans the
+ * deposits and withdrawals that bring every venue back to its target share,
+ * and either logs them for approval or carries them out, depending on the
+ * configured mode.
+ *
+ * Wallets only move funds through a CEX: a wallet in surplus deposits to
+ * the CEX, and the next run withdraws to the wallet short of the asset.
+ * While a transfer is in transit the asset is left alone, its balances
+ * don't add up until the destination is credited.
+ */
+const BigNumber = require('bignumber.js');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const tokens = require('../config/tokens');
+const assets = require('../config/assets');
+const cexRegistry = require('../exchange/cexRegistry');
+const nativeWrapper = require('../dex/nativeWrapper');
+const transactionManager = require('../dex/transactionManager');
+const inventory = require('./inventory');
+const riskManager = require('./riskManager');
+
+const ERC20_TRANSFER_ABI = [
+    'function transfer(address to, uint256 amount) external returns (bool)'
+];
+
+// Transfer amounts are rounded down to what CEXs accept
+const TRANSFER_DECIMALS = 8;
+
+class Rebalancer {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+        this.pending = [];
+        this.lastPlan = null;
+    }
+
+    start() {
+        if (config.inventory.rebalance.mode === 'off') return;
+
+        this.timer = setInterval(() => {
+            this.run().catch(error => logger.error({ error }, 'Error rebalancing inventory'));
+        }, config.inventory.rebalance.intervalMs);
+
+        logger.info({ mode: config.inventory.rebalance.mode }, 'Rebalancer started');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Plan the transfers that restore the bands and carry them out if asked
+     *
+     * @param {Boolean} execute - Send the transfers, defaults to the configured mode
+     * @returns {Array} [{ transfer, status, error }], status 'proposed', 'sent' or 'failed'
+     */
+    async run(execute = config.inventory.rebalance.mode === 'execute') {
+        if (this.running) return [];
+        this.running = true;
+
+        try {
+            await inventory.refresh();
+            this.settlePending();
+
+            const transfers = this.plan();
+            this.lastPlan = { transfers, plannedAt: new Date().getTime() };
+            if (transfers.length === 0) return [];
+
+            // Nothing moves while trading is halted, the plan is only proposed
+            if (!execute || riskManager.isHalted()) {
+                logger.info({ transfers, halted: riskManager.isHalted() }, 'Inventory drifted past its bands, rebalancing proposed');
+                return transfers.map(transfer => ({ transfer, status: 'proposed' }));
+            }
+
+            const results = [];
+            for (const transfer of transfers) {
+                results.push(await this.send(transfer));
+            }
+            return results;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Transfers that bring every venue of a drifted asset back to its
+     * target share, largest surplus to largest shortfall
+     *
+     * @returns {Array} [{ type, asset, from, to, network, amount, destination }],
+     *   type 'withdrawal' from a CEX or 'deposit' from a wallet
+     */
+    plan() {
+        const transfers = [];
+        const band = config.inventory.rebalance.bandPercentage / 100;
+
+        for (const asset of inventory.getAssets()) {
+            if (this.pending.some(transfer => transfer.asset === asset)) continue;
+
+            const targets = this.getTargets(asset);
+            const venues = Object.keys(targets);
+            if (venues.length < 2) continue;
+
+            const total = venues.reduce((sum, venue) => sum.plus(inventory.getBalance(venue, asset)), new BigNumber(0));
+            if (total.isZero()) continue;
+
+            const positions = venues.map(venue => {
+                const balance = inventory.getBalance(venue, asset);
+                return {
+                    venue,
+                    share: balance.dividedBy(total).toNumber(),
+                    target: targets[venue],
+                    excess: balance.minus(total.multipliedBy(targets[venue])),
+                    // Balance reserved by trades in flight is not moved
+                    available: inventory.getAvailable(venue, asset),
+                };
+            });
+            if (!positions.some(position => Math.abs(position.share - position.target) > band)) continue;
+
+            const surpluses = positions.filter(position => position.excess.isGreaterThan(0)).sort((a, b) => b.excess.comparedTo(a.excess));
+            const shortfalls = positions.filter(position => position.excess.isLessThan(0)).sort((a, b) => a.excess.comparedTo(b.excess));
+
+            for (const shortfall of shortfalls) {
+                let needed = shortfall.excess.negated();
+                for (const surplus of surpluses) {
+                    const amount = BigNumber.minimum(needed, surplus.excess, surplus.available)
+                        .decimalPlaces(TRANSFER_DECIMALS, BigNumber.ROUND_DOWN);
+                    if (amount.isLessThanOrEqualTo(0)) continue;
+
+                    const transfer = this.toTransfer(asset, surplus.venue, shortfall.venue, amount.toString());
+                    if (!transfer) continue;
+
+                    transfers.push(transfer);
+                    surplus.excess = surplus.excess.minus(amount);
+                    surplus.available = surplus.available.minus(amount);
+                    needed = needed.minus(amount);
+                }
+            }
+        }
+
+        return transfers;
+    }
+
+    // Target share of each venue an asset is balanced across, summing to 1
+    getTargets(asset) {
+        const venues = inventory.getVenuesForAsset(asset);
+        const configured = config.inventory.rebalance.targets[asset];
+
+        const weights = configured
+            ? Object.fromEntries(Object.entries(configured).filter(([venue]) => venues.includes(venue)))
+            : Object.fromEntries(venues.map(venue => [venue, 1]));
+
+        const sum = Object.values(weights).reduce((total, weight) => total + weight, 0);
+        if (sum <= 0) return {};
+        return Object.fromEntries(Object.entries(weights).map(([venue, weight]) => [venue, weight / sum]));
+    }
+
+    toTransfer(asset, from, to, amount) {
+        const fromCex = inventory.isCex(from);
+        const toCex = inventory.isCex(to);
+
+        if (fromCex) {
+            // CEX to CEX goes over the first network the asset has a token on
+            const network = toCex ? inventory.getVenuesForAsset(asset).find(venue => !inventory.isCex(venue)) : to;
+            if (!network) return null;
+            return { type: 'withdrawal', asset, from, to, network, amount, destination: to };
+        }
+
+        if (toCex) {
+            return { type: 'deposit', asset, from, to, network: from, amount, destination: to };
+        }
+
+        // Wallet to wallet goes through a CEX
+        const hub = inventory.getCexVenues()[0];
+        if (!hub) return null;
+        return { type: 'deposit', asset, from, to: hub, network: from, amount, destination: to };
+    }
+
+    async send(transfer) {
+        try {
+            const reference = transfer.type === 'withdrawal'
+                ? await this.withdraw(transfer)
+                : await this.deposit(transfer);
+
+            this.pending.push({
+                ...transfer,
+                reference,
+                destinationBalance: inventory.getBalance(transfer.to, transfer.asset).toString(),
+                sentAt: new Date().getTime(),
+            });
+            logger.info({ ...transfer, reference }, 'Rebalancing transfer sent');
+            return { transfer, status: 'sent', reference };
+        } catch (error) {
+            logger.error({ error, transfer }, 'Rebalancing transfer failed');
+            return { transfer, status: 'failed', error: error.message };
+        }
+    }
+
+    // Withdraw from a CEX to the wallet or to another CEX's deposit address
+    async withdraw({ asset, from, to, network, amount }) {
+        const address = inventory.isCex(to)
+            ? await cexRegistry.getAdapter(to).getDepositAddress(asset, network)
+            : inventory.owner;
+
+        const { id } = await cexRegistry.getAdapter(from).withdraw(asset, network, address, amount);
+        return id;
+    }
+
+    // Send from the wallet to a CEX deposit address
+    async deposit({ asset, to, network, amount }) {
+        const address = await cexRegistry.getAdapter(to).getDepositAddress(asset, network);
+        const signer = new ethers.Wallet(config.wallet.privateKey, config.networks[network].provider);
+        let txRequest;
+
+        if (assets.isNativeAsset(network, asset)) {
+            // CEXs credit the gas token itself, unwrap what the native balance lacks
+            const value = ethers.parseEther(amount);
+            const native = await config.networks[network].provider.getBalance(signer.address) - ethers.parseEther(config.trading.nativeGasReserve);
+            if (native < value) {
+                await nativeWrapper.unwrap(network, signer, value - (native > 0n ? native : 0n));
+            }
+            txRequest = { to: address, value };
+        } else {
+            const token = assets.toToken(network, asset);
+            const contract = new ethers.Contract(tokens.getTokenAddress(network, token), ERC20_TRANSFER_ABI, signer);
+            txRequest = await contract.transfer.populateTransaction(address, ethers.parseUnits(amount, tokens.getTokenDecimals(network, token)));
+        }
+
+        const { receipt } = await transactionManager.waitForConfirmation(await transactionManager.send(network, signer, txRequest));
+        return receipt.hash;
+    }
+
+    // Drop transfers whose destination was credited, or that have been in transit too long
+    settlePending() {
+        const now = new Date().getTime();
+
+        this.pending = this.pending.filter(transfer => {
+            if (inventory.getBalance(transfer.to, transfer.asset).isGreaterThan(transfer.destinationBalance)) {
+                logger.info({ ...transfer }, 'Rebalancing transfer settled');
+                return false;
+            }
+            if (now - transfer.sentAt > config.inventory.rebalance.transferTimeoutMs) {
+                logger.warn({ ...transfer }, 'Rebalancing transfer not credited in time, no longer waiting for it');
+                return false;
+            }
+            return true;
+        });
+    }
+
+    getStatus() {
+        return {
+            mode: config.inventory.rebalance.mode,
+            pending: this.pending,
+            lastPlan: this.lastPlan,
+        };
+    }
+}
+
+module.exports = new Rebalancer();
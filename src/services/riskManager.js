@@ -0,0 +1,316 @@
+/**
+ * Risk Manager
+ *
+ * Every execution passes through here before anything is reserved or sent.
+ * A trade is rejected, with a reason code, when it is larger than the
+ * per-trade notional limit, would take its pair's open notional or an
+ * asset's open exposure past its limit, comes too soon after too many others, or when the day's
+ * realized loss has reached its limit.
+ *
+ * Trading halts altogether when the kill switch is pulled or too many
+ * executions fail in a row; queued scans are dropped and nothing trades
+ * or rebalances until the halt is lifted through the API. The kill switch
+ * also cancels the bot's transactions still pending on-chain.
+ */
+const BigNumber = require('bignumber.js');
+const logger = require('../utils/logger');
+const alerts = require('../utils/alerts');
+const config = require('../config/config');
+const scanScheduler = require('./scanScheduler');
+const tradeRecovery = require('./tradeRecovery');
+const tradeJournal = require('./tradeJournal');
+const transactionManager = require('../dex/transactionManager');
+
+const REASONS = {
+    KILL_SWITCH: 'KILL_SWITCH',
+    CIRCUIT_BREAKER: 'CIRCUIT_BREAKER',
+    TRADE_NOTIONAL: 'TRADE_NOTIONAL',
+    PAIR_NOTIONAL: 'PAIR_NOTIONAL',
+    ASSET_EXPOSURE: 'ASSET_EXPOSURE',
+    TRADE_RATE: 'TRADE_RATE',
+    DAILY_LOSS: 'DAILY_LOSS',
+};
+
+const TRADE_RATE_WINDOW_MS = 60000;
+
+class RiskManager {
+    constructor() {
+        // { reason, note, at } while trading is halted
+        this.halt = null;
+        this.consecutiveFailures = 0;
+        // Times trades fired their legs, over the last minute
+        this.trades = [];
+        this.rejections = [];
+        this.rejectionCounts = {};
+        this.REASONS = REASONS;
+    }
+
+    /**
+     * @param {String} reason - One of REASONS
+     * @param {String} message - Human readable description
+     * @param {Object} details - The limit and the value that broke it
+     */
+    rejection(reason, message, details = {}) {
+        const error = new Error(message);
+        error.code = 'RISK_REJECTED';
+        error.reason = reason;
+        error.details = details;
+        return error;
+    }
+
+    /**
+     * Check an opportunity against every limit
+     *
+     * @param {String} executionId - The execution being checked, left out of the in-flight exposure
+     * @throws Rejection with a reason code, see REASONS
+     */
+    check(opportunity, executionId = null) {
+        this.guard(opportunity, () => {
+            this.checkHalt();
+            this.checkNotional(opportunity, executionId);
+            this.checkExposure(opportunity, executionId);
+            this.checkTradeRate();
+            this.checkDailyLoss();
+        });
+    }
+
+    // Checked again right before the legs fire, trading may have halted since
+    ensureTrading(opportunity) {
+        this.guard(opportunity, () => this.checkHalt());
+    }
+
+    // Keep a record of every rejection
+    guard(opportunity, checks) {
+        try {
+            checks();
+        } catch (error) {
+            if (error.code === 'RISK_REJECTED') this.recordRejection(error, opportunity);
+            throw error;
+        }
+    }
+
+    checkHalt() {
+        if (this.halt) {
+            throw this.rejection(this.halt.reason, `Trading halted: ${this.halt.note || this.halt.reason}`, { ...this.halt });
+        }
+    }
+
+    // The pair's limit holds for the trade on top of what the pair's trades in flight and unclosed positions already hold
+    checkNotional({ pair, notional }, executionId) {
+        const limit = config.risk.maxTradeNotional;
+        if (new BigNumber(notional).isGreaterThan(limit)) {
+            throw this.rejection(REASONS.TRADE_NOTIONAL, `Trade notional ${notional} exceeds the ${limit} limit`, { notional, limit });
+        }
+
+        const pairLimit = config.risk.pairMaxNotional[pair];
+        if (pairLimit === undefined) return;
+
+        const open = this.getPairNotional(executionId)[pair] || new BigNumber(0);
+        const total = open.plus(notional);
+        if (total.isGreaterThan(pairLimit)) {
+            throw this.rejection(REASONS.PAIR_NOTIONAL, `${pair} notional would reach ${total.toString()}, over the ${pairLimit} limit`, {
+                pair,
+                openNotional: open.toString(),
+                notional,
+                limit: pairLimit,
+            });
+        }
+    }
+
+    /**
+     * Quote asset at risk per pair: the notional of every trade whose legs
+     * haven't settled, and unhedged positions at the price closing them was expected at
+     *
+     * @returns {Object} pair -> BigNumber notional
+     */
+    getPairNotional(excludeId = null) {
+        const notional = {};
+        const add = (pair, value) => {
+            notional[pair] = (notional[pair] || new BigNumber(0)).plus(value);
+        };
+
+        for (const execution of tradeRecovery.getExecutions()) {
+            if (execution.id === excludeId) continue;
+
+            const { pair } = execution.opportunity;
+            if ([tradeRecovery.STATUS.EXECUTING, tradeRecovery.STATUS.RECOVERING].includes(execution.status)) {
+                add(pair, execution.opportunity.notional);
+            } else if (execution.status === tradeRecovery.STATUS.UNHEDGED) {
+                add(pair, new BigNumber(execution.exposure.quantity).multipliedBy(execution.exposure.expectedPrice));
+            }
+        }
+
+        return notional;
+    }
+
+    // The trade's base amount on top of what trades in flight and unclosed positions already hold
+    checkExposure({ pair, tradeAmount }, executionId) {
+        const asset = pair.split('-')[0];
+        const limit = config.risk.maxExposure[asset];
+        if (limit === undefined) return;
+
+        const exposure = this.getExposure(executionId)[asset] || new BigNumber(0);
+        const total = exposure.plus(tradeAmount);
+        if (total.isGreaterThan(limit)) {
+            throw this.rejection(REASONS.ASSET_EXPOSURE, `${asset} exposure would reach ${total.toString()}, over the ${limit} limit`, {
+                asset,
+                exposure: exposure.toString(),
+                tradeAmount,
+                limit,
+            });
+        }
+    }
+
+    /**
+     * Base asset at risk per asset: the full amount of every trade whose legs
+     * haven't settled, and what unhedged positions left open
+     *
+     * @returns {Object} asset -> BigNumber quantity
+     */
+    getExposure(excludeId = null) {
+        const exposure = {};
+        const add = (asset, quantity) => {
+            exposure[asset] = (exposure[asset] || new BigNumber(0)).plus(quantity);
+        };
+
+        for (const execution of tradeRecovery.getExecutions()) {
+            if (execution.id === excludeId) continue;
+
+            const asset = execution.opportunity.pair.split('-')[0];
+            if ([tradeRecovery.STATUS.EXECUTING, tradeRecovery.STATUS.RECOVERING].includes(execution.status)) {
+                add(asset, execution.opportunity.tradeAmount);
+            } else if (execution.status === tradeRecovery.STATUS.UNHEDGED) {
+                add(asset, execution.exposure.quantity);
+            }
+        }
+
+        return exposure;
+    }
+
+    checkTradeRate() {
+        const since = new Date().getTime() - TRADE_RATE_WINDOW_MS;
+        this.trades = this.trades.filter(at => at > since);
+
+        if (this.trades.length >= config.risk.maxTradesPerMinute) {
+            throw this.rejection(REASONS.TRADE_RATE, `${this.trades.length} trades in the last minute, the limit is ${config.risk.maxTradesPerMinute}`, {
+                trades: this.trades.length,
+                limit: config.risk.maxTradesPerMinute,
+            });
+        }
+    }
+
+    // Realized PnL since UTC midnight, from the journal so it holds across restarts
+    checkDailyLoss() {
+        const { realizedPnl } = this.getDailyPnl();
+        const limit = config.risk.dailyLossLimit;
+
+        if (new BigNumber(realizedPnl).isLessThanOrEqualTo(-limit)) {
+            throw this.rejection(REASONS.DAILY_LOSS, `Realized loss today of ${new BigNumber(realizedPnl).negated().toString()} reached the ${limit} limit`, {
+                realizedPnl,
+                limit,
+            });
+        }
+    }
+
+    getDailyPnl() {
+        const midnight = new Date();
+        midnight.setUTCHours(0, 0, 0, 0);
+        return tradeJournal.getPnl({ from: midnight.getTime() }).total;
+    }
+
+    // A trade is firing its legs, it counts toward the trade rate
+    recordTrade() {
+        this.trades.push(new Date().getTime());
+    }
+
+    // Count executions that lost or failed in a row, tripping the circuit breaker at the limit
+    async recordResult(execution) {
+        const { STATUS } = tradeRecovery;
+
+        if ([STATUS.COMPLETED, STATUS.HEDGED].includes(execution.status)) {
+            this.consecutiveFailures = 0;
+            return;
+        }
+        if (![STATUS.FAILED, STATUS.UNWOUND, STATUS.UNHEDGED].includes(execution.status)) return;
+
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures < config.risk.maxConsecutiveFailures || this.halt) return;
+
+        this.stop(REASONS.CIRCUIT_BREAKER, `${this.consecutiveFailures} executions failed in a row`);
+        await alerts.send('circuit_breaker_tripped', 'Trading halted after consecutive failed executions', {
+            failures: this.consecutiveFailures,
+            lastExecution: execution.id,
+        });
+    }
+
+    recordRejection(error, opportunity) {
+        const rejection = {
+            reason: error.reason,
+            message: error.message,
+            details: error.details,
+            pair: opportunity.pair,
+            cex: opportunity.cex,
+            dex: opportunity.dex,
+            network: opportunity.network,
+            at: new Date().getTime(),
+        };
+
+        this.rejections.push(rejection);
+        this.rejections = this.rejections.slice(-config.risk.historySize);
+        this.rejectionCounts[error.reason] = (this.rejectionCounts[error.reason] || 0) + 1;
+    }
+
+    // Pull the kill switch, returns what cancelling pending transactions did, see transactionManager.cancelPending
+    async kill(note = null) {
+        this.stop(REASONS.KILL_SWITCH, note);
+
+        const cancellation = await transactionManager.cancelPending('kill switch');
+        if (cancellation.failed > 0) {
+            logger.error(cancellation, 'Kill switch failed to cancel some pending transactions');
+        } else if (cancellation.cancelled > 0) {
+            logger.warn(cancellation, 'Pending transactions cancelled by the kill switch');
+        }
+        return cancellation;
+    }
+
+    stop(reason, note = null) {
+        this.halt = { reason, note, at: new Date().getTime() };
+        scanScheduler.pause();
+        logger.warn({ reason, note }, 'Trading halted');
+    }
+
+    // Lift a kill switch or tripped circuit breaker
+    resume() {
+        if (!this.halt) return false;
+
+        logger.info({ halt: this.halt }, 'Trading resumed');
+        this.halt = null;
+        this.consecutiveFailures = 0;
+        scanScheduler.resume();
+        return true;
+    }
+
+    isHalted() {
+        return this.halt !== null;
+    }
+
+    getStatus() {
+        const since = new Date().getTime() - TRADE_RATE_WINDOW_MS;
+        const exposure = Object.fromEntries(Object.entries(this.getExposure()).map(([asset, quantity]) => [asset, quantity.toString()]));
+        const pairNotional = Object.fromEntries(Object.entries(this.getPairNotional()).map(([pair, notional]) => [pair, notional.toString()]));
+
+        return {
+            halt: this.halt,
+            consecutiveFailures: this.consecutiveFailures,
+            tradesLastMinute: this.trades.filter(at => at > since).length,
+            exposure,
+            pairNotional,
+            dailyPnl: this.getDailyPnl(),
+            limits: config.risk,
+            rejectionCounts: this.rejectionCounts,
+            rejections: this.rejections,
+        };
+    }
+}
+
+module.exports = new RiskManager();
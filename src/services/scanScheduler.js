@@ -0,0 +1,172 @@
+/**
+ * Scan Scheduler
+ *
+ * Re-evaluates a pair when something that prices it changes instead of on
+ * a fixed interval: a CEX ticker move re-scans the pair on every network,
+ * a new block re-scans every pair on that network. Triggers arriving within
+ * the debounce window are merged into one scan, and a pair never has two
+ * scans in flight; whatever triggers it mid-scan runs once afterwards.
+ * While paused, triggers are dropped and nothing is scanned.
+ */
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const cexRegistry = require('../exchange/cexRegistry');
+
+class ScanScheduler {
+    constructor() {
+        this.scan = null;
+        // pair -> { networks, reasons, timer, running, scans, lastScanAt }
+        this.pairs = {};
+        this.latestBlocks = {};
+        this.subscriptions = [];
+        this.paused = false;
+    }
+
+    /**
+     * Subscribe to CEX ticker moves and new blocks
+     *
+     * @param {Function} scan - async (pair, networks, reasons) => void, networks
+     *   being the network keys to quote the pair on
+     */
+    async start(scan) {
+        this.scan = scan;
+
+        for (const cex of cexRegistry.getEnabledAdapters()) {
+            const pairsBySymbol = {};
+            for (const pair of config.trading.tradingPairs) {
+                pairsBySymbol[cex.getSymbolFromPair(pair)] = pair;
+            }
+
+            const listener = symbol => {
+                if (pairsBySymbol[symbol]) {
+                    this.trigger(pairsBySymbol[symbol], this.getNetworks(), `ticker:${cex.name}`);
+                }
+            };
+            cex.on('ticker', listener);
+            this.subscriptions.push({ emitter: cex, event: 'ticker', listener });
+        }
+
+        for (const network of this.getNetworks()) {
+            const provider = config.networks[network].provider;
+
+            try {
+                this.latestBlocks[network] = await provider.getBlockNumber();
+            } catch (error) {
+                logger.warn({ error, network }, 'Failed to get block number, waiting for the next block');
+            }
+
+            const listener = blockNumber => {
+                // Providers can replay a block after a reconnect
+                if (this.latestBlocks[network] && blockNumber <= this.latestBlocks[network]) return;
+
+                this.latestBlocks[network] = blockNumber;
+                for (const pair of config.trading.tradingPairs) {
+                    this.trigger(pair, [network], `block:${network}`);
+                }
+            };
+            provider.on('block', listener);
+            this.subscriptions.push({ emitter: provider, event: 'block', listener });
+        }
+
+        logger.info({ pairs: config.trading.tradingPairs, networks: this.getNetworks() }, 'Scan scheduler started');
+    }
+
+    async stop() {
+        this.scan = null;
+        for (const { emitter, event, listener } of this.subscriptions) {
+            await emitter.off(event, listener);
+        }
+        this.subscriptions = [];
+        this.cancelPending();
+    }
+
+    // Drop queued scans and ignore triggers until resumed, scans in flight finish
+    pause() {
+        this.paused = true;
+        this.cancelPending();
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    cancelPending() {
+        for (const state of Object.values(this.pairs)) {
+            clearTimeout(state.timer);
+            state.timer = null;
+            state.networks.clear();
+            state.reasons.clear();
+        }
+    }
+
+    getNetworks() {
+        return Object.keys(config.networks).filter(network => config.networks[network].provider);
+    }
+
+    // Latest block seen on a network, null before the first one
+    getLatestBlock(network) {
+        return this.latestBlocks[network] || null;
+    }
+
+    /**
+     * Ask for a scan of a pair on some networks. The scan starts once the
+     * debounce window passes, or after the scan in flight finishes.
+     */
+    trigger(pair, networks, reason) {
+        if (this.paused) return;
+
+        if (!this.pairs[pair]) {
+            this.pairs[pair] = { networks: new Set(), reasons: new Set(), timer: null, running: false, scans: 0, lastScanAt: null };
+        }
+        const state = this.pairs[pair];
+
+        networks.forEach(network => state.networks.add(network));
+        state.reasons.add(reason);
+
+        if (!state.running && !state.timer) {
+            state.timer = setTimeout(() => this.run(pair), config.trading.scanDebounceMs);
+        }
+    }
+
+    async run(pair) {
+        const state = this.pairs[pair];
+        state.timer = null;
+        if (!this.scan || state.networks.size === 0) return;
+
+        const networks = [...state.networks];
+        const reasons = [...state.reasons];
+        state.networks.clear();
+        state.reasons.clear();
+        state.running = true;
+
+        try {
+            await this.scan(pair, networks, reasons);
+        } catch (error) {
+            logger.error({ error, pair, networks, reasons }, 'Error scanning pair');
+        } finally {
+            state.running = false;
+            state.scans++;
+            state.lastScanAt = new Date().getTime();
+
+            // Triggers that arrived mid-scan get one follow-up scan
+            if (state.networks.size > 0 && this.scan) {
+                state.timer = setTimeout(() => this.run(pair), config.trading.scanDebounceMs);
+            }
+        }
+    }
+
+    getStatus() {
+        const pairs = {};
+        for (const [pair, state] of Object.entries(this.pairs)) {
+            pairs[pair] = {
+                running: state.running,
+                pending: [...state.networks],
+                scans: state.scans,
+                lastScanAt: state.lastScanAt,
+            };
+        }
+        return { paused: this.paused, latestBlocks: this.latestBlocks, pairs };
+    }
+}
+
+module.exports = new ScanScheduler();
@@ -0,0 +1,313 @@
+/**
+ * Trade Journal
+ *
+ * Append-only JSONL record of what the bot evaluated and did, kept across
+ * restarts. Opportunities go to one file per UTC day, executions to a
+ * single file that gets a snapshot on every status change; on load the
+ * latest snapshot of each execution wins.
+ *
+ * Realized PnL is accounted from the fills of both legs and any recovery
+ * trades, in the pair's quote asset: quote received less quote paid, less
+ * CEX commissions and DEX gas, with any base left over valued at the
+ * trade's CEX price. Totals sum pairs' quote assets at par, which holds for
+ * stablecoin-quoted pairs.
+ */
+const fs = require('fs');
+const path = require('path');
+const BigNumber = require('bignumber.js');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const cexRegistry = require('../exchange/cexRegistry');
+
+// Statuses after which an execution's fills no longer change, aborted ones never traded
+const SETTLED = ['completed', 'failed', 'hedged', 'unwound', 'unhedged', 'resolved'];
+
+// Opportunity files are read backwards in chunks this size, they grow too large to load whole
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+class TradeJournal {
+    constructor() {
+        // id -> latest execution snapshot
+        this.executions = {};
+        this.writing = Promise.resolve();
+        // Files appended to since start, known to end on a complete line
+        this.appended = new Set();
+    }
+
+    getExecutionsFile() {
+        return path.join(config.journal.dir, 'executions.jsonl');
+    }
+
+    getOpportunitiesFile(day) {
+        return path.join(config.journal.dir, `opportunities-${day}.jsonl`);
+    }
+
+    // Replay the executions file, a missing one is an empty journal
+    load() {
+        let lines = [];
+        try {
+            lines = fs.readFileSync(this.getExecutionsFile(), 'utf8').split('\n').filter(Boolean);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn({ error, file: this.getExecutionsFile() }, 'Failed to read trade journal');
+            }
+        }
+
+        for (const line of lines) {
+            try {
+                const execution = JSON.parse(line);
+                this.executions[execution.id] = execution;
+            } catch (error) {
+                // A crash mid-write leaves a torn line, writes after the restart start past it on a fresh one
+                logger.warn({ file: this.getExecutionsFile() }, 'Skipping unreadable trade journal line');
+            }
+        }
+
+        logger.info({ executions: Object.keys(this.executions).length }, 'Trade journal loaded');
+    }
+
+    // Opportunities a scan sized, profitable or not
+    recordOpportunities(opportunities) {
+        if (!config.journal.recordOpportunities || opportunities.length === 0) return;
+
+        const recordedAt = new Date().getTime();
+        const lines = opportunities.map(({ profitCurve, ...opportunity }) => JSON.stringify({ ...opportunity, recordedAt }));
+        this.append(this.getOpportunitiesFile(this.toDay(recordedAt)), lines);
+    }
+
+    // Snapshot an execution, with its realized PnL once its fills are final
+    recordExecution(execution) {
+        const { profitCurve, ...opportunity } = execution.opportunity;
+        const snapshot = {
+            ...execution,
+            opportunity,
+            pnl: SETTLED.includes(execution.status) ? this.computePnl(execution) : null,
+        };
+
+        this.executions[snapshot.id] = snapshot;
+        this.append(this.getExecutionsFile(), [JSON.stringify(snapshot)]);
+    }
+
+    // Writes are queued so lines land in the order they were recorded
+    append(file, lines) {
+        this.writing = this.writing
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+                // A torn line left by a crash would swallow the first record written after it
+                const separator = this.appended.has(file) || await this.endsOnLine(file) ? '' : '\n';
+                await fs.promises.appendFile(file, `${separator}${lines.join('\n')}\n`);
+                this.appended.add(file);
+            })
+            .catch(error => logger.error({ error, file }, 'Failed to write trade journal'));
+    }
+
+    // Whether a file is missing, empty or ends with a newline
+    async endsOnLine(file) {
+        let handle;
+        try {
+            handle = await fs.promises.open(file, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return true;
+            throw error;
+        }
+
+        try {
+            const { size } = await handle.stat();
+            if (size === 0) return true;
+
+            const last = Buffer.alloc(1);
+            await handle.read(last, 0, 1, size - 1);
+            return last[0] === 0x0a;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Resolves once everything recorded so far is on disk
+    flush() {
+        return this.writing;
+    }
+
+    /**
+     * Realized PnL of an execution from its actual fills
+     *
+     * @returns {Object} { realizedPnl, estimatedProfit, profitSlippage, tradedQuote,
+     *   fees, gas, residualBase, unpricedFees } in the quote asset, residualBase in the base asset
+     */
+    computePnl(execution) {
+        const { opportunity, legs, recovery } = execution;
+        const [baseAsset, quoteAsset] = opportunity.pair.split('-');
+        const fills = [legs.dex.fill, legs.cex.fill, ...recovery.map(attempt => attempt.fill)].filter(Boolean);
+
+        let base = new BigNumber(0);
+        let quote = new BigNumber(0);
+        let fees = new BigNumber(0);
+        let gas = new BigNumber(0);
+        const unpricedFees = {};
+
+        for (const fill of fills) {
+            const baseQty = new BigNumber(fill.baseQty || 0);
+            const quoteQty = new BigNumber(fill.quoteQty || 0);
+            base = fill.side === 'BUY' ? base.plus(baseQty) : base.minus(baseQty);
+            quote = fill.side === 'BUY' ? quote.minus(quoteQty) : quote.plus(quoteQty);
+
+            if (fill.gasPaid) {
+                gas = gas.plus(new BigNumber(fill.gasPaid).multipliedBy(opportunity.nativeTokenPrice || 0));
+            }
+
+            for (const [asset, amount] of Object.entries(fill.commissions || {})) {
+                const price = this.getFeePrice(opportunity.cex, asset, baseAsset, quoteAsset, baseQty, quoteQty);
+                if (price) {
+                    fees = fees.plus(new BigNumber(amount).multipliedBy(price));
+                } else {
+                    unpricedFees[asset] = new BigNumber(unpricedFees[asset] || 0).plus(amount).toString();
+                }
+            }
+        }
+
+        // Base the legs didn't offset is valued where the trade priced it on the CEX
+        const cexFill = fills.find(fill => fill.venue === 'cex' && new BigNumber(fill.baseQty || 0).isGreaterThan(0));
+        const markPrice = cexFill
+            ? new BigNumber(cexFill.quoteQty).dividedBy(cexFill.baseQty)
+            : new BigNumber(opportunity.direction === 'dexToCex' ? opportunity.sellPrice : opportunity.buyPrice);
+
+        const realizedPnl = quote.plus(base.multipliedBy(markPrice)).minus(fees).minus(gas);
+        const estimatedProfit = new BigNumber(fills.length > 0 ? opportunity.estimatedProfit || 0 : 0);
+
+        return {
+            asset: quoteAsset,
+            realizedPnl: realizedPnl.toString(),
+            estimatedProfit: estimatedProfit.toString(),
+            profitSlippage: realizedPnl.minus(estimatedProfit).toString(),
+            tradedQuote: quote.toString(),
+            fees: fees.toString(),
+            gas: gas.toString(),
+            residualBase: base.toString(),
+            unpricedFees,
+        };
+    }
+
+    // Quote value of one unit of a commission asset, null if it can't be priced
+    getFeePrice(cexName, asset, baseAsset, quoteAsset, baseQty, quoteQty) {
+        if (asset === quoteAsset) return new BigNumber(1);
+        if (asset === baseAsset) return baseQty.isZero() ? null : quoteQty.dividedBy(baseQty);
+
+        // e.g. BNB, priced if the CEX streams its book against the quote asset
+        try {
+            const cex = cexRegistry.getAdapter(cexName);
+            const bid = cex.getBestBid(cex.getSymbolFromPair(`${asset}-${quoteAsset}`));
+            return bid ? new BigNumber(bid) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Executions newest first
+     *
+     * @param {Object} filters - { status, pair, network, limit }
+     */
+    getExecutions({ status, pair, network, limit = 100 } = {}) {
+        return Object.values(this.executions)
+            .filter(execution => !status || execution.status === status)
+            .filter(execution => !pair || execution.opportunity.pair === pair)
+            .filter(execution => !network || execution.opportunity.network === network)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit);
+    }
+
+    /**
+     * Realized PnL of settled executions, in total and per pair, network and UTC day
+     *
+     * @param {Object} range - { from, to } timestamps in ms, inclusive
+     */
+    getPnl({ from = 0, to = Infinity } = {}) {
+        const summary = { total: this.emptyTotals(), byPair: {}, byNetwork: {}, byDay: {} };
+
+        for (const execution of Object.values(this.executions)) {
+            if (!execution.pnl || execution.createdAt < from || execution.createdAt > to) continue;
+
+            const { pair, network } = execution.opportunity;
+            const day = this.toDay(execution.createdAt);
+            summary.byPair[pair] = summary.byPair[pair] || this.emptyTotals();
+            summary.byNetwork[network] = summary.byNetwork[network] || this.emptyTotals();
+            summary.byDay[day] = summary.byDay[day] || this.emptyTotals();
+
+            for (const totals of [summary.total, summary.byPair[pair], summary.byNetwork[network], summary.byDay[day]]) {
+                this.addToTotals(totals, execution);
+            }
+        }
+
+        return summary;
+    }
+
+    emptyTotals() {
+        return { trades: 0, realizedPnl: '0', estimatedProfit: '0', profitSlippage: '0', fees: '0', gas: '0' };
+    }
+
+    addToTotals(totals, { pnl }) {
+        totals.trades++;
+        for (const field of ['realizedPnl', 'estimatedProfit', 'profitSlippage', 'fees', 'gas']) {
+            totals[field] = new BigNumber(totals[field]).plus(pnl[field]).toString();
+        }
+    }
+
+    // Opportunities recorded on a UTC day, newest first
+    async getOpportunities(day = this.toDay(new Date().getTime()), limit = 100) {
+        let lines;
+        try {
+            lines = await this.readTail(this.getOpportunitiesFile(day), limit);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return lines
+            .reverse()
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    // Last lines of a file, reading only as much of its end as they take
+    async readTail(file, count) {
+        const handle = await fs.promises.open(file, 'r');
+        try {
+            const { size } = await handle.stat();
+            const chunks = [];
+            let position = size;
+            let newlines = 0;
+
+            // One line more than asked for, the first one read is usually cut off
+            while (position > 0 && newlines <= count) {
+                const length = Math.min(TAIL_CHUNK_SIZE, position);
+                position -= length;
+
+                const chunk = Buffer.alloc(length);
+                await handle.read(chunk, 0, length, position);
+                chunks.unshift(chunk);
+                for (const byte of chunk) {
+                    if (byte === 0x0a) newlines++;
+                }
+            }
+
+            // Whatever follows the last newline is a line still being written, or torn by a crash
+            const lines = Buffer.concat(chunks).toString('utf8').split('\n').slice(0, -1);
+            return (position > 0 ? lines.slice(1) : lines).filter(Boolean).slice(-count);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    toDay(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 10);
+    }
+}
+
+module.exports = new TradeJournal();
@@ -0,0 +1,416 @@
+/**
+ * Trade Recovery
+ *
+ * Records every arbitrage as a state machine over its two legs, each going
+ * from pending to filled, partial or failed. When one leg fills and the
+ * other doesn't, the position left behind is closed: first by retrying the
+ * failed leg, then by unwinding the filled one, each with escalating price
+ * tolerance up to the configured loss limit. Whatever can't be closed stays
+ * on record as unhedged and raises an alert. So does an execution a restart
+ * interrupted, its legs may have filled without it being recorded.
+ *
+ * Every leg and recovery trade keeps its actual fill, and each status change
+ * is written to the trade journal, which accounts realized PnL from them.
+ *
+ *   executing -> aborted | completed | failed | recovering
+ *   recovering -> hedged | unwound | unhedged
+ *   unhedged -> resolved (by hand, through the API)
+ */
+const BigNumber = require('bignumber.js');
+const logger = require('../utils/logger');
+const alerts = require('../utils/alerts');
+const config = require('../config/config');
+const tokens = require('../config/tokens');
+const cexRegistry = require('../exchange/cexRegistry');
+const dexRegistry = require('../dex/dexRegistry');
+const tradeJournal = require('./tradeJournal');
+
+const STATUS = {
+    EXECUTING: 'executing',
+    ABORTED: 'aborted',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    RECOVERING: 'recovering',
+    HEDGED: 'hedged',
+    UNWOUND: 'unwound',
+    UNHEDGED: 'unhedged',
+    RESOLVED: 'resolved',
+};
+
+const LEG_STATUS = {
+    PENDING: 'pending',
+    FILLED: 'filled',
+    PARTIAL: 'partial',
+    FAILED: 'failed',
+};
+
+class TradeRecovery {
+    constructor() {
+        this.executions = {};
+        this.sequence = 0;
+        this.STATUS = STATUS;
+    }
+
+    /**
+     * Record an arbitrage whose legs are about to be sent
+     *
+     * @param {Object} opportunity - The opportunity being executed
+     * @param {Object} legs - { dex: { action, amount }, cex: { side, quantity, price } }
+     * @returns {Object} The execution record
+     */
+    open(opportunity, legs) {
+        const now = new Date().getTime();
+        const execution = {
+            id: `${now}-${++this.sequence}`,
+            status: STATUS.EXECUTING,
+            opportunity,
+            legs: {
+                dex: { ...legs.dex, status: LEG_STATUS.PENDING },
+                cex: { ...legs.cex, status: LEG_STATUS.PENDING },
+            },
+            recovery: [],
+            exposure: null,
+            createdAt: now,
+            updatedAt: now,
+        };
+
+        this.executions[execution.id] = execution;
+        this.prune();
+        tradeJournal.recordExecution(execution);
+        return execution;
+    }
+
+    // Take back positions left unhedged before a restart, so they stay visible until resolved.
+    // Executions the process stopped in the middle of are taken back as unhedged at their full
+    // size, whatever their legs filled is unknown until someone checks the venues
+    async restore(executions) {
+        const interrupted = [];
+
+        for (const execution of executions) {
+            if (execution.status === STATUS.UNHEDGED) {
+                this.executions[execution.id] = execution;
+            } else if ([STATUS.EXECUTING, STATUS.RECOVERING].includes(execution.status)) {
+                const { pair, direction, tradeAmount, buyPrice, sellPrice } = execution.opportunity;
+                execution.exposure = {
+                    asset: pair.split('-')[0],
+                    side: 'unknown',
+                    quantity: tradeAmount,
+                    expectedPrice: direction === 'dexToCex' ? sellPrice : buyPrice,
+                };
+                execution.error = {
+                    code: 'EXECUTION_INTERRUPTED',
+                    reason: null,
+                    message: `Process stopped while the execution was ${execution.status}`,
+                };
+
+                this.executions[execution.id] = execution;
+                this.setStatus(execution, STATUS.UNHEDGED);
+                interrupted.push(execution);
+            }
+        }
+
+        if (interrupted.length > 0) {
+            await alerts.send('executions_interrupted', 'Executions were interrupted by a restart, check their legs and resolve them', {
+                executions: interrupted.map(({ id, opportunity, legs }) => ({
+                    id,
+                    pair: opportunity.pair,
+                    cex: opportunity.cex,
+                    dex: opportunity.dex,
+                    network: opportunity.network,
+                    legs,
+                })),
+            });
+        }
+    }
+
+    // Stopped by a pre-trade check before either leg was sent
+    abort(execution, error) {
+        execution.error = { code: error.code || null, reason: error.reason || null, message: error.message };
+        this.setStatus(execution, STATUS.ABORTED);
+    }
+
+    /**
+     * Record how both legs settled, from Promise.allSettled results
+     */
+    settle(execution, dexLeg, cexLeg) {
+        const { dex, cex } = execution.legs;
+
+        if (dexLeg.status === 'fulfilled') {
+            Object.assign(dex, {
+                status: LEG_STATUS.FILLED,
+                txHash: dexLeg.value.txHash,
+                amountOut: dexLeg.value.amountOut,
+                fill: this.dexFill(dex.action, dexLeg.value),
+            });
+        } else {
+            Object.assign(dex, { status: LEG_STATUS.FAILED, error: dexLeg.reason.message });
+        }
+
+        if (cexLeg.status === 'fulfilled') {
+            const { orderId, filledQty, remainingQty, averagePrice } = cexLeg.value;
+            let status = LEG_STATUS.FILLED;
+            if (new BigNumber(filledQty).isZero()) {
+                status = LEG_STATUS.FAILED;
+            } else if (new BigNumber(remainingQty).isGreaterThan(0)) {
+                status = LEG_STATUS.PARTIAL;
+            }
+            Object.assign(cex, { status, orderId, filledQty, remainingQty, averagePrice });
+            if (status !== LEG_STATUS.FAILED) {
+                cex.fill = this.cexFill(execution.opportunity.cex, cexLeg.value);
+            }
+        } else {
+            Object.assign(cex, { status: LEG_STATUS.FAILED, filledQty: '0', error: cexLeg.reason.message });
+        }
+
+        if (dex.status === LEG_STATUS.FILLED && cex.status === LEG_STATUS.FILLED) {
+            this.setStatus(execution, STATUS.COMPLETED);
+        } else if (dex.status === LEG_STATUS.FAILED && cex.status === LEG_STATUS.FAILED) {
+            this.setStatus(execution, STATUS.FAILED);
+        } else {
+            this.setStatus(execution, STATUS.RECOVERING);
+        }
+    }
+
+    /**
+     * Close the position one settled leg left open
+     *
+     * @returns {Object} The execution, status hedged, unwound or unhedged
+     */
+    async recover(execution) {
+        const plan = this.getRecoveryPlan(execution);
+        let remaining = new BigNumber(plan.quantity);
+
+        logger.warn({
+            id: execution.id,
+            dexLeg: execution.legs.dex.status,
+            cexLeg: execution.legs.cex.status,
+            quantity: plan.quantity,
+        }, 'Arbitrage leg failed, recovering position');
+
+        // Steps past the loss limit would close the position at a loss nobody agreed to
+        const steps = config.recovery.toleranceSteps.filter(step => step <= config.recovery.maxLossPercentage);
+
+        for (const [kind, leg] of [['retry', plan.retry], ['unwind', plan.unwind]]) {
+            for (const tolerance of steps) {
+                const filled = await this.attempt(execution, kind, { ...leg, quantity: remaining.toString() }, tolerance);
+                remaining = remaining.minus(filled);
+
+                if (remaining.isLessThanOrEqualTo(0)) {
+                    this.setStatus(execution, kind === 'retry' ? STATUS.HEDGED : STATUS.UNWOUND);
+                    logger.info({ id: execution.id, status: execution.status }, 'Arbitrage position recovered');
+                    return execution;
+                }
+            }
+        }
+
+        execution.exposure = {
+            asset: execution.opportunity.pair.split('-')[0],
+            // Selling was what closing it took, so the base asset is held long
+            side: plan.retry.side === 'SELL' ? 'long' : 'short',
+            quantity: remaining.toString(),
+            expectedPrice: plan.retry.price,
+        };
+        this.setStatus(execution, STATUS.UNHEDGED);
+
+        await alerts.send('position_unhedged', 'Arbitrage position could not be closed within the loss limit', {
+            id: execution.id,
+            pair: execution.opportunity.pair,
+            cex: execution.opportunity.cex,
+            dex: execution.opportunity.dex,
+            network: execution.opportunity.network,
+            exposure: execution.exposure,
+        });
+        return execution;
+    }
+
+    /**
+     * What closing the position takes: the failed leg's trade for the
+     * unhedged quantity, or the filled leg's trade reversed
+     *
+     * @returns {Object} { quantity, retry, unwind }, each leg
+     *   { venue: 'cex' | 'dex', side, price } with price in quote per base
+     */
+    getRecoveryPlan(execution) {
+        const { direction, tradeAmount, buyPrice, sellPrice, dexAmountIn } = execution.opportunity;
+        const { dex, cex } = execution.legs;
+        const dexSide = dex.action === 'buy' ? 'BUY' : 'SELL';
+        const opposite = side => (side === 'BUY' ? 'SELL' : 'BUY');
+        const dexPrice = direction === 'dexToCex' ? buyPrice : sellPrice;
+
+        // The DEX went through, the CEX didn't take all of it
+        if (dex.status === LEG_STATUS.FILLED) {
+            const executedPrice = !dex.amountOut
+                ? dexPrice
+                : direction === 'dexToCex'
+                    ? new BigNumber(dexAmountIn).dividedBy(dex.amountOut).toString()
+                    : new BigNumber(dex.amountOut).dividedBy(tradeAmount).toString();
+
+            return {
+                quantity: new BigNumber(tradeAmount).minus(cex.filledQty || 0).toString(),
+                retry: { venue: 'cex', side: cex.side, price: cex.price },
+                unwind: { venue: 'dex', side: opposite(dexSide), price: executedPrice },
+            };
+        }
+
+        // The CEX filled some or all of its leg, the DEX swap failed
+        return {
+            quantity: cex.filledQty,
+            retry: { venue: 'dex', side: dexSide, price: dexPrice },
+            unwind: { venue: 'cex', side: opposite(cex.side), price: cex.averagePrice || cex.price },
+        };
+    }
+
+    /**
+     * One recovery trade at a price tolerance, skipped if the market is
+     * already past it
+     *
+     * @returns {BigNumber} Base quantity the trade closed
+     */
+    async attempt(execution, kind, leg, tolerance) {
+        const attempt = { kind, ...leg, tolerance, status: 'pending', at: new Date().getTime() };
+        execution.recovery.push(attempt);
+
+        try {
+            const price = await this.getCurrentPrice(execution, leg);
+            const limit = new BigNumber(leg.price).multipliedBy(leg.side === 'BUY' ? 1 + tolerance / 100 : 1 - tolerance / 100);
+            if (!price || (leg.side === 'BUY' ? price.isGreaterThan(limit) : price.isLessThan(limit))) {
+                attempt.status = 'skipped';
+                attempt.currentPrice = price ? price.toString() : null;
+                return new BigNumber(0);
+            }
+
+            attempt.fill = leg.venue === 'cex'
+                ? await this.tradeCex(execution, leg, tolerance)
+                : await this.tradeDex(execution, leg, tolerance);
+
+            const filled = new BigNumber(attempt.fill.baseQty || 0);
+            attempt.status = filled.isGreaterThanOrEqualTo(leg.quantity) ? 'filled' : (filled.isZero() ? 'failed' : 'partial');
+            attempt.filledQty = filled.toString();
+            return filled;
+        } catch (error) {
+            logger.warn({ error, id: execution.id, kind, leg, tolerance }, 'Recovery trade failed');
+            attempt.status = 'failed';
+            attempt.error = error.message;
+            return new BigNumber(0);
+        } finally {
+            execution.updatedAt = new Date().getTime();
+        }
+    }
+
+    // Price the leg would trade at now, in quote per base, null if there is none
+    async getCurrentPrice({ opportunity }, leg) {
+        const { network, pair, baseToken, quoteToken } = opportunity;
+
+        if (leg.venue === 'cex') {
+            const cex = cexRegistry.getAdapter(opportunity.cex);
+            const vwap = cex.getVwap(cex.getSymbolFromPair(pair), leg.side.toLowerCase(), leg.quantity);
+            return vwap ? new BigNumber(vwap) : null;
+        }
+
+        const dex = dexRegistry.getAdapter(opportunity.dex);
+        if (leg.side === 'SELL') {
+            const amount = this.toTokenAmount(network, baseToken, leg.quantity);
+            const quote = await dex.getQuote(network, baseToken, quoteToken, amount);
+            return new BigNumber(quote.amountOut).dividedBy(amount);
+        }
+
+        const amountIn = this.toTokenAmount(network, quoteToken, new BigNumber(leg.quantity).multipliedBy(leg.price));
+        const quote = await dex.getQuote(network, quoteToken, baseToken, amountIn);
+        return new BigNumber(amountIn).dividedBy(quote.amountOut);
+    }
+
+    async tradeCex({ opportunity }, leg, tolerance) {
+        const cex = cexRegistry.getAdapter(opportunity.cex);
+        const result = await cex.executeOrder(cex.getSymbolFromPair(opportunity.pair), leg.side, leg.quantity, leg.price, tolerance);
+        return this.cexFill(opportunity.cex, result);
+    }
+
+    // Sells the base quantity, or buys it by spending its worth of the quote token at the leg's price
+    async tradeDex({ opportunity }, leg, tolerance) {
+        const { network, baseToken, quoteToken } = opportunity;
+        const dex = dexRegistry.getAdapter(opportunity.dex);
+
+        if (leg.side === 'SELL') {
+            const amount = this.toTokenAmount(network, baseToken, leg.quantity);
+            return this.dexFill('sell', await dex.executeTrade(network, 'sell', baseToken, quoteToken, amount, tolerance));
+        }
+
+        const amountIn = this.toTokenAmount(network, quoteToken, new BigNumber(leg.quantity).multipliedBy(leg.price));
+        return this.dexFill('buy', await dex.executeTrade(network, 'buy', baseToken, quoteToken, amountIn, tolerance));
+    }
+
+    // What a swap actually traded, the quoted output standing in if the receipt had none
+    dexFill(action, result) {
+        const amountOut = result.amountOut || result.estimatedAmountOut;
+        return {
+            venue: 'dex',
+            side: action === 'buy' ? 'BUY' : 'SELL',
+            baseQty: action === 'buy' ? amountOut : result.amountIn,
+            quoteQty: action === 'buy' ? result.amountIn : amountOut,
+            gasPaid: result.gasPaid,
+            txHash: result.txHash,
+        };
+    }
+
+    // What an order actually traded, with its commissions by asset
+    cexFill(cexName, result) {
+        const fills = cexRegistry.getAdapter(cexName).getOrderFills(result.orderId);
+        return {
+            venue: 'cex',
+            side: result.side,
+            baseQty: result.filledQty,
+            quoteQty: result.quoteQty,
+            commissions: (fills && fills.commissions) || result.commissions || {},
+            orderId: result.orderId,
+        };
+    }
+
+    toTokenAmount(network, token, amount) {
+        return new BigNumber(amount).decimalPlaces(tokens.getTokenDecimals(network, token), BigNumber.ROUND_DOWN).toString();
+    }
+
+    /**
+     * Mark an unhedged position as dealt with by hand
+     *
+     * @returns {Object|null} The execution, null if there is no such unhedged one
+     */
+    resolve(id, note = null) {
+        const execution = this.executions[id];
+        if (!execution || execution.status !== STATUS.UNHEDGED) {
+            return null;
+        }
+
+        execution.resolution = { note, at: new Date().getTime() };
+        this.setStatus(execution, STATUS.RESOLVED);
+        logger.info({ id, note }, 'Unhedged position marked resolved');
+        return execution;
+    }
+
+    setStatus(execution, status) {
+        execution.status = status;
+        execution.updatedAt = new Date().getTime();
+        tradeJournal.recordExecution(execution);
+    }
+
+    getExecutions() {
+        return Object.values(this.executions).sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    getOpenPositions() {
+        return this.getExecutions().filter(execution => execution.status === STATUS.UNHEDGED);
+    }
+
+    // Drop the oldest settled executions past the history size, open positions are always kept
+    prune() {
+        const excess = Object.keys(this.executions).length - config.recovery.historySize;
+        if (excess <= 0) return;
+
+        Object.values(this.executions)
+            .filter(execution => ![STATUS.EXECUTING, STATUS.RECOVERING, STATUS.UNHEDGED].includes(execution.status))
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .slice(0, excess)
+            .forEach(execution => delete this.executions[execution.id]);
+    }
+}
+
+module.exports = new TradeRecovery();
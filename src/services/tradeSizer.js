@@ -0,0 +1,235 @@
+/**
+ * Trade Sizer
+ *
+ * Picks how much to trade on an opportunity instead of a fixed amount.
+ * Candidate sizes are priced on both legs, the CEX at the VWAP of its order
+ * book depth and the DEX along the route of the scan's reference quote at
+ * its block, and the size with the highest net profit after fees and gas wins. Sizes stay
+ * within the pair's notional limits and what both sides hold.
+ *
+ * The search quotes a log-spaced grid across the allowed range, then a
+ * finer grid between the best point's neighbours. Each grid's DEX quotes
+ * go out together, so they share the network's Multicall3 batches.
+ */
+const BigNumber = require('bignumber.js');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const tokens = require('../config/tokens');
+const inventory = require('./inventory');
+
+class TradeSizer {
+    /**
+     * Size one direction of an opportunity
+     *
+     * @param {Object} candidate - { direction, cex, dex, network, pair, baseToken, quoteToken,
+     *   midPrice, gasCost, blockNumber } midPrice is the DEX mid price, gasCost the
+     *   DEX leg's gas in the quote token
+     * @param {Function} quoteDex - (tokenIn, tokenOut, amount) => DEX price per unit
+     *   of tokenIn as returned by ArbitrageService.getDexPrice, or null
+     * @returns {Object|null} Best sized trade with its profitCurve, null if no size
+     *   in range is feasible or the spread can't cover fees at any size
+     */
+    async size(candidate, quoteDex) {
+        const { direction, cex, network, pair, baseToken, quoteToken } = candidate;
+        const midPrice = new BigNumber(candidate.midPrice);
+        const takerFee = cex.getFees().taker;
+        const cexSymbol = cex.getSymbolFromPair(pair);
+
+        // Selling on the DEX never beats its mid and buying there never undercuts it,
+        // so if the best CEX price doesn't clear the mid after fees no size can
+        if (!this.clearsMid(direction, cex, cexSymbol, midPrice, takerFee)) {
+            return null;
+        }
+
+        const range = await this.getRange(candidate, midPrice, takerFee);
+        if (!range) return null;
+
+        const context = { ...candidate, cexSymbol, takerFee, midPrice, quoteDex, range };
+
+        // Coarse pass across the whole range
+        const coarseSizes = this.logSpace(range.min, range.max, config.trading.sizing.steps);
+        const coarse = await Promise.all(coarseSizes.map(size => this.evaluate(context, size)));
+        const bestIndex = this.bestIndex(coarse);
+        if (bestIndex === -1) {
+            logger.debug({ pair, network, direction, cex: cex.name, dex: candidate.dex.name }, 'No feasible trade size');
+            return null;
+        }
+
+        // Fine pass between the best point's neighbours
+        const lower = coarseSizes[Math.max(bestIndex - 1, 0)];
+        const upper = coarseSizes[Math.min(bestIndex + 1, coarseSizes.length - 1)];
+        const fineSizes = this.linSpace(lower, upper, config.trading.sizing.steps)
+            .filter(size => !coarseSizes.some(coarseSize => coarseSize.isEqualTo(size)));
+        const fine = await Promise.all(fineSizes.map(size => this.evaluate(context, size)));
+
+        const curve = [...coarse.filter(point => point && point.size.isGreaterThanOrEqualTo(lower) && point.size.isLessThanOrEqualTo(upper)), ...fine]
+            .filter(Boolean)
+            .sort((a, b) => a.size.comparedTo(b.size));
+        const best = curve[this.bestIndex(curve)];
+
+        return {
+            direction,
+            cex: cex.name,
+            dex: candidate.dex.name,
+            network,
+            baseToken,
+            quoteToken,
+            buyPrice: best.buyPrice.toString(),
+            sellPrice: best.sellPrice.toString(),
+            tradeAmount: best.tradeAmount.toString(),
+            dexAmountIn: best.dexAmountIn.toString(),
+            notional: best.notional.toString(),
+            gasCost: candidate.gasCost,
+            estimatedProfit: best.profit.toString(),
+            profitPercentage: best.profitPercentage,
+            profitCurve: curve.map(point => ({
+                tradeAmount: point.tradeAmount.toString(),
+                notional: point.notional.toString(),
+                estimatedProfit: point.profit.toString(),
+                profitPercentage: point.profitPercentage,
+            })),
+            timestamp: new Date().getTime(),
+        };
+    }
+
+    clearsMid(direction, cex, cexSymbol, midPrice, takerFee) {
+        if (direction === 'cexToDex') {
+            const ask = cex.getBestAsk(cexSymbol);
+            return ask !== null && new BigNumber(ask).multipliedBy(1 + takerFee).isLessThan(midPrice);
+        }
+        const bid = cex.getBestBid(cexSymbol);
+        return bid !== null && new BigNumber(bid).multipliedBy(1 - takerFee).isGreaterThan(midPrice);
+    }
+
+    /**
+     * Base token amounts the search may try: the pair's notional limits at
+     * the mid price, capped by the inventory each leg spends from
+     *
+     * @returns {Object|null} { min, max, balances }, null if the balances
+     *   don't reach the minimum notional
+     */
+    async getRange({ direction, cex, dex, network, pair }, midPrice, takerFee) {
+        const limits = config.trading.sizing.pairLimits[pair] || config.trading.sizing;
+        const min = new BigNumber(limits.minNotional).dividedBy(midPrice);
+        let max = new BigNumber(limits.maxNotional).dividedBy(midPrice);
+        let balances = null;
+
+        if (config.trading.sizing.useBalances) {
+            const [baseAsset, quoteAsset] = pair.split('-');
+            // cexToDex buys on the CEX with its quote asset and sells the wallet's base token,
+            // dexToCex spends the wallet's quote token and sells the CEX's base asset
+            balances = direction === 'cexToDex'
+                ? { cex: inventory.getAvailable(cex.name, quoteAsset), dex: inventory.getAvailable(network, baseAsset) }
+                : { cex: inventory.getAvailable(cex.name, baseAsset), dex: inventory.getAvailable(network, quoteAsset) };
+
+            const caps = direction === 'cexToDex'
+                ? [balances.cex.dividedBy(midPrice.multipliedBy(1 + takerFee)), balances.dex]
+                : [balances.cex, balances.dex.dividedBy(midPrice)];
+            max = BigNumber.minimum(max, ...caps);
+        }
+
+        if (max.isLessThan(min)) {
+            logger.debug({
+                pair,
+                network,
+                direction,
+                cex: cex.name,
+                dex: dex.name,
+                min: min.toString(),
+                max: max.toString(),
+            }, 'Balances below the minimum trade size');
+            return null;
+        }
+
+        return { min, max, balances };
+    }
+
+    /**
+     * Price both legs at one base token size
+     *
+     * @returns {Object|null} { size, tradeAmount, dexAmountIn, notional, buyPrice,
+     *   sellPrice, profit, profitPercentage }, null if the size can't be filled
+     */
+    async evaluate(context, size) {
+        const { direction, cex, network, baseToken, quoteToken, cexSymbol, takerFee, midPrice, gasCost, quoteDex, range } = context;
+        const baseDecimals = tokens.getTokenDecimals(network, baseToken);
+        const quoteDecimals = tokens.getTokenDecimals(network, quoteToken);
+
+        if (direction === 'cexToDex') {
+            // Buy on the CEX through its depth, sell the same amount on the DEX
+            const amount = size.decimalPlaces(baseDecimals, BigNumber.ROUND_DOWN);
+            const ask = cex.getVwap(cexSymbol, 'buy', amount.toString());
+            const dexQuote = await quoteDex(baseToken, quoteToken, amount.toString());
+            if (!ask || !this.isUsable(dexQuote)) return null;
+
+            const cost = amount.multipliedBy(ask).multipliedBy(1 + takerFee);
+            if (range.balances && (cost.isGreaterThan(range.balances.cex) || amount.isGreaterThan(range.balances.dex))) {
+                return null;
+            }
+
+            const proceeds = amount.multipliedBy(dexQuote.price);
+            return this.point(size, amount, amount, cost, proceeds, gasCost, ask, dexQuote.price);
+        }
+
+        // Spend the size's worth of the quote token on the DEX, sell what it buys on the CEX
+        const amountIn = size.multipliedBy(midPrice).decimalPlaces(quoteDecimals, BigNumber.ROUND_DOWN);
+        const dexQuote = await quoteDex(quoteToken, baseToken, amountIn.toString());
+        if (!this.isUsable(dexQuote)) return null;
+
+        const amountOut = amountIn.multipliedBy(dexQuote.price).decimalPlaces(baseDecimals, BigNumber.ROUND_DOWN);
+        const bid = cex.getVwap(cexSymbol, 'sell', amountOut.toString());
+        if (!bid || amountOut.isZero()) return null;
+
+        if (range.balances && (amountIn.isGreaterThan(range.balances.dex) || amountOut.isGreaterThan(range.balances.cex))) {
+            return null;
+        }
+
+        const proceeds = amountOut.multipliedBy(bid).multipliedBy(1 - takerFee);
+        return this.point(size, amountOut, amountIn, amountIn, proceeds, gasCost, amountIn.dividedBy(amountOut), bid);
+    }
+
+    // A DEX quote sized past the price impact limit is no more usable than a missing one
+    isUsable(dexQuote) {
+        return Boolean(dexQuote) && !(dexQuote.priceImpact > config.trading.maxPriceImpactPercentage);
+    }
+
+    point(size, tradeAmount, dexAmountIn, cost, proceeds, gasCost, buyPrice, sellPrice) {
+        const profit = proceeds.minus(cost).minus(gasCost);
+        return {
+            size,
+            tradeAmount,
+            dexAmountIn,
+            notional: cost,
+            buyPrice: new BigNumber(buyPrice),
+            sellPrice: new BigNumber(sellPrice),
+            profit,
+            profitPercentage: profit.dividedBy(cost).multipliedBy(100).toNumber(),
+        };
+    }
+
+    bestIndex(points) {
+        let best = -1;
+        points.forEach((point, index) => {
+            if (point && (best === -1 || point.profit.isGreaterThan(points[best].profit))) {
+                best = index;
+            }
+        });
+        return best;
+    }
+
+    logSpace(min, max, steps) {
+        if (steps < 2 || min.isEqualTo(max)) return [max];
+
+        const ratio = Math.pow(max.dividedBy(min).toNumber(), 1 / (steps - 1));
+        return Array.from({ length: steps }, (_, i) => (i === steps - 1 ? max : min.multipliedBy(Math.pow(ratio, i))));
+    }
+
+    linSpace(min, max, steps) {
+        if (steps < 2 || min.isEqualTo(max)) return [max];
+
+        const step = max.minus(min).dividedBy(steps - 1);
+        return Array.from({ length: steps }, (_, i) => (i === steps - 1 ? max : min.plus(step.multipliedBy(i))));
+    }
+}
+
+module.exports = new TradeSizer();
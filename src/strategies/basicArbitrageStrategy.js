@@ -19,13 +19,9 @@ class BasicArbitrageStrategy {
         this.cexFee = options.cexFee || 0.001; // 0.1% Binance fee
         this.dexFee = options.dexFee || 0.003; // 0.3% Uniswap fee (can vary by pool)
 
-        // Gas costs in USD by network
-        this.gasCosts = options.gasCosts || {
-            ethereum: 20,   // Ethereum mainnet is expensive
-            arbitrum: 0.3,  // L2s are cheaper
-            optimism: 0.1,
-            polygon: 0.05,
-        };
+        // Gas costs in the quote currency by network, normally passed per evaluation
+        // from the gas oracle's live estimates (see ArbitrageService.getGasCost)
+        this.gasCosts = options.gasCosts || {};
     }
 
     /**
@@ -33,11 +29,13 @@ class BasicArbitrageStrategy {
      * 
      * @param {Object} cexPrices - CEX price data { bid, ask }
      * @param {Object} dexPricesByNetwork - DEX price data by network { ethereum: price, arbitrum: price, ... }
-     * @param {Object} params - Additional parameters { baseToken, quoteToken, ... }
+     * @param {Object} params - Additional parameters { baseToken, quoteToken, gasCosts, tradeSize, ... }
+     *   tradeSize is in the base token, e.g. a size chosen by the trade sizer
      * @returns {Array} Sorted array of arbitrage opportunities
      */
     evaluateArbitrageOpportunities(cexPrices, dexPricesByNetwork, params = {}) {
         const { baseToken, quoteToken } = params;
+        const gasCosts = params.gasCosts || this.gasCosts;
         const opportunities = [];
 
         // Skip if either price source is missing
@@ -49,8 +47,8 @@ class BasicArbitrageStrategy {
         for (const network of this.networkPriority) {
             const dexPrice = dexPricesByNetwork[network];
 
-            // Skip if this network doesn't have a price
-            if (!dexPrice) continue;
+            // Skip if this network doesn't have a price or a gas estimate
+            if (!dexPrice || gasCosts[network] === undefined) continue;
 
             // Calculate both directions (cex->dex and dex->cex)
 
@@ -61,11 +59,12 @@ class BasicArbitrageStrategy {
                 {
                     buyFee: this.cexFee,
                     sellFee: this.dexFee,
-                    gasCost: this.gasCosts[network] || 0.1,
+                    gasCost: gasCosts[network],
                     network,
                     baseToken,
                     quoteToken,
                     direction: 'cexToDex',
+                    tradeSize: params.tradeSize,
                 }
             );
 
@@ -76,11 +75,12 @@ class BasicArbitrageStrategy {
                 {
                     buyFee: this.dexFee,
                     sellFee: this.cexFee,
-                    gasCost: this.gasCosts[network] || 0.1,
+                    gasCost: gasCosts[network],
                     network,
                     baseToken,
                     quoteToken,
                     direction: 'dexToCex',
+                    tradeSize: params.tradeSize,
                 }
             );
 
@@ -115,7 +115,7 @@ class BasicArbitrageStrategy {
             quoteToken = 'USDT',
             network = 'ethereum',
             direction = 'cexToDex',
-            tradeSize = 1,
+            tradeSize = config.trading.tradeAmount,
         } = options;
 
         // Convert to BigNumber if needed
@@ -0,0 +1,42 @@
+/**
+ * Alerts
+ *
+ * Conditions that need a person to look at them. Every alert is logged,
+ * and posted as JSON to the configured webhook if there is one.
+ */
+const axios = require('axios');
+const logger = require('./logger');
+const config = require('../config/config');
+
+class Alerts {
+    constructor() {
+        this.recent = [];
+    }
+
+    /**
+     * @param {String} event - Short machine-readable name, e.g. position_unhedged
+     * @param {String} message - What happened, for people
+     * @param {Object} details - Anything that helps act on it
+     */
+    async send(event, message, details = {}) {
+        const alert = { event, message, details, timestamp: new Date().toISOString() };
+
+        this.recent.push(alert);
+        this.recent = this.recent.slice(-config.alerts.historySize);
+        logger.error({ alert: event, ...details }, message);
+
+        if (!config.alerts.webhookUrl) return;
+
+        try {
+            await axios.post(config.alerts.webhookUrl, alert, { timeout: 10000 });
+        } catch (error) {
+            logger.warn({ error, event }, 'Failed to post alert to webhook');
+        }
+    }
+
+    getRecent() {
+        return this.recent;
+    }
+}
+
+module.exports = new Alerts();
@@ -0,0 +1,125 @@
+/**
+ * Stream Supervisor
+ *
+ * Keeps a websocket stream alive: watches for messages as a heartbeat and
+ * reopens the stream with exponential backoff when it goes quiet or fails
+ * to open. The underlying stream is any function that takes a message
+ * handler and returns a close function.
+ */
+const logger = require('./logger');
+
+class StreamSupervisor {
+    /**
+     * @param {String} name - Stream name used in logs and status
+     * @param {Function} open - (onMessage) => close function
+     * @param {Function} onMessage - Handler for every stream message
+     * @param {Object} options - { heartbeatTimeoutMs, baseDelayMs, maxDelayMs, onReconnect }
+     */
+    constructor(name, open, onMessage, options = {}) {
+        this.name = name;
+        this.open = open;
+        this.onMessage = onMessage;
+        this.onReconnect = options.onReconnect || (() => {});
+        this.heartbeatTimeoutMs = options.heartbeatTimeoutMs || 30000;
+        this.baseDelayMs = options.baseDelayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 60000;
+
+        this.close = null;
+        this.running = false;
+        this.connected = false;
+        this.reconnecting = false;
+        this.connectedAt = null;
+        this.lastMessageAt = null;
+        this.attempts = 0;
+        this.reconnects = 0;
+        this.heartbeatTimer = null;
+        this.reconnectTimer = null;
+    }
+
+    start() {
+        this.running = true;
+        this.connect();
+        this.heartbeatTimer = setInterval(() => this.checkHeartbeat(), this.heartbeatTimeoutMs / 2);
+    }
+
+    stop() {
+        this.running = false;
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.reconnectTimer);
+        this.disconnect();
+    }
+
+    connect() {
+        try {
+            this.close = this.open(message => this.handleMessage(message));
+            this.connected = true;
+            this.connectedAt = Date.now();
+        } catch (error) {
+            logger.error({ error, stream: this.name }, 'Failed to open stream');
+            this.reconnect();
+        }
+    }
+
+    disconnect() {
+        if (this.close) {
+            try {
+                this.close({ delay: 0, fastClose: true, keepClosed: true });
+            } catch (error) {
+                logger.debug({ error, stream: this.name }, 'Error closing stream');
+            }
+        }
+        this.close = null;
+        this.connected = false;
+    }
+
+    handleMessage(message) {
+        this.lastMessageAt = Date.now();
+        this.attempts = 0;
+        this.onMessage(message);
+    }
+
+    checkHeartbeat() {
+        if (!this.running || this.reconnecting) return;
+
+        const lastSeen = Math.max(this.lastMessageAt || 0, this.connectedAt || 0);
+        if (Date.now() - lastSeen > this.heartbeatTimeoutMs) {
+            logger.warn({ stream: this.name, lastMessageAt: this.lastMessageAt }, 'Stream heartbeat missed, reconnecting');
+            this.reconnect();
+        }
+    }
+
+    reconnect() {
+        if (!this.running || this.reconnecting) return;
+
+        this.disconnect();
+        this.reconnecting = true;
+
+        const delay = Math.min(this.baseDelayMs * 2 ** this.attempts, this.maxDelayMs);
+        this.attempts++;
+
+        logger.info({ stream: this.name, delay, attempt: this.attempts }, 'Scheduling stream reconnect');
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnecting = false;
+            if (!this.running) return;
+
+            this.reconnects++;
+            this.connect();
+            if (this.connected) {
+                this.onReconnect();
+            }
+        }, delay);
+    }
+
+    getStatus() {
+        return {
+            name: this.name,
+            connected: this.connected && !this.reconnecting,
+            lastMessageAt: this.lastMessageAt,
+            reconnects: this.reconnects,
+            attempts: this.attempts,
+        };
+    }
+}
+
+module.exports = StreamSupervisor;